@@ -7,9 +7,16 @@
 
 // ─── State ────────────────────────────────────────────────────────────────────
 let lastResults = null;
+let lastSeed = null;
+let lastParams = null;
+let lastRuns = 0;
 let activeScenario = 'minimum';
 let activeTab = 'dashboard';
 let isRunning = false;
+let realDollars = false;
+let bandField = 'netWorth';
+let lastSensitivity = null;
+let lastSolve = null;
 
 // ─── DOM Helpers ──────────────────────────────────────────────────────────────
 const $ = id => document.getElementById(id);
@@ -31,34 +38,1300 @@ function fmtMoney(n, decimals = 0) {
     return `${n < 0 ? '-' : ''}$${absN.toFixed(decimals)}`;
 }
 
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    }[c]));
+}
+
 function fmtPct(p, dec = 1) { return `${(p * 100).toFixed(dec)}%`; }
 
-function fmtMonths(m) {
-    if (m === null || m === undefined) return 'N/A';
-    const yr = Math.floor(m / 12);
-    const mo = m % 12;
-    return yr > 0 ? `${yr}y ${mo}m` : `${mo}m`;
+function fmtMonths(m) {
+    if (m === null || m === undefined) return 'N/A';
+    const yr = Math.floor(m / 12);
+    const mo = m % 12;
+    return yr > 0 ? `${yr}y ${mo}m` : `${mo}m`;
+}
+
+// ─── Debt List ────────────────────────────────────────────────────────────────
+function debtRowHtml(d) {
+    return `
+        <div class="debt-row-head">
+            <div class="input-prefix"><input type="text" data-field="name" value="${escapeHtml(d.name)}"
+                placeholder="Name" /></div>
+            <button class="btn-ghost btn-icon-sm" data-action="up" title="Move up (custom order)">↑</button>
+            <button class="btn-ghost btn-icon-sm" data-action="remove" title="Remove debt">✕</button>
+        </div>
+        <div class="debt-row-fields">
+            <div class="input-prefix"><span>$</span><input type="number" data-field="balance" value="${d.balance}"
+                min="0" title="Balance" /></div>
+            <div class="input-prefix"><span>%</span><input type="number" data-field="apr" value="${d.apr}"
+                min="0" max="40" step="0.1" title="APR" /></div>
+            <div class="input-prefix"><span>$</span><input type="number" data-field="minPayment"
+                value="${d.minPayment}" min="0" title="Minimum monthly payment" /></div>
+        </div>`;
+}
+
+function addDebtRow(d = { name: '', balance: 0, apr: 0, minPayment: 0 }) {
+    const list = $('debtList');
+    if (!list) return;
+    const row = document.createElement('div');
+    row.className = 'debt-row';
+    row.innerHTML = debtRowHtml(d);
+    list.appendChild(row);
+}
+
+function setDebtRows(debts) {
+    const list = $('debtList');
+    if (!list) return;
+    list.innerHTML = '';
+    debts.forEach(d => addDebtRow(d));
+}
+
+function readDebts() {
+    return [...$$('#debtList .debt-row')].map((row, i) => {
+        const f = name => parseFloat(row.querySelector(`[data-field="${name}"]`)?.value) || 0;
+        return {
+            name: row.querySelector('[data-field="name"]')?.value.trim() || `Debt ${i + 1}`,
+            balance: f('balance'),
+            apr: f('apr'),
+            minPayment: f('minPayment'),
+        };
+    });
+}
+
+function onDebtListClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const row = btn.closest('.debt-row');
+    if (btn.dataset.action === 'remove') row.remove();
+    if (btn.dataset.action === 'up' && row.previousElementSibling) {
+        row.parentNode.insertBefore(row, row.previousElementSibling);
+    }
+}
+
+// ─── Strategies ───────────────────────────────────────────────────────────────
+const STRATEGY_STORAGE_KEY = 'finsim.strategies';
+let strategies = loadStrategies();
+let cardPalette = {};
+
+const CONDITION_LABELS = {
+    always: 'Always',
+    inDebt: 'While in debt',
+    debtFree: 'After debt-free',
+    cashBelow: 'Cash < N months',
+    cashAbove: 'Cash ≥ N months',
+};
+
+function loadStrategies() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STRATEGY_STORAGE_KEY));
+        if (Array.isArray(saved) && saved.length) return saved.map(normalizeStrategy);
+    } catch (err) {
+        console.warn('Could not load saved strategies:', err);
+    }
+    return DEFAULT_STRATEGIES.map(normalizeStrategy);
+}
+
+function saveStrategies() {
+    try {
+        localStorage.setItem(STRATEGY_STORAGE_KEY, JSON.stringify(strategies));
+    } catch (err) {
+        console.warn('Could not save strategies:', err);
+    }
+    setSessionStrategies(false);
+}
+
+/**
+ * useSessionStrategies — adopt strategies from a shared link, profile or
+ * imported results for this session only; the browser's saved strategies are
+ * kept until the user saves these or edits them in the builder.
+ */
+function useSessionStrategies(list) {
+    const next = list.map(normalizeStrategy);
+    if (JSON.stringify(next) === JSON.stringify(strategies)) return;
+    strategies = next;
+    setSessionStrategies(JSON.stringify(next) !== JSON.stringify(loadStrategies()));
+    applyStrategies();
+}
+
+function setSessionStrategies(unsaved) {
+    const note = $('strategy-session-note');
+    if (note) note.hidden = !unsaved;
+}
+
+function restoreSavedStrategies() {
+    strategies = loadStrategies();
+    editingStrategyId = null;
+    setSessionStrategies(false);
+    applyStrategies();
+    runAnalysis();
+}
+
+/** describeStrategy — one-line plain-English summary of a strategy's rules. */
+function describeStrategy(strategy) {
+    const pct = v => `${Math.round(v * 100)}%`;
+    const parts = strategy.rules.map((r, i) => {
+        const cond = r.when === 'cashBelow' ? `When cash < ${r.months} months of expenses`
+            : r.when === 'cashAbove' ? `When cash ≥ ${r.months} months of expenses`
+                : r.when === 'always' ? (i === 0 ? 'Every month' : 'Otherwise') : CONDITION_LABELS[r.when];
+        const acts = [];
+        acts.push(r.debtMultiple > 1 ? `pay ${r.debtMultiple}× minimum on debt` : 'pay debt minimums');
+        if (r.incomeToInvest > 0) acts.push(`invest ${pct(r.incomeToInvest)} of income`);
+        if (r.surplusToDebt > 0) acts.push(`send ${pct(r.surplusToDebt)} of surplus to debt`);
+        if (r.surplusToInvest > 0) acts.push(`invest ${pct(r.surplusToInvest)} of surplus`);
+        return `${cond}: ${acts.join(', ')}.`;
+    });
+    if (strategy.cashBufferMonths > 0) {
+        parts.push(`Keeps a ${strategy.cashBufferMonths}-month cash buffer before splitting surplus.`);
+    }
+    return parts.join(' ');
+}
+
+/** applyStrategies — register chart colors/labels and rebuild the scenario strip. */
+function applyStrategies() {
+    cardPalette = registerScenarios(strategies);
+    if (!strategies.some(s => s.id === activeScenario)) activeScenario = strategies[0].id;
+    renderScenarioStrip();
+    renderStrategySelect();
+}
+
+function renderScenarioStrip() {
+    const strip = $('scenarioStrip');
+    if (!strip) return;
+    strip.querySelectorAll('.sc-btn').forEach(b => b.remove());
+    strategies.forEach(s => {
+        const btn = document.createElement('button');
+        btn.className = `sc-btn${s.id === activeScenario ? ' active' : ''}`;
+        btn.dataset.scenario = s.id;
+        btn.textContent = s.name;
+        strip.appendChild(btn);
+    });
+}
+
+// ─── Strategy Builder ─────────────────────────────────────────────────────────
+let editingStrategyId = null;
+
+function renderStrategySelect() {
+    const sel = $('strategySelect');
+    if (!sel) return;
+    sel.innerHTML = strategies.map(s =>
+        `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`).join('');
+    if (!strategies.some(s => s.id === editingStrategyId)) editingStrategyId = activeScenario;
+    sel.value = editingStrategyId;
+    loadStrategyForm(strategies.find(s => s.id === editingStrategyId));
+}
+
+function ruleRowHtml(r) {
+    const pct = v => Math.round(v * 100);
+    return `
+        <td><select class="cell-input" data-field="when">${Object.entries(CONDITION_LABELS).map(([k, label]) =>
+        `<option value="${k}"${k === r.when ? ' selected' : ''}>${label}</option>`).join('')}</select></td>
+        <td><input class="cell-input" type="number" data-field="months" min="0" step="0.5" value="${r.months}" /></td>
+        <td><input class="cell-input" type="number" data-field="debtMultiple" min="1" step="0.5"
+            value="${r.debtMultiple}" /></td>
+        <td><input class="cell-input" type="number" data-field="incomeToInvest" min="0" max="100"
+            value="${pct(r.incomeToInvest)}" /></td>
+        <td><input class="cell-input" type="number" data-field="surplusToDebt" min="0" max="100"
+            value="${pct(r.surplusToDebt)}" /></td>
+        <td><input class="cell-input" type="number" data-field="surplusToInvest" min="0" max="100"
+            value="${pct(r.surplusToInvest)}" /></td>
+        <td><button class="btn-ghost btn-icon-sm" data-action="remove-rule" title="Remove rule">✕</button></td>`;
+}
+
+function addRuleRow(rule = normalizeStrategy({ id: 'tmp', rules: [{ when: 'always' }] }).rules[0]) {
+    const body = $('ruleRows');
+    if (!body) return;
+    const tr = document.createElement('tr');
+    tr.innerHTML = ruleRowHtml(rule);
+    body.appendChild(tr);
+}
+
+function loadStrategyForm(strategy) {
+    if (!strategy) return;
+    const name = $('strategyName');
+    const buffer = $('strategyBuffer');
+    if (name) name.value = strategy.name;
+    if (buffer) buffer.value = strategy.cashBufferMonths;
+    const body = $('ruleRows');
+    if (body) body.innerHTML = '';
+    strategy.rules.forEach(r => addRuleRow(r));
+}
+
+function readStrategyForm() {
+    const rules = [...$$('#ruleRows tr')].map(tr => {
+        const f = name => tr.querySelector(`[data-field="${name}"]`)?.value;
+        const pct = name => (parseFloat(f(name)) || 0) / 100;
+        return {
+            when: f('when'),
+            months: parseFloat(f('months')) || 0,
+            debtMultiple: parseFloat(f('debtMultiple')) || 1,
+            incomeToInvest: pct('incomeToInvest'),
+            surplusToDebt: pct('surplusToDebt'),
+            surplusToInvest: pct('surplusToInvest'),
+        };
+    });
+    return normalizeStrategy({
+        id: editingStrategyId,
+        name: $('strategyName')?.value.trim() || 'Untitled Strategy',
+        cashBufferMonths: parseFloat($('strategyBuffer')?.value) || 0,
+        rules,
+    });
+}
+
+function newStrategyId() {
+    return `s-${Date.now().toString(36)}`;
+}
+
+function startNewStrategy(from = null) {
+    editingStrategyId = newStrategyId();
+    const base = from || { name: 'New Strategy', cashBufferMonths: 3, rules: [{ when: 'always' }] };
+    loadStrategyForm(normalizeStrategy({ ...base, id: editingStrategyId, name: from ? `${from.name} (copy)` : base.name }));
+    const sel = $('strategySelect');
+    if (sel) sel.value = '';
+}
+
+function saveStrategyForm() {
+    const strategy = readStrategyForm();
+    const idx = strategies.findIndex(s => s.id === strategy.id);
+    if (idx >= 0) strategies[idx] = strategy;
+    else strategies.push(strategy);
+    saveStrategies();
+    applyStrategies();
+    runAnalysis();
+}
+
+function deleteStrategy() {
+    if (strategies.length <= 1) return;
+    strategies = strategies.filter(s => s.id !== editingStrategyId);
+    editingStrategyId = null;
+    saveStrategies();
+    applyStrategies();
+    runAnalysis();
+}
+
+function resetStrategies() {
+    strategies = DEFAULT_STRATEGIES.map(normalizeStrategy);
+    editingStrategyId = null;
+    saveStrategies();
+    applyStrategies();
+    runAnalysis();
+}
+
+function initStrategyBuilder() {
+    $('strategySelect')?.addEventListener('change', e => {
+        editingStrategyId = e.target.value;
+        loadStrategyForm(strategies.find(s => s.id === editingStrategyId));
+    });
+    $('newStrategyBtn')?.addEventListener('click', () => startNewStrategy());
+    $('dupStrategyBtn')?.addEventListener('click', () => startNewStrategy(readStrategyForm()));
+    $('deleteStrategyBtn')?.addEventListener('click', deleteStrategy);
+    $('resetStrategiesBtn')?.addEventListener('click', resetStrategies);
+    $('keepSessionStrategiesBtn')?.addEventListener('click', saveStrategies);
+    $('restoreStrategiesBtn')?.addEventListener('click', restoreSavedStrategies);
+    $('addRuleBtn')?.addEventListener('click', () => addRuleRow());
+    $('saveStrategyBtn')?.addEventListener('click', saveStrategyForm);
+    $('ruleRows')?.addEventListener('click', e => {
+        const btn = e.target.closest('[data-action="remove-rule"]');
+        if (btn) btn.closest('tr').remove();
+    });
+}
+
+// ─── Taxes & Accounts ─────────────────────────────────────────────────────────
+function bracketRowHtml(b) {
+    return `
+        <div class="input-prefix"><span>≤ $</span><input type="number" data-field="upTo" value="${b.upTo ?? ''}"
+            min="0" placeholder="no cap" title="Annual taxable income up to" /></div>
+        <div class="input-prefix"><span>%</span><input type="number" data-field="rate" value="${b.rate}" min="0"
+            max="99" step="0.5" title="Rate" /></div>
+        <button class="btn-ghost btn-icon-sm" data-action="remove" title="Remove bracket">✕</button>`;
+}
+
+function addBracketRow(b = { upTo: null, rate: 0 }) {
+    const list = $('bracketList');
+    if (!list) return;
+    const row = document.createElement('div');
+    row.className = 'bracket-row';
+    row.innerHTML = bracketRowHtml(b);
+    list.appendChild(row);
+}
+
+function readBrackets() {
+    return [...$$('#bracketList .bracket-row')].map(row => ({
+        upTo: parseFloat(row.querySelector('[data-field="upTo"]')?.value) || null,
+        rate: parseFloat(row.querySelector('[data-field="rate"]')?.value) || 0,
+    }));
+}
+
+function readTax() {
+    const v = id => parseFloat($(id)?.value) || 0;
+    return {
+        enabled: !!$('taxEnabled')?.checked,
+        deduction: v('taxDeduction'),
+        brackets: readBrackets(),
+        deferredPct: v('deferredPct'),
+        deferredLimit: v('deferredLimit'),
+        initialDeferred: v('initialDeferred'),
+        rothPct: v('rothPct'),
+        rothLimit: v('rothLimit'),
+        initialRoth: v('initialRoth'),
+        capitalGainsRate: v('capitalGainsRate'),
+    };
+}
+
+function setTaxFields(tax) {
+    const set = (id, val) => { const el = $(id); if (el) el.value = val; };
+    const enabled = $('taxEnabled');
+    if (enabled) enabled.checked = !!tax.enabled;
+    set('taxDeduction', tax.deduction);
+    const list = $('bracketList');
+    if (list) list.innerHTML = '';
+    tax.brackets.forEach(b => addBracketRow(b));
+    ['deferredPct', 'deferredLimit', 'initialDeferred', 'rothPct', 'rothLimit', 'initialRoth', 'capitalGainsRate']
+        .forEach(id => set(id, tax[id]));
+    syncTaxFields();
+}
+
+/** Relabel income and investments as gross / taxable while taxes are on. */
+function syncTaxFields() {
+    const enabled = !!$('taxEnabled')?.checked;
+    setText('incomeBasis', enabled ? 'gross, before tax' : 'after tax');
+    const hint = $('investmentsBasis');
+    if (hint) hint.hidden = !enabled;
+}
+
+// ─── Retirement ───────────────────────────────────────────────────────────────
+function pensionRowHtml(ps) {
+    return `
+        <div class="debt-row-head">
+            <div class="input-prefix"><input type="text" data-field="name" value="${escapeHtml(ps.name)}"
+                placeholder="Name" /></div>
+            <button class="btn-ghost btn-icon-sm" data-action="remove" title="Remove pension">✕</button>
+        </div>
+        <div class="debt-row-fields">
+            <div class="input-prefix"><span>age</span><input type="number" data-field="startAge"
+                value="${ps.startAge}" min="0" max="110" title="Start age" /></div>
+            <div class="input-prefix"><span>$</span><input type="number" data-field="annualAmount"
+                value="${ps.annualAmount}" min="0" step="1000" title="Annual amount (today's dollars)" /></div>
+            <label class="toggle-field" title="Inflation-linked (cost-of-living adjustment)"><input type="checkbox"
+                data-field="cola" ${ps.cola ? 'checked' : ''} /> COLA</label>
+        </div>`;
+}
+
+function addPensionRow(ps = { name: '', startAge: 67, annualAmount: 0, cola: true }) {
+    const list = $('pensionList');
+    if (!list) return;
+    const row = document.createElement('div');
+    row.className = 'debt-row pension-row';
+    row.innerHTML = pensionRowHtml(ps);
+    list.appendChild(row);
+}
+
+function readPensions() {
+    return [...$$('#pensionList .pension-row')].map((row, i) => ({
+        name: row.querySelector('[data-field="name"]')?.value.trim() || `Pension ${i + 1}`,
+        startAge: parseFloat(row.querySelector('[data-field="startAge"]')?.value) || 0,
+        annualAmount: parseFloat(row.querySelector('[data-field="annualAmount"]')?.value) || 0,
+        cola: !!row.querySelector('[data-field="cola"]')?.checked,
+    }));
+}
+
+function readRetirement() {
+    const v = id => parseFloat($(id)?.value) || 0;
+    return {
+        enabled: !!$('retirementEnabled')?.checked,
+        currentAge: v('currentAge'),
+        retireAge: v('retireAge'),
+        endAge: v('endAge'),
+        policy: $('withdrawalPolicy')?.value || 'fixedReal',
+        annualAmount: v('withdrawalAmount'),
+        withdrawalRate: v('withdrawalRate'),
+        guardrails: { upper: v('grUpper'), lower: v('grLower'), adjust: v('grAdjust') },
+        pensions: readPensions(),
+    };
+}
+
+function setRetirementFields(r) {
+    const set = (id, val) => { const el = $(id); if (el) el.value = val; };
+    const enabled = $('retirementEnabled');
+    if (enabled) enabled.checked = !!r.enabled;
+    set('currentAge', r.currentAge);
+    set('retireAge', r.retireAge);
+    set('endAge', r.endAge);
+    set('withdrawalPolicy', r.policy);
+    set('withdrawalAmount', r.annualAmount);
+    set('withdrawalRate', r.withdrawalRate);
+    set('grUpper', r.guardrails.upper);
+    set('grLower', r.guardrails.lower);
+    set('grAdjust', r.guardrails.adjust);
+    const list = $('pensionList');
+    if (list) list.innerHTML = '';
+    r.pensions.forEach(ps => addPensionRow(ps));
+    syncRetirementFields();
+}
+
+/** Show the active policy's fields; the age range replaces the horizon slider. */
+function syncRetirementFields() {
+    const policy = $('withdrawalPolicy')?.value || 'fixedReal';
+    $$('[data-withdrawal-policy]').forEach(el => {
+        el.hidden = !el.dataset.withdrawalPolicy.split(' ').includes(policy);
+    });
+    const slider = $('horizonYears');
+    if (!slider) return;
+    const r = readRetirement();
+    slider.disabled = r.enabled;
+    setText('horizonLabel', r.enabled
+        ? `to age ${r.endAge} (${Math.max(0, r.endAge - r.currentAge)} years)`
+        : `${slider.value} years`);
+}
+
+// ─── Life Events ──────────────────────────────────────────────────────────────
+function readEvents() {
+    const v = id => parseFloat($(id)?.value) || 0;
+    return {
+        enabled: !!$('eventsEnabled')?.checked,
+        jobLoss: {
+            monthlyHazard: v('jobLossHazard'),
+            meanMonths: v('jobLossMeanMonths'),
+            sdMonths: v('jobLossSdMonths'),
+            replacement: v('jobLossReplacement'),
+        },
+        shocks: DEFAULT_LIFE_EVENTS.shocks.map(s => ({
+            id: s.id,
+            name: s.name,
+            annualRate: v(`shock-${s.id}-rate`),
+            meanCost: v(`shock-${s.id}-mean`),
+            sdCost: v(`shock-${s.id}-sd`),
+        })),
+        windfall: {
+            annualRate: v('windfallRate'),
+            meanAmount: v('windfallMean'),
+            sdAmount: v('windfallSd'),
+        },
+    };
+}
+
+function setEventFields(events) {
+    const set = (id, val) => { const el = $(id); if (el) el.value = val; };
+    const enabled = $('eventsEnabled');
+    if (enabled) enabled.checked = !!events.enabled;
+    set('jobLossHazard', events.jobLoss.monthlyHazard);
+    set('jobLossMeanMonths', events.jobLoss.meanMonths);
+    set('jobLossSdMonths', events.jobLoss.sdMonths);
+    set('jobLossReplacement', events.jobLoss.replacement);
+    events.shocks.forEach(s => {
+        set(`shock-${s.id}-rate`, s.annualRate);
+        set(`shock-${s.id}-mean`, s.meanCost);
+        set(`shock-${s.id}-sd`, s.sdCost);
+    });
+    set('windfallRate', events.windfall.annualRate);
+    set('windfallMean', events.windfall.meanAmount);
+    set('windfallSd', events.windfall.sdAmount);
+}
+
+// ─── Shock Correlations ───────────────────────────────────────────────────────
+function readShockCorrelation() {
+    const v = id => parseFloat($(id)?.value) || 0;
+    const ie = v('corrIncomeExpense'), ir = v('corrIncomeReturn'), er = v('corrExpenseReturn');
+    return [
+        [1, ie, ir],
+        [ie, 1, er],
+        [ir, er, 1],
+    ];
+}
+
+// ─── Return Model ─────────────────────────────────────────────────────────────
+function readReturnModel() {
+    const v = id => parseFloat($(id)?.value) || 0;
+    return {
+        type: $('returnModel')?.value || 'normal',
+        volatility: v('returnVolatility'),
+        df: v('returnDf'),
+        bull: { annualReturn: v('bullReturn'), volatility: v('bullVol') },
+        bear: { annualReturn: v('bearReturn'), volatility: v('bearVol') },
+        pBullToBear: v('pBullToBear'),
+        pBearToBull: v('pBearToBull'),
+        historical: {
+            blockLength: v('histBlockLength'),
+            startYear: v('histStartYear'),
+            endYear: v('histEndYear'),
+            stockAllocation: v('histStockAllocation'),
+        },
+    };
+}
+
+/** Show only the fields that apply to the selected return model. */
+function syncReturnModelFields() {
+    const type = $('returnModel')?.value || 'normal';
+    $$('[data-return-model]').forEach(el => {
+        el.hidden = !el.dataset.returnModel.split(' ').includes(type);
+    });
+}
+
+/** describeReturnModel — plain-text description of the model used for a run. */
+function describeReturnModel(params) {
+    const rm = params.returnModel;
+    const mean = `${params.savingsReturnRate}% mean annual return`;
+    if (!rm) return `Normal, ${mean} with σ = |μ| × 0.4 + 0.005 per month.`;
+    if (rm.type === 'studentT') {
+        return `${RETURN_MODEL_LABELS.studentT}: ${mean}, ${rm.volatility}% annual volatility, ν = ${rm.df} degrees of `
+            + 'freedom.';
+    }
+    if (rm.type === 'historical') {
+        const h = rm.historical;
+        return `${RETURN_MODEL_LABELS.historical}: ${h.blockLength}-month blocks of ${h.startYear}–${h.endYear} `
+            + `monthly history, ${h.stockAllocation}% stocks / ${100 - h.stockAllocation}% 10-year Treasuries, `
+            + 'expenses inflated along the resampled CPI. The Annual Investment Return and Inflation sliders are not '
+            + 'used.';
+    }
+    if (rm.type === 'regime') {
+        return `${RETURN_MODEL_LABELS.regime}: bull ${rm.bull.annualReturn}% (σ ${rm.bull.volatility}%), bear `
+            + `${rm.bear.annualReturn}% (σ ${rm.bear.volatility}%); monthly switching bull→bear ${rm.pBullToBear}%, `
+            + `bear→bull ${rm.pBearToBull}%. The Annual Investment Return slider is not used.`;
+    }
+    return `${RETURN_MODEL_LABELS.normal}: ${mean}, ${rm.volatility}% annual volatility.`;
+}
+
+function updateMethodologyTab(params) {
+    const el = $('method-return-model');
+    if (el) el.innerHTML = `<strong>Current results:</strong> ${escapeHtml(describeReturnModel(params))}`;
+}
+
+/** Label every tab when the results come from the historical bootstrap. */
+function updateModeBanners(params) {
+    const historical = params.returnModel?.type === 'historical';
+    const h = params.returnModel?.historical;
+    $$('[data-mode-banner]').forEach(el => {
+        el.hidden = !historical;
+        el.innerHTML = historical
+            ? `<strong>Historical bootstrap</strong> — results resample ${h.blockLength}-month blocks of `
+                + `${h.startYear}–${h.endYear} market and CPI history rather than parametric draws.`
+            : '';
+    });
+}
+
+// ─── Read Input Form ──────────────────────────────────────────────────────────
+function readParams() {
+    const v = id => parseFloat($(id)?.value) || 0;
+    const debts = readDebts();
+    const totalDebt = debts.reduce((s, d) => s + d.balance, 0);
+    const retirement = readRetirement();
+    return {
+        monthlyIncome: v('income'),
+        incomeStd: v('income') * (v('incomeVolatility') / 100),
+        monthlyFixedExpenses: v('fixedExpenses'),
+        monthlyVariableExpenses: v('varExpenses'),
+        expenseStd: v('varExpenses') * (v('varVolatility') / 100),
+        initialSavings: v('initialSavings'),
+        initialInvestments: v('initialInvestments'),
+        totalDebt,
+        debtAPR: totalDebt > 0 ? debts.reduce((s, d) => s + d.balance * d.apr, 0) / totalDebt : 0,
+        minimumDebtPayment: debts.reduce((s, d) => s + d.minPayment, 0),
+        debts,
+        payoffStrategy: $('payoffStrategy')?.value || 'avalanche',
+        extraDebtPayment: v('extraDebtPayment'),
+        strategies,
+        savingsReturnRate: v('returnRate'),
+        inflationRate: v('inflationRate'),
+        wageGrowth: v('wageGrowth'),
+        incomeCola: v('incomeCola'),
+        realDollars,
+        horizonYears: retirement.enabled ? horizonMonths({ retirement }) / 12 : v('horizonYears'),
+        savingsGoal: v('savingsGoal'),
+        events: readEvents(),
+        shockCorrelation: readShockCorrelation(),
+        returnModel: readReturnModel(),
+        sampling: readSampling(),
+        bandPercentiles: readBandPercentiles(),
+        tax: readTax(),
+        retirement,
+    };
+}
+
+// ─── Write Input Form ─────────────────────────────────────────────────────────
+/**
+ * setParams — write a readParams-shaped object back into the sidebar (the
+ * inverse of readParams). Its strategies are used for this session only (see
+ * useSessionStrategies); the saved strategy list is left alone.
+ */
+function setParams(params) {
+    const rm = params.returnModel || DEFAULT_RETURN_MODEL;
+    const corr = params.shockCorrelation || shockCholesky(null).matrix;
+    const fields = {
+        income: params.monthlyIncome,
+        incomeVolatility: params.monthlyIncome > 0 ? +(params.incomeStd / params.monthlyIncome * 100).toFixed(2) : 0,
+        wageGrowth: params.wageGrowth,
+        incomeCola: params.incomeCola,
+        fixedExpenses: params.monthlyFixedExpenses,
+        varExpenses: params.monthlyVariableExpenses,
+        varVolatility: params.monthlyVariableExpenses > 0
+            ? +(params.expenseStd / params.monthlyVariableExpenses * 100).toFixed(2) : 0,
+        initialSavings: params.initialSavings,
+        initialInvestments: params.initialInvestments,
+        extraDebtPayment: params.extraDebtPayment,
+        returnRate: params.savingsReturnRate,
+        inflationRate: params.inflationRate,
+        savingsGoal: params.savingsGoal,
+        corrIncomeExpense: corr[0][1],
+        corrIncomeReturn: corr[0][2],
+        corrExpenseReturn: corr[1][2],
+        returnModel: rm.type,
+        returnVolatility: rm.volatility,
+        returnDf: rm.df,
+        bullReturn: rm.bull.annualReturn,
+        bullVol: rm.bull.volatility,
+        bearReturn: rm.bear.annualReturn,
+        bearVol: rm.bear.volatility,
+        pBullToBear: rm.pBullToBear,
+        pBearToBull: rm.pBearToBull,
+        histBlockLength: rm.historical.blockLength,
+        histStartYear: rm.historical.startYear,
+        histEndYear: rm.historical.endYear,
+        histStockAllocation: rm.historical.stockAllocation,
+    };
+    // With retirement on, horizonYears is derived from the ages
+    if (!params.retirement?.enabled) fields.horizonYears = params.horizonYears;
+    for (const [id, val] of Object.entries(fields)) {
+        const el = $(id);
+        if (el && val !== undefined) {
+            el.value = val;
+            el.dispatchEvent(new Event('input'));
+        }
+    }
+    setDebtRows(params.debts || []);
+    const payoff = $('payoffStrategy');
+    if (payoff) payoff.value = params.payoffStrategy || 'avalanche';
+    setEventFields(params.events || DEFAULT_LIFE_EVENTS);
+    setTaxFields(params.tax || DEFAULT_TAX);
+    setRetirementFields(params.retirement || DEFAULT_RETIREMENT);
+    setSamplingFields(params.sampling || DEFAULT_SAMPLING);
+    const bands = $('bandPercentiles');
+    if (bands) bands.value = (params.bandPercentiles || DEFAULT_BAND_PERCENTILES).join(', ');
+    syncReturnModelFields();
+    realDollars = !!params.realDollars;
+    syncDollarButtons();
+    if (params.strategies?.length) useSessionStrategies(params.strategies);
+}
+
+// ─── Profiles ─────────────────────────────────────────────────────────────────
+const PROFILE_STORAGE_KEY = 'finsim.profiles';
+let profiles = loadProfiles();
+let pendingRunLabel = null;
+
+function loadProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+        if (Array.isArray(saved)) return saved.filter(pr => pr && typeof pr.name === 'string' && pr.params);
+    } catch (err) {
+        console.warn('Could not load saved profiles:', err);
+    }
+    return [];
+}
+
+function saveProfiles() {
+    try {
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+    } catch (err) {
+        console.warn('Could not save profiles:', err);
+    }
+}
+
+function renderProfileSelect(selected = $('profileSelect')?.value) {
+    const sel = $('profileSelect');
+    if (!sel) return;
+    sel.innerHTML = profiles.length
+        ? profiles.map(pr => `<option value="${escapeHtml(pr.name)}">${escapeHtml(pr.name)}</option>`).join('')
+        : '<option value="">No saved profiles</option>';
+    if (profiles.some(pr => pr.name === selected)) sel.value = selected;
+    $('loadProfileBtn').disabled = !profiles.length;
+    $('deleteProfileBtn').disabled = !profiles.length;
+}
+
+/** saveProfile — store the current inputs and seed under a name (replacing a namesake). */
+function saveProfile() {
+    const nameEl = $('profileName');
+    const name = nameEl?.value.trim() || `Profile ${profiles.length + 1}`;
+    const profile = { name, savedAt: new Date().toISOString(), params: readParams(), seed: readSeed() };
+    const i = profiles.findIndex(pr => pr.name === name);
+    if (i >= 0) profiles[i] = profile;
+    else profiles.push(profile);
+    saveProfiles();
+    renderProfileSelect(name);
+    if (nameEl) nameEl.value = '';
+}
+
+function loadProfile() {
+    const profile = profiles.find(pr => pr.name === $('profileSelect')?.value);
+    if (!profile || isRunning) return;
+    setParams(profile.params);
+    const seed = $('seed');
+    if (seed) seed.value = profile.seed ?? '';
+    pendingRunLabel = profile.name;
+    runAnalysis();
+}
+
+function deleteProfile() {
+    const name = $('profileSelect')?.value;
+    const profile = profiles.find(pr => pr.name === name);
+    if (!profile || !confirm(`Delete profile "${profile.name}"?`)) return;
+    profiles = profiles.filter(pr => pr !== profile);
+    saveProfiles();
+    renderProfileSelect();
+}
+
+// ─── Shareable Links ──────────────────────────────────────────────────────────
+// The URL hash is `#v=<version>&s=<base64url JSON { params, seed, scenario, tab }>`.
+// Bump SHARE_VERSION when that state changes shape, and add an upgrade from the
+// previous version so links already sent keep opening.
+const SHARE_VERSION = 3;
+const SHARE_MIGRATIONS = {
+    // [n]: state => state upgraded from version n to n + 1
+    1: state => ({ ...state, params: { ...state.params, sampling: { ...DEFAULT_SAMPLING } } }),
+    2: state => ({ ...state, params: { ...state.params, bandPercentiles: [...DEFAULT_BAND_PERCENTILES] } }),
+};
+// Params fields that may legitimately be null (the open-ended top tax bracket)
+const NULLABLE_SHARE_FIELDS = ['upTo'];
+
+function encodeShareState(state) {
+    let bin = '';
+    for (const b of new TextEncoder().encode(JSON.stringify(state))) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeShareState(payload) {
+    const bin = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0))));
+}
+
+/** updateShareHash — point the URL at the displayed run, scenario and tab. */
+function updateShareHash() {
+    if (!lastParams) return;
+    const state = { params: lastParams, seed: lastSeed, scenario: activeScenario, tab: activeTab };
+    history.replaceState(null, '', `#v=${SHARE_VERSION}&s=${encodeShareState(state)}`);
+}
+
+/**
+ * sanitizeShared — `value` checked field by field against `fallback`: anything
+ * missing or of the wrong type takes the fallback and its path is added to
+ * `invalid`. Array items are checked against the fallback's first item.
+ */
+function sanitizeShared(value, fallback, path, invalid) {
+    if (Array.isArray(fallback)) {
+        if (!Array.isArray(value)) {
+            invalid.push(path);
+            return fallback;
+        }
+        if (!fallback.length) return value;
+        return value.map((v, i) => sanitizeShared(v, fallback[0], `${path}[${i}]`, invalid));
+    }
+    if (fallback !== null && typeof fallback === 'object') {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            invalid.push(path);
+            return fallback;
+        }
+        return Object.fromEntries(Object.keys(fallback).map(k =>
+            [k, sanitizeShared(value[k], fallback[k], path ? `${path}.${k}` : k, invalid)]));
+    }
+    const key = path.slice(path.lastIndexOf('.') + 1);
+    if (value === null && NULLABLE_SHARE_FIELDS.includes(key)) return null;
+    if (typeof value !== typeof fallback || (typeof value === 'number' && !Number.isFinite(value))) {
+        invalid.push(path);
+        return fallback;
+    }
+    return value;
+}
+
+function showNotice(message) {
+    setText('app-notice-text', message);
+    const el = $('appNotice');
+    if (el) el.hidden = !message;
+}
+
+/**
+ * restoreFromHash — apply a shared link's inputs, seed, scenario and tab over
+ * the defaults already in the form. Returns false when there is no link.
+ */
+function restoreFromHash() {
+    const hash = new URLSearchParams(location.hash.slice(1));
+    if (!hash.has('s')) return false;
+
+    let state;
+    try {
+        const version = Number(hash.get('v') || 1);
+        if (!Number.isInteger(version) || version < 1 || version > SHARE_VERSION) {
+            throw new Error(`unsupported link version ${hash.get('v')}`);
+        }
+        state = decodeShareState(hash.get('s'));
+        for (let v = version; v < SHARE_VERSION; v++) state = SHARE_MIGRATIONS[v](state);
+    } catch (err) {
+        console.warn('Could not read shared link:', err);
+        showNotice('This link could not be read, so the default inputs were loaded instead.');
+        return false;
+    }
+
+    const invalid = [];
+    const params = sanitizeShared(state?.params, readParams(), 'params', invalid);
+    setParams(params);
+
+    const seed = Number(state?.seed);
+    if (Number.isInteger(seed) && seed >= 0) $('seed').value = seed >>> 0;
+    else invalid.push('seed');
+
+    if (strategies.some(st => st.id === state?.scenario)) switchScenario(state.scenario);
+    else invalid.push('scenario');
+    if ([...$$('.tab-btn')].some(btn => btn.dataset.tab === state?.tab)) switchTab(state.tab);
+    else invalid.push('tab');
+
+    if (invalid.length) {
+        const list = invalid.slice(0, 6).join(', ') + (invalid.length > 6 ? ` and ${invalid.length - 6} more` : '');
+        showNotice(`Some fields in this link were missing or invalid and use their defaults: ${list}.`);
+    }
+    return true;
+}
+
+async function copyShareLink() {
+    updateShareHash();
+    const btn = $('copyLinkBtn');
+    try {
+        await navigator.clipboard.writeText(location.href);
+        if (btn) btn.textContent = 'Copied!';
+    } catch (err) {
+        // Clipboard blocked (e.g. file://) — the address bar already holds the link
+        if (btn) btn.textContent = 'Link in address bar';
+    }
+    setTimeout(() => { if (btn) btn.textContent = 'Copy Link'; }, 2000);
+}
+
+// ─── Export / Import ──────────────────────────────────────────────────────────
+function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportResults(kind) {
+    if (!lastResults) return;
+    const base = `finsim-seed${lastSeed}`;
+    if (kind === 'ending-csv') downloadFile(`${base}-ending-net-worth.csv`, endingNetWorthCsv(lastResults), 'text/csv');
+    if (kind === 'trajectories-csv') downloadFile(`${base}-trajectories.csv`, trajectoryCsv(lastResults), 'text/csv');
+    if (kind === 'bundle-json') {
+        const bundle = buildResultsBundle(lastResults, lastParams, lastSeed, lastRuns, readVaRSettings());
+        downloadFile(`${base}-results.json`, JSON.stringify(bundle), 'application/json');
+    }
+    const menu = $('exportMenu');
+    if (menu) menu.open = false;
+}
+
+/** importResults — restore a results bundle's inputs and results without rerunning. */
+async function importResults(file) {
+    if (!file || isRunning) return;
+    try {
+        const bundle = parseResultsBundle(await file.text());
+        const invalid = [];
+        const params = sanitizeShared(bundle.inputs, readParams(), 'inputs', invalid);
+        setParams(params);
+        const seed = $('seed');
+        if (seed) seed.value = bundle.seed ?? '';
+        pendingRunLabel = `Imported ${file.name}`;
+        showResults(bundle.results, params, bundle.seed, bundle.runs);
+        showNotice(invalid.length
+            ? `Imported ${file.name}; some inputs were missing or invalid and the sidebar shows their defaults: `
+                + `${invalid.slice(0, 6).join(', ')}${invalid.length > 6 ? ` and ${invalid.length - 6} more` : ''}.`
+            : '');
+    } catch (err) {
+        showNotice(`Could not import ${file.name}: ${err.message}`);
+    }
+    const menu = $('exportMenu');
+    if (menu) menu.open = false;
+}
+
+// ─── Transaction Import ───────────────────────────────────────────────────────
+const CATEGORY_RULES_STORAGE_KEY = 'finsim.categoryRules';
+let txRows = null;
+let lastCalibration = null;
+
+function loadCategoryRules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CATEGORY_RULES_STORAGE_KEY));
+        if (Array.isArray(saved)) return saved.filter(r => r && typeof r.pattern === 'string');
+    } catch (err) {
+        console.warn('Could not load category rules:', err);
+    }
+    return DEFAULT_CATEGORY_RULES.map(r => ({ ...r }));
+}
+
+function saveCategoryRules(rules) {
+    try {
+        localStorage.setItem(CATEGORY_RULES_STORAGE_KEY, JSON.stringify(rules));
+    } catch (err) {
+        console.warn('Could not save category rules:', err);
+    }
+}
+
+function txRuleRowHtml(r) {
+    const options = TRANSACTION_CATEGORIES.map(c =>
+        `<option value="${c}"${c === r.category ? ' selected' : ''}>${c}</option>`).join('');
+    return `
+        <input type="text" class="cell-input" data-field="pattern" value="${escapeHtml(r.pattern)}"
+            placeholder="text or /regex/" title="Matched against the description" />
+        <select class="cell-input" data-field="category" title="Category">${options}</select>
+        <button class="btn-ghost btn-icon-sm" data-action="remove" title="Remove rule">✕</button>`;
+}
+
+function addTxRuleRow(r = { pattern: '', category: 'variable' }) {
+    const list = $('txRuleList');
+    if (!list) return;
+    const row = document.createElement('div');
+    row.className = 'bracket-row tx-rule-row';
+    row.innerHTML = txRuleRowHtml(r);
+    list.appendChild(row);
+}
+
+function readTxRules() {
+    return [...$$('#txRuleList .tx-rule-row')].map(row => ({
+        pattern: row.querySelector('[data-field="pattern"]')?.value.trim() || '',
+        category: row.querySelector('[data-field="category"]')?.value || 'variable',
+    })).filter(r => r.pattern);
+}
+
+/** guessTxMapping — column indices and date format from the header names and first rows. */
+function guessTxMapping(rows) {
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const find = re => header.findIndex(h => re.test(h));
+    const debit = find(/debit|withdraw|money out|paid out/);
+    const credit = find(/credit|deposit|money in|paid in/);
+    const amount = find(/amount|value/);
+    const date = Math.max(0, find(/date|posted/));
+    const samples = rows.slice(1, 50).map(r => (r[date] || '').trim()).filter(Boolean);
+    let dateFormat = 'MM/DD/YYYY';
+    if (samples.some(s => /^\d{4}[-/.]/.test(s))) dateFormat = 'YYYY-MM-DD';
+    else if (samples.some(s => /^\d{1,2}\.\d{1,2}\./.test(s))) dateFormat = 'DD.MM.YYYY';
+    else if (samples.some(s => parseInt(s, 10) > 12)) dateFormat = 'DD/MM/YYYY';
+    const amountCols = [amount, debit, credit].filter(i => i >= 0);
+    return {
+        date,
+        description: find(/desc|payee|merchant|memo|narrative|details|name/),
+        amount: amount >= 0 || debit < 0 || credit < 0 ? amount : -1,
+        debit,
+        credit,
+        dateFormat,
+        decimal: detectDecimalSeparator(rows.slice(1, 50).flatMap(r => amountCols.map(i => r[i]))),
+    };
+}
+
+function setTxMapping(rows) {
+    const header = rows[0];
+    const mapping = guessTxMapping(rows);
+    const columns = `<option value="-1">—</option>`
+        + header.map((h, i) => `<option value="${i}">${escapeHtml(h.trim() || `Column ${i + 1}`)}</option>`).join('');
+    const cols = { txDateCol: 'date', txDescCol: 'description', txAmountCol: 'amount', txDebitCol: 'debit',
+        txCreditCol: 'credit' };
+    for (const [id, key] of Object.entries(cols)) {
+        const el = $(id);
+        if (!el) continue;
+        el.innerHTML = columns;
+        el.value = String(mapping[key]);
+    }
+    const format = $('txDateFormat');
+    if (format) {
+        format.innerHTML = TRANSACTION_DATE_FORMATS.map(f => `<option value="${f}">${f}</option>`).join('');
+        format.value = mapping.dateFormat;
+    }
+    const decimal = $('txDecimal');
+    if (decimal) {
+        decimal.innerHTML = Object.entries(TRANSACTION_DECIMAL_SEPARATORS)
+            .map(([sep, example]) => `<option value="${sep}">${example}</option>`).join('');
+        decimal.value = mapping.decimal;
+    }
+}
+
+function readTxMapping() {
+    const col = id => parseInt($(id)?.value, 10);
+    return {
+        date: col('txDateCol'),
+        description: col('txDescCol'),
+        amount: col('txAmountCol'),
+        debit: col('txDebitCol'),
+        credit: col('txCreditCol'),
+        dateFormat: $('txDateFormat')?.value || 'YYYY-MM-DD',
+        decimal: $('txDecimal')?.value === ',' ? ',' : '.',
+        spendPositive: $('txSign')?.value === 'positive',
+    };
+}
+
+async function loadTransactionFile(file) {
+    if (!file) return;
+    txRows = null;
+    lastCalibration = null;
+    const preview = $('txPreview');
+    if (preview) preview.hidden = true;
+    try {
+        const rows = parseCsv(await file.text());
+        if (rows.length < 2) throw new Error('it has no transactions below the header row.');
+        txRows = rows;
+        setTxMapping(rows);
+        const mapping = $('txMapping');
+        if (mapping) mapping.hidden = false;
+        showNotice('');
+    } catch (err) {
+        showNotice(`Could not read ${file.name}: ${err.message}`);
+    }
+}
+
+function previewCalibration() {
+    if (!txRows) return;
+    const mapping = readTxMapping();
+    const rules = readTxRules();
+    saveCategoryRules(rules);
+    const preview = $('txPreview');
+    if (mapping.date < 0 || (mapping.amount < 0 && mapping.debit < 0 && mapping.credit < 0)) {
+        showNotice('Choose a date column and an amount (or debit / credit) column.');
+        return;
+    }
+    const { transactions, skipped } = readTransactions(txRows, mapping);
+    const months = aggregateMonthly(transactions, rules);
+    lastCalibration = calibrateFromMonths(months, { dropPartial: !!$('txDropPartial')?.checked });
+    if (!lastCalibration) {
+        if (preview) preview.hidden = true;
+        showNotice(`No transactions could be read${skipped ? ` (${skipped} rows skipped)` : ''}; `
+            + 'check the column mapping and date format.');
+        return;
+    }
+    showNotice('');
+    if (preview) preview.hidden = false;
+
+    const c = lastCalibration;
+    setText('tx-note', `${transactions.length.toLocaleString()} transactions`
+        + `${skipped ? ` (${skipped} unreadable rows skipped)` : ''}; calibrated on ${c.months} month`
+        + `${c.months === 1 ? '' : 's'}, ${c.from} to ${c.to}.`);
+    const row = (label, value, current) => `<tr><td>${label}</td><td>${value}</td><td>${current}</td></tr>`;
+    const val = id => parseFloat($(id)?.value) || 0;
+    const dollars = n => `$${Math.round(n).toLocaleString()}`;
+    const calibration = $('txCalibration');
+    if (calibration) {
+        calibration.innerHTML = `<thead><tr><th>Input</th><th>Calibrated</th><th>Current</th></tr></thead><tbody>`
+            + row('Income', dollars(c.income), dollars(val('income')))
+            + row('Income volatility', `±${c.incomeVolatility.toFixed(1)}%`, `±${val('incomeVolatility')}%`)
+            + row('Fixed expenses', dollars(c.fixedExpenses), dollars(val('fixedExpenses')))
+            + row('Variable expenses', dollars(c.varExpenses), dollars(val('varExpenses')))
+            + row('Variable volatility', `±${c.varVolatility.toFixed(1)}%`, `±${val('varVolatility')}%`)
+            + '</tbody>';
+    }
+    const history = $('txHistory');
+    if (history) {
+        const used = new Set(months.slice(...(c.months < months.length ? [1, -1] : [0])).map(m => m.key));
+        history.innerHTML = `<thead><tr><th>Month</th><th>Income</th><th>Fixed</th><th>Variable</th></tr></thead>`
+            + `<tbody>${months.map(m => `<tr${used.has(m.key) ? '' : ' class="tx-excluded" title="Skipped"'}>`
+                + `<td>${m.key}</td><td>${dollars(m.income)}</td><td>${dollars(m.fixed)}</td>`
+                + `<td>${dollars(m.variable)}</td></tr>`).join('')}</tbody>`;
+    }
+}
+
+function applyCalibration() {
+    if (!lastCalibration || isRunning) return;
+    const c = lastCalibration;
+    const fields = {
+        income: Math.round(c.income),
+        incomeVolatility: Math.min(50, Math.round(c.incomeVolatility)),
+        fixedExpenses: Math.round(c.fixedExpenses),
+        varExpenses: Math.round(c.varExpenses),
+        varVolatility: Math.min(100, Math.round(c.varVolatility)),
+    };
+    for (const [id, val] of Object.entries(fields)) {
+        const el = $(id);
+        if (!el) continue;
+        el.value = val;
+        el.dispatchEvent(new Event('input'));
+    }
+    pendingRunLabel = 'Calibrated from transactions';
+    runAnalysis();
+}
+
+// ─── Seed ─────────────────────────────────────────────────────────────────────
+/**
+ * readSeed — seed from the sidebar field, or a fresh one written back into the
+ * field so the run can be reproduced by simply clicking Run again.
+ */
+function readSeed() {
+    const el = $('seed');
+    const raw = el?.value.trim() ?? '';
+    const parsed = Number(raw);
+    if (raw !== '' && Number.isInteger(parsed) && parsed >= 0) return parsed >>> 0;
+    const seed = randomSeed();
+    if (el) el.value = seed;
+    return seed;
+}
+
+// ─── Sampling ─────────────────────────────────────────────────────────────────
+function readSampling() {
+    return {
+        method: $('samplingMethod')?.value || 'plain',
+        shareStreams: !!$('shareStreams')?.checked,
+    };
+}
+
+function setSamplingFields(sampling) {
+    const method = $('samplingMethod');
+    if (method) method.value = SAMPLING_METHODS[sampling.method] ? sampling.method : 'plain';
+    const share = $('shareStreams');
+    if (share) share.checked = !!sampling.shareStreams;
+}
+
+/** readBandPercentiles — the fan chart's percentiles, typed as a list like "5, 25, 50, 75, 95". */
+function readBandPercentiles() {
+    const typed = ($('bandPercentiles')?.value || '').split(/[\s,]+/).filter(Boolean);
+    return normalizeBandPercentiles({ bandPercentiles: typed });
+}
+
+// ─── Run Count ────────────────────────────────────────────────────────────────
+/** readRunSpec — runs per scenario, or an adaptive spec for runMonteCarlo. */
+function readRunSpec() {
+    const value = $('runCount')?.value || '5000';
+    if (value === 'adaptive') return { precision: parseFloat($('runPrecision')?.value) || 0.005 };
+    return parseInt(value, 10) || 5000;
+}
+
+function syncRunCountFields() {
+    const precision = $('runPrecision');
+    if (precision) precision.hidden = $('runCount')?.value !== 'adaptive';
+}
+
+// ─── Engine Runner ────────────────────────────────────────────────────────────
+let activeWorker = null;
+let cancelActiveRun = null;
+let workerFallbackNoticed = false;
+const CANCEL_BUTTONS = ['cancelBtn', 'solverCancelBtn', 'sensCancelBtn'];
+
+/** setCancelAvailable — show Cancel only while a run can actually be stopped. */
+function setCancelAvailable(available) {
+    for (const id of CANCEL_BUTTONS) {
+        const btn = $(id);
+        if (btn) btn.hidden = !available;
+    }
+}
+
+/**
+ * runOnMainThread — the fallback when no worker can run: hide Cancel (a
+ * main-thread run blocks the page until it ends, so it cannot be cancelled),
+ * say why once per session, then run `runInThread` after a paint.
+ */
+function runOnMainThread(runInThread, resolve, reject) {
+    cancelActiveRun = null;
+    setCancelAvailable(false);
+    if (!workerFallbackNoticed) {
+        workerFallbackNoticed = true;
+        showNotice('Background workers are unavailable here (for example when the page is opened from '
+            + 'file://), so runs block the page until they finish and cannot be cancelled.');
+    }
+    // Yield to paint before blocking the main thread
+    setTimeout(() => {
+        try {
+            resolve(runInThread());
+        } catch (err) {
+            reject(err);
+        }
+    }, 30);
+}
+
+/**
+ * runInWorker — post `message` to a fresh Web Worker, falling back to
+ * `runInThread` on the main thread where workers are unavailable (e.g. when
+ * opened from file://).
+ * @returns {Promise<Object>} resolves with results, rejects with 'cancelled' on cancel
+ */
+function runInWorker(message, runInThread, onProgress) {
+    return new Promise((resolve, reject) => {
+        let worker = null;
+        try {
+            worker = new Worker('src/worker.js');
+        } catch (err) {
+            worker = null;
+        }
+
+        if (!worker) {
+            runOnMainThread(runInThread, resolve, reject);
+            return;
+        }
+
+        const finish = () => {
+            worker.terminate();
+            activeWorker = null;
+            cancelActiveRun = null;
+        };
+
+        activeWorker = worker;
+        setCancelAvailable(true);
+        cancelActiveRun = () => {
+            finish();
+            reject(new Error('cancelled'));
+        };
+
+        worker.onmessage = e => {
+            const msg = e.data;
+            if (msg.type === 'progress') {
+                onProgress?.(msg);
+            } else if (msg.type === 'done') {
+                finish();
+                resolve(msg.results);
+            } else if (msg.type === 'error') {
+                finish();
+                reject(new Error(msg.message));
+            }
+        };
+        worker.onerror = e => {
+            e.preventDefault();
+            finish();
+            // Worker script could not load — run in-thread instead
+            runOnMainThread(runInThread, resolve, reject);
+        };
+
+        worker.postMessage(message);
+    });
 }
 
-// ─── Read Input Form ──────────────────────────────────────────────────────────
-function readParams() {
-    const v = id => parseFloat($(id)?.value) || 0;
-    return {
-        monthlyIncome: v('income'),
-        incomeStd: v('income') * (v('incomeVolatility') / 100),
-        monthlyFixedExpenses: v('fixedExpenses'),
-        monthlyVariableExpenses: v('varExpenses'),
-        expenseStd: v('varExpenses') * 0.25,
-        initialSavings: v('initialSavings'),
-        initialInvestments: v('initialInvestments'),
-        totalDebt: v('totalDebt'),
-        debtAPR: v('debtAPR'),
-        minimumDebtPayment: v('minDebtPayment'),
-        savingsReturnRate: v('returnRate'),
-        inflationRate: v('inflationRate'),
-        horizonYears: v('horizonYears'),
-        savingsGoal: v('savingsGoal'),
-    };
+/** runEngine — runMonteCarlo via runInWorker. */
+function runEngine(params, runs, seed, onProgress) {
+    return runInWorker({ type: 'run', params, runs, seed },
+        () => runMonteCarlo(params, runs, seed, onProgress), onProgress);
+}
+
+/** runSolverEngine — runGoalSolver via runInWorker. */
+function runSolverEngine(params, options, onProgress) {
+    return runInWorker({ type: 'solve', params, options },
+        () => runGoalSolver(params, options, onProgress), onProgress);
+}
+
+/** runSensitivityEngine — runSensitivity via runInWorker. */
+function runSensitivityEngine(params, options, onProgress) {
+    return runInWorker({ type: 'sensitivity', params, options },
+        () => runSensitivity(params, options, onProgress), onProgress);
+}
+
+// ─── Run Progress ─────────────────────────────────────────────────────────────
+function showRunProgress(visible) {
+    const el = $('runProgress');
+    if (el) el.hidden = !visible;
+    if (visible) {
+        setProgress('run-progress-bar', 0);
+        setText('run-progress-text', 'Starting…');
+    }
+}
+
+function updateRunProgress({ scenario, scenarioIndex, scenarioCount, run, runs }) {
+    const overall = (scenarioIndex + run / runs) / scenarioCount;
+    setProgress('run-progress-bar', overall);
+    setText('run-progress-text',
+        `${SCENARIO_LABELS[scenario] ?? scenario} (${scenarioIndex + 1}/${scenarioCount}) — `
+        + `run ${run.toLocaleString()} / ${runs.toLocaleString()}`);
+}
+
+function cancelAnalysis() {
+    if (cancelActiveRun) cancelActiveRun();
 }
 
 // ─── Run Analysis ─────────────────────────────────────────────────────────────
@@ -69,83 +1342,293 @@ async function runAnalysis() {
     const btn = $('runBtn');
     btn.classList.add('loading');
     btn.textContent = 'Running…';
-
-    // Yield to paint
-    await new Promise(r => setTimeout(r, 30));
+    showRunProgress(true);
 
     try {
         const params = readParams();
-        const runs = 5000;
-        const results = runMonteCarlo(params, runs);
-        lastResults = results;
-
-        updateDashboard(results, params);
-        updateSimulationTab(results, params);
-        updateScenariosTab(results, params);
-        updateAnalyticsTab(results, params);
+        const seed = readSeed();
+        const results = await runEngine(params, readRunSpec(), seed, updateRunProgress);
+        // Adaptive runs can stop at a different count per scenario
+        const runs = Math.max(...Object.values(results).map(r => r.runs));
+        showResults(results, params, seed, runs);
     } catch (err) {
-        console.error('Simulation error:', err);
+        if (err.message !== 'cancelled') console.error('Simulation error:', err);
     }
 
+    showRunProgress(false);
     btn.classList.remove('loading');
     btn.innerHTML = '<span class="btn-icon">▶</span> Run Analysis';
     isRunning = false;
 }
 
+/** showResults — make a finished (or imported) run the current one and redraw every tab. */
+function showResults(results, params, seed, runs) {
+    lastResults = results;
+    lastSeed = seed;
+    lastParams = params;
+    lastRuns = runs;
+    recordRun(results, params, seed, runs);
+    updateShareHash();
+
+    updateDashboard(results, params);
+    updateSimulationTab(results, params);
+    updateScenariosTab(results, params);
+    updateAnalyticsTab(results, params);
+    updateMethodologyTab(params);
+    updateModeBanners(params);
+}
+
+// ─── Nominal / Real Dollars ───────────────────────────────────────────────────
+/** Switch every reported figure between nominal and today's dollars (re-runs with the same seed). */
+function setDollarBasis(real) {
+    if (isRunning || real === realDollars) return;
+    realDollars = real;
+    syncDollarButtons();
+    runAnalysis();
+}
+
+function syncDollarButtons() {
+    $$('.dollar-btn').forEach(btn => btn.classList.toggle('active', (btn.dataset.dollars === 'real') === realDollars));
+}
+
+// ─── Monte Carlo Error ────────────────────────────────────────────────────────
+const mcErrorCache = new WeakMap();
+
+/**
+ * monteCarloError — sampling error of a scenario's headline figures: Wilson
+ * intervals for its probabilities, a normal interval for the mean and bootstrap
+ * intervals for the 1st, 5th, 50th and 95th percentiles of ending net worth.
+ * Each estimate also carries its variance reduction factor (vrf) — the i.i.d.
+ * variance over the variance seen across the engine's sampling replicates —
+ * or null when the result has no replicates. Cached per result, as the
+ * bootstrap is the slow part.
+ */
+function monteCarloError(sc) {
+    if (mcErrorCache.has(sc)) return mcErrorCache.get(sc);
+    const n = sc.runs ?? sc.endingNetWorths.length;
+    const wilson = p => wilsonInterval(Math.round(p * n), n);
+    const sorted = [...sc.endingNetWorths].sort((a, b) => a - b);
+    const [p1, p5, median, p95] = bootstrapQuantiles(sorted, [1, 5, 50, 95], { rng: createRng(lastSeed ?? 0) });
+    const meanSe = Math.sqrt(variance(sc.endingNetWorths) / n);
+    const z = normalQuantile(0.975);
+    const avg = mean(sc.endingNetWorths);
+    const error = {
+        n,
+        ruinProbability: wilson(sc.ruinProbability),
+        goalProbability: wilson(sc.goalProbability),
+        debtFreeProbability: wilson(sc.debtFreeProbability ?? 0),
+        mean: { value: avg, se: meanSe, lo: avg - z * meanSe, hi: avg + z * meanSe },
+        p1, p5, median, p95,
+    };
+    const replicates = sc.sampling?.replicates;
+    for (const key of ['ruinProbability', 'goalProbability', 'mean', 'p1', 'p5', 'median', 'p95']) {
+        const values = replicates?.[key];
+        const spread = values?.length > 1 ? variance(values) / values.length : 0;
+        error[key].vrf = spread > 0 ? error[key].se ** 2 / spread : null;
+    }
+    error.debtFreeProbability.vrf = null;
+    mcErrorCache.set(sc, error);
+    return error;
+}
+
+/** fmtPctError — "2.1% ±0.4", the ± being the interval half-width in points. */
+function fmtPctError(ci) {
+    return `${fmtPct(ci.p)} ±${((ci.hi - ci.lo) * 50).toFixed(1)}`;
+}
+
+function fmtInterval(ci, fmt) {
+    return `${fmt(ci.lo)} – ${fmt(ci.hi)}`;
+}
+
+// ─── Value-at-Risk ────────────────────────────────────────────────────────────
+const VAR_REFERENCES = { start: 'starting net worth', median: 'median outcome' };
+const varRiskCache = new WeakMap();
+
+/** readVaRSettings — { reference: 'start' | 'median', method: key of VAR_METHODS }. */
+function readVaRSettings() {
+    const reference = $('varReference')?.value;
+    const method = $('varMethod')?.value;
+    return {
+        reference: VAR_REFERENCES[reference] ? reference : 'start',
+        method: VAR_METHODS[method] ? method : 'historical',
+    };
+}
+
+/** varReference — the riskMeasures reference for a run's inputs. */
+function varReference(params, settings) {
+    return settings.reference === 'median' ? 'median' : initialNetWorth(params);
+}
+
+/**
+ * scenarioRisk — 95% and 99% VaR and 95% CVaR of a scenario under the chosen
+ * definition, with bootstrap intervals. Cached per result and setting.
+ */
+function scenarioRisk(sc, params) {
+    const settings = readVaRSettings();
+    const key = `${settings.reference}|${settings.method}`;
+    if (!varRiskCache.has(sc)) varRiskCache.set(sc, new Map());
+    const cache = varRiskCache.get(sc);
+    if (!cache.has(key)) {
+        const sorted = [...sc.endingNetWorths].sort((a, b) => a - b);
+        const reference = varReference(params, settings);
+        const at = alpha => bootstrapRiskMeasures(sorted, alpha, settings.method, reference,
+            { rng: createRng(lastSeed ?? 0) });
+        const r95 = at(0.95), r99 = at(0.99);
+        cache.set(key, { settings, reference: r95.reference, var95: r95.var, var99: r99.var, cvar95: r95.cvar });
+    }
+    return cache.get(key);
+}
+
+function updateVaR(sc, params) {
+    const risk = scenarioRisk(sc, params);
+    const { reference, method } = risk.settings;
+    renderVaRChart('varChart', sc.endingNetWorths, {
+        reference: risk.reference,
+        referenceLabel: reference === 'median' ? 'Median' : 'Start',
+        var95: risk.var95.value,
+        var99: risk.var99.value,
+        cvar95: risk.cvar95.value,
+    });
+    const basis = VAR_REFERENCES[reference];
+    for (const [id, ci, text] of [
+        ['analytics-var95', risk.var95, `Loss vs ${basis} not exceeded in 95% of runs`],
+        ['analytics-var99', risk.var99, `Loss vs ${basis} not exceeded in 99% of runs`],
+        ['analytics-cvar95', risk.cvar95, `Mean loss vs ${basis} in the worst 5% of runs`],
+    ]) {
+        setText(id, fmtMoney(ci.value));
+        setText(`${id}-sub`, `${text} · 95% CI ${fmtInterval(ci, fmtMoney)}`);
+    }
+    const n = sc.endingNetWorths.length.toLocaleString();
+    const notes = {
+        historical: `Non-parametric (historical simulation) VaR from the empirical distribution of ${n} ending `
+            + 'balances; no distributional assumptions.',
+        gaussian: `Normal distribution fitted to the mean and standard deviation of ${n} ending balances.`,
+        'cornish-fisher': `Normal quantiles corrected for the skewness (${skewness(sc.endingNetWorths).toFixed(2)}) `
+            + `and excess kurtosis (${excessKurtosis(sc.endingNetWorths).toFixed(2)}) of ${n} ending balances.`,
+    };
+    setText('var-method-note', `${notes[method]} Intervals: percentile bootstrap, 300 resamples.`);
+}
+
+/** refreshVaR — redraw every VaR figure after the definition or method changes. */
+function refreshVaR() {
+    if (!lastResults) return;
+    updateDashboard(lastResults, lastParams);
+    updateAnalyticsTab(lastResults, lastParams);
+    if (activeTab === 'compare') updateCompareTab();
+}
+
 // ─── Dashboard Tab ────────────────────────────────────────────────────────────
+// Every dashboard figure: [key, label, format, higher is better]
+const DASHBOARD_METRICS = [
+    ['median', 'Median Net Worth', 'money', true],
+    ['p95', '95th Percentile', 'money', true],
+    ['p5', '5th Percentile', 'money', true],
+    ['ruinProbability', 'Ruin Probability', 'pct', false],
+    ['goalProbability', 'Goal Probability', 'pct', true],
+    ['medianDebtFreeMonth', 'Median Debt-Free', 'months', false],
+    ['var95', '95% VaR', 'money', false],
+    ['surplus', 'Monthly Surplus', 'money', true],
+    ['dti', 'Debt-to-Income', 'pct', false],
+    ['afterTaxMedian', 'After-Tax Median', 'money', true],
+    ['meanTaxPaid', 'Mean Tax Paid', 'money', false],
+];
+
+/** dashboardMetrics — the dashboard figures for one scenario of a run. */
+function dashboardMetrics(sc, params) {
+    const sorted = [...sc.endingNetWorths].sort((a, b) => a - b);
+    const taxed = !!params.tax?.enabled;
+    const varSettings = readVaRSettings();
+    return {
+        median: sorted[Math.floor(sorted.length / 2)],
+        p95: percentile(sorted, 95, true),
+        p5: percentile(sorted, 5, true),
+        ruinProbability: sc.ruinProbability,
+        goalProbability: sc.goalProbability,
+        medianDebtFreeMonth: sc.medianDebtFreeMonth,
+        var95: riskMeasures(sorted, 0.95, varSettings.method, varReference(params, varSettings)).var,
+        // Monthly cash flow (take-home pay when income is gross)
+        surplus: monthlyTakeHome(params)
+            - params.monthlyFixedExpenses
+            - params.monthlyVariableExpenses
+            - params.minimumDebtPayment,
+        dti: params.monthlyIncome > 0 ? params.minimumDebtPayment / params.monthlyIncome : 0,
+        afterTaxMedian: taxed ? sc.afterTaxNetWorths[Math.floor(sc.afterTaxNetWorths.length / 2)] : null,
+        meanTaxPaid: taxed ? sc.meanTaxPaid : null,
+    };
+}
+
+const fitCache = new WeakMap();
+
+/** scenarioFit — distributionFit of a scenario's ending net worths, cached per result. */
+function scenarioFit(sc) {
+    if (!fitCache.has(sc)) fitCache.set(sc, distributionFit(sc.endingNetWorths));
+    return fitCache.get(sc);
+}
+
+function renderDashHistogram(sc) {
+    const bins = Math.round(+$('histBins')?.value) || 35;
+    renderHistogram('dashHistogram', sc.endingNetWorths, { bins, fit: scenarioFit(sc) });
+}
+
 function updateDashboard(results, params) {
     const sc = results[activeScenario];
-    const nw = sc.endingNetWorths;
-    const sorted = [...nw].sort((a, b) => a - b);
-    const med = sorted[Math.floor(sorted.length / 2)];
-    const p95 = percentile(sorted, 95, true);
-    const p5 = percentile(sorted, 5, true);
-
-    setText('dash-median-nw', fmtMoney(med));
-    setText('dash-p95-nw', fmtMoney(p95));
-    setText('dash-p5-nw', fmtMoney(p5));
-    setText('dash-ruin', fmtPct(sc.ruinProbability));
-    setText('dash-goal', fmtPct(sc.goalProbability));
-    setText('dash-debtfree', fmtMonths(sc.medianDebtFreeMonth));
-    setText('dash-var95', fmtMoney(valueAtRisk(nw, 0.95)));
-    setText('dash-scenario-label', activeScenario === 'minimum' ? 'Minimum Payment'
-        : activeScenario === 'aggressive' ? 'Aggressive Payoff' : 'Invest Surplus');
+    if (!sc) return; // strategy list changed since the last run
+    const m = dashboardMetrics(sc, params);
+
+    setText('dash-median-nw', fmtMoney(m.median));
+    const taxed = !!params.tax?.enabled;
+    setText('dash-median-sub', ['at end of horizon', taxed && 'pre-tax', params.realDollars && "in today's $"]
+        .filter(Boolean).join(', '));
+    $$('[data-tax-only]').forEach(el => { el.hidden = !taxed; });
+    if (taxed) {
+        setText('qs-aftertax', fmtMoney(m.afterTaxMedian));
+        setText('qs-taxpaid', fmtMoney(m.meanTaxPaid));
+    }
+    setText('dash-p95-nw', fmtMoney(m.p95));
+    setText('dash-p5-nw', fmtMoney(m.p5));
+    const err = monteCarloError(sc);
+    setText('dash-median-ci', `95% CI ${fmtInterval(err.median, fmtMoney)}`);
+    setText('dash-p95-ci', `95% CI ${fmtInterval(err.p95, fmtMoney)}`);
+    setText('dash-p5-ci', `95% CI ${fmtInterval(err.p5, fmtMoney)}`);
+    setText('dash-ruin', fmtPctError(err.ruinProbability));
+    setText('dash-goal', fmtPctError(err.goalProbability));
+    for (const [id, ci] of [['dash-ruin', err.ruinProbability], ['dash-goal', err.goalProbability]]) {
+        const el = $(id);
+        if (el) el.title = `95% Wilson interval ${fmtInterval(ci, p => fmtPct(p, 2))}, ${err.n.toLocaleString()} runs`;
+    }
+    setText('dash-debtfree', fmtMonths(m.medianDebtFreeMonth));
+    setText('dash-var95', fmtMoney(m.var95));
+    setText('dash-scenario-label', sc.name);
 
     setProgress('ruin-bar', sc.ruinProbability);
     setProgress('goal-bar', sc.goalProbability);
     setProgress('debt-bar', sc.debtFreeProbability ?? 0);
 
-    // Monthly cash flow derived stat
-    const surplus = params.monthlyIncome
-        - params.monthlyFixedExpenses
-        - params.monthlyVariableExpenses
-        - params.minimumDebtPayment;
-    setText('dash-surplus', fmtMoney(surplus));
+    setText('dash-surplus', fmtMoney(m.surplus));
     const surplusEl = $('dash-surplus');
-    if (surplusEl) surplusEl.className = `stat-value ${surplus < 0 ? 'negative' : 'positive'}`;
+    if (surplusEl) surplusEl.className = `stat-value ${m.surplus < 0 ? 'negative' : 'positive'}`;
 
     // Debt-to-income ratio
-    const dti = params.monthlyIncome > 0
-        ? ((params.minimumDebtPayment / params.monthlyIncome) * 100).toFixed(1)
-        : 0;
-    setText('dash-dti', `${dti}%`);
+    setText('dash-dti', fmtPct(m.dti));
 
     // Mini histogram on dashboard
-    renderHistogram('dashHistogram', nw);
+    renderDashHistogram(sc);
 
     // Quick Stats panel (unique IDs)
-    setText('qs-debtfree', fmtMonths(sc.medianDebtFreeMonth));
-    setText('qs-var95', fmtMoney(valueAtRisk(nw, 0.95)));
-    setText('qs-surplus', fmtMoney(surplus));
-    setText('qs-scenario', activeScenario === 'minimum' ? 'Minimum Payment'
-        : activeScenario === 'aggressive' ? 'Aggressive Payoff' : 'Invest Surplus');
+    setText('qs-debtfree', fmtMonths(m.medianDebtFreeMonth));
+    setText('qs-var95', fmtMoney(m.var95));
+    setText('qs-var-label', `95% VaR (loss vs ${VAR_REFERENCES[readVaRSettings().reference]})`);
+    setText('qs-surplus', fmtMoney(m.surplus));
+    setText('qs-scenario', sc.name);
 }
 
 // ─── Simulation Tab ───────────────────────────────────────────────────────────
 function updateSimulationTab(results, params) {
     const sc = results[activeScenario];
-    const bands = buildConfidenceBands(sc.sampledTrajectories);
-    renderConfidenceBand('confBandChart', bands, params.horizonYears, activeScenario);
+    if (!sc) return; // strategy list changed since the last run
+    renderFanChart(sc, params);
+    updateRetirementCard(sc, params);
+    updateTimeToRuin(results);
 
     // Descriptive stats table
     const stats = descriptiveStats(sc.endingNetWorths);
@@ -159,60 +1642,198 @@ function updateSimulationTab(results, params) {
         setText('sim-max', fmtMoney(stats.max));
         setText('sim-p5', fmtMoney(stats.p5));
         setText('sim-p95', fmtMoney(stats.p95));
-        setText('sim-runs', stats.n.toLocaleString());
+        setText('sim-runs', `${stats.n.toLocaleString()}${sc.adaptive ? ' (adaptive)' : ''}`);
+        setText('sim-seed', lastSeed ?? '—');
     }
+    updateNormality(sc);
+    renderMonteCarloError(sc);
+}
+
+/** updateNormality — Jarque–Bera and Kolmogorov–Smirnov tests of the ending distribution. */
+function updateNormality(sc) {
+    const table = $('normalityTable');
+    if (!table) return;
+    const fit = scenarioFit(sc);
+    const ln = fit.logNormal;
+    const verdict = p => (p < 0.05 ? 'Rejected' : 'Not rejected');
+    const fmtP = p => (p < 1e-4 ? '< 0.0001' : p.toFixed(4));
+    const rows = [
+        ['Jarque–Bera', 'Normal (skewness and kurtosis)', fit.jarqueBera.statistic.toFixed(1), fit.jarqueBera.pValue],
+        fit.normal.ks && ['Kolmogorov–Smirnov', `Normal, µ ${fmtMoney(fit.mean)}, σ ${fmtMoney(fit.stdDev)}`,
+            `D = ${fit.normal.ks.statistic.toFixed(4)}`, fit.normal.ks.pValue],
+        ln && ['Kolmogorov–Smirnov', `Log-normal, shift ${fmtMoney(ln.shift)}, σ ${ln.sigma.toFixed(3)}`
+            + (ln.sign < 0 ? ' (mirrored)' : ''), `D = ${ln.ks.statistic.toFixed(4)}`, ln.ks.pValue],
+    ].filter(Boolean);
+    table.innerHTML = '<thead><tr><th>Test</th><th>Against</th><th>Statistic</th><th>p-value</th>'
+        + '<th>At 5%</th></tr></thead><tbody>'
+        + rows.map(([test, against, stat, p]) => `<tr><td>${test}</td><td>${against}</td><td>${stat}</td>`
+            + `<td>${fmtP(p)}</td><td>${verdict(p)}</td></tr>`).join('')
+        + '</tbody>';
+    setText('normality-note', `${fit.sorted.length.toLocaleString()} runs · KDE bandwidth ${fmtMoney(fit.bandwidth)}`);
+}
+
+/** scenarioBands — the engine's per-month percentiles, or ones interpolated from sampled paths for older results. */
+function scenarioBands(sc) {
+    return sc.bands ?? buildConfidenceBands(sc.sampledTrajectories);
+}
+
+function renderFanChart(sc, params) {
+    renderConfidenceBand('confBandChart', scenarioBands(sc), params.horizonYears, activeScenario,
+        sc.retirement?.retireMonth ?? null, bandField);
+}
+
+function setBandField(field) {
+    bandField = field;
+    $$('.band-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.field === field));
+    const sc = lastResults?.[activeScenario];
+    if (sc) renderFanChart(sc, lastParams);
+}
+
+function renderMonteCarloError(sc) {
+    const table = $('mcErrorTable');
+    if (!table) return;
+    const err = monteCarloError(sc);
+    const pct = p => fmtPct(p, 2);
+    const rows = [
+        ['Ruin probability', err.ruinProbability, pct, 'Wilson'],
+        ['Goal probability', err.goalProbability, pct, 'Wilson'],
+        ['Debt-free probability', err.debtFreeProbability, pct, 'Wilson'],
+        ['Mean', err.mean, fmtMoney, 'Normal'],
+        ['1st percentile (VaR 99%)', err.p1, fmtMoney, 'Bootstrap'],
+        ['5th percentile', err.p5, fmtMoney, 'Bootstrap'],
+        ['Median', err.median, fmtMoney, 'Bootstrap'],
+        ['95th percentile', err.p95, fmtMoney, 'Bootstrap'],
+    ];
+    const fmtVrf = vrf => (vrf === null ? '—' : `×${vrf < 10 ? vrf.toFixed(1) : Math.round(vrf)}`);
+    table.innerHTML = '<thead><tr><th>Estimate</th><th>Value</th><th>Std Error</th><th>95% Interval</th>'
+        + `<th>Variance Reduction</th><th>Method</th></tr></thead><tbody>${rows.map(([label, ci, fmt, method]) =>
+            `<tr><td>${label}</td><td>${fmt(ci.value ?? ci.p)}</td><td>${fmt(ci.se)}</td>`
+            + `<td>${fmtInterval(ci, fmt)}</td><td>${fmtVrf(ci.vrf)}</td><td>${method}</td></tr>`).join('')}</tbody>`;
+
+    const a = sc.adaptive;
+    const precision = a && `±${+(a.precision * 100).toFixed(2)}%`;
+    const sampling = sc.sampling;
+    const method = sampling?.method ?? 'plain';
+    setText('mc-error-note', `${err.n.toLocaleString()} runs`
+        + (a ? (a.met ? `, adaptive — every interval within ${precision}`
+            : `, adaptive — stopped at the run cap before reaching ${precision}`) : '')
+        + ` · ${SAMPLING_METHODS[method]}${sampling?.shareStreams ? ', streams shared across scenarios' : ''}`
+        + (method === 'plain' ? ''
+            : ' · intervals assume independent runs; the true standard error is about SE / √(variance reduction)'));
+}
+
+function updateRetirementCard(sc, params) {
+    const card = $('retirementCard');
+    if (!card) return;
+    const r = sc.retirement;
+    card.hidden = !r;
+    if (!r) return;
+    const fmtAge = age => (age === null ? '—' : age.toFixed(1));
+    setText('ret-policy', WITHDRAWAL_POLICY_LABELS[params.retirement.policy] ?? '');
+    setText('ret-age', params.retirement.retireAge);
+    setText('ret-portfolio', r.medianPortfolioAtRetirement === null ? '—' : fmtMoney(r.medianPortfolioAtRetirement));
+    setText('ret-depletion', fmtPct(r.depletionProbability));
+    setText('ret-depletion-age', fmtAge(r.medianDepletionAge));
+    setText('ret-depletion-early', fmtAge(r.earlyDepletionAge));
+}
+
+/** updateTimeToRuin — survival and hazard overlays, and when / how deep each scenario's ruin goes. */
+function updateTimeToRuin(results) {
+    renderTimeToRuin('survivalChart', results, 'survival');
+    renderTimeToRuin('hazardChart', results, 'hazard');
+    const table = $('ruinTable');
+    if (!table) return;
+    const orDash = (v, fmt) => (v === null || v === undefined ? '—' : fmt(v));
+    const rows = Object.values(results).map(sc => {
+        const t = sc.timeToRuin;
+        const cells = t
+            ? [
+                fmtPct(sc.ruinProbability),
+                fmtPct(1 - t.survival[Math.min(11, t.survival.length - 1)]),
+                orDash(t.medianRuinMonth, fmtMonths),
+                orDash(t.meanNegativeMonths, m => m.toFixed(1)),
+                orDash(t.medianShortfall, fmtMoney),
+                orDash(t.p95Shortfall, fmtMoney),
+            ]
+            : [fmtPct(sc.ruinProbability), '—', '—', '—', '—', '—'];
+        return `<tr><td>${escapeHtml(sc.name)}</td>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`;
+    });
+    table.innerHTML = '<thead><tr><th>Scenario</th><th>Ruin Probability</th><th>Ruined in Year 1</th>'
+        + '<th>Median First Ruin</th><th>Months Cash-Negative</th><th>Median Shortfall</th>'
+        + `<th>95th Pct Shortfall</th></tr></thead><tbody>${rows.join('')}</tbody>`;
 }
 
 // ─── Scenarios Tab ────────────────────────────────────────────────────────────
 function updateScenariosTab(results, params) {
     renderScenarioBar('scenarioBarChart', results);
 
-    const scenarios = ['minimum', 'aggressive', 'investing'];
-    const labels = { minimum: 'Min Payment', aggressive: 'Aggressive', investing: 'Investing' };
-
-    scenarios.forEach(sc => {
-        const r = results[sc];
-        const sorted = [...r.endingNetWorths].sort((a, b) => a - b);
-        const med = sorted[Math.floor(sorted.length / 2)];
-        setText(`sc-${sc}-median`, fmtMoney(med));
-        setText(`sc-${sc}-ruin`, fmtPct(r.ruinProbability));
-        setText(`sc-${sc}-goal`, fmtPct(r.goalProbability));
-        setText(`sc-${sc}-debt`, fmtMonths(r.medianDebtFreeMonth));
-    });
+    const scenarios = Object.keys(results);
+    const labels = Object.fromEntries(scenarios.map(sc => [sc, results[sc].name]));
+
+    const cards = $('scenarioCards');
+    if (cards) {
+        cards.innerHTML = scenarios.map(sc => {
+            const r = results[sc];
+            const sorted = [...r.endingNetWorths].sort((a, b) => a - b);
+            const med = sorted[Math.floor(sorted.length / 2)];
+            const afterTax = r.afterTaxNetWorths[Math.floor(r.afterTaxNetWorths.length / 2)];
+            const strategy = strategies.find(s => s.id === sc);
+            const err = monteCarloError(r);
+            return `<div class="sc-card sc-card--${cardPalette[sc] || 'violet'}">
+                <div class="sc-card-header">${escapeHtml(r.name)}</div>
+                <div class="sc-stat"><label>Median Net Worth</label><span>${fmtMoney(med)}</span></div>
+                ${params.tax?.enabled
+                    ? `<div class="sc-stat"><label>After-Tax Median</label><span>${fmtMoney(afterTax)}</span></div>`
+                    : ''}
+                <div class="sc-stat"><label>Ruin Risk</label><span>${fmtPctError(err.ruinProbability)}</span></div>
+                ${r.retirement
+                    ? `<div class="sc-stat"><label>Depletion Risk</label><span>${fmtPct(r.retirement.depletionProbability)}</span></div>`
+                    : ''}
+                <div class="sc-stat"><label>Goal Probability</label><span>${fmtPctError(err.goalProbability)}</span></div>
+                <div class="sc-stat"><label>Median Debt-Free</label><span>${fmtMonths(r.medianDebtFreeMonth)}</span></div>
+                <p class="sc-desc">${strategy ? escapeHtml(describeStrategy(strategy)) : ''}</p>
+            </div>`;
+        }).join('');
+    }
+
+    renderDebtPayoffTable(results, scenarios, labels, params);
+}
+
+function renderDebtPayoffTable(results, scenarios, labels, params) {
+    const table = $('debtPayoffTable');
+    if (!table) return;
+    const strategyLabels = { avalanche: 'Avalanche', snowball: 'Snowball', custom: 'Custom order' };
+    setText('sc-debt-strategy', strategyLabels[params.payoffStrategy] ?? '');
+
+    const debts = results[scenarios[0]].debts || [];
+    const head = `<tr><th>Debt</th><th>Balance</th><th>APR</th>${scenarios.map(sc =>
+        `<th>${escapeHtml(labels[sc])} payoff</th><th>${escapeHtml(labels[sc])} interest</th>`).join('')}</tr>`;
+    const rows = debts.map((d, i) => `<tr><td>${escapeHtml(d.name)}</td><td>${fmtMoney(d.balance)}</td>`
+        + `<td>${d.apr.toFixed(1)}%</td>${scenarios.map(sc => {
+            const r = results[sc].debts[i];
+            const payoff = r.payoffProbability < 0.5
+                ? `&gt; horizon`
+                : fmtMonths(r.medianPayoffMonth);
+            return `<td>${payoff}</td><td>${fmtMoney(r.meanInterest)}</td>`;
+        }).join('')}</tr>`).join('');
+    table.innerHTML = `<thead>${head}</thead><tbody>${rows}</tbody>`;
 }
 
 // ─── Analytics Tab ────────────────────────────────────────────────────────────
 function updateAnalyticsTab(results, params) {
     const sc = results[activeScenario];
+    if (!sc) return; // strategy list changed since the last run
     const nw = sc.endingNetWorths;
 
-    // VaR chart
-    const var95 = valueAtRisk(nw, 0.95);
-    const var99 = valueAtRisk(nw, 0.99);
-    const cvar = expectedShortfall(nw, 0.95);
-    renderVaRChart('varChart', nw, var95, var99);
+    updateVaR(sc, params);
 
-    setText('analytics-var95', fmtMoney(var95));
-    setText('analytics-var99', fmtMoney(var99));
-    setText('analytics-cvar95', fmtMoney(cvar));
-
-    // Regression: net worth vs horizon (use median trajectory)
-    const traj = sc.sampledTrajectories;
-    if (traj && traj.length > 0) {
-        const months = traj[0].length;
-        const x = Array.from({ length: months }, (_, i) => i);
-        const medianNW = x.map(m => {
-            const vals = traj.map(t => t[m]?.netWorth ?? 0).sort((a, b) => a - b);
-            return vals[Math.floor(vals.length / 2)];
-        });
-        const reg = simpleLinearRegression(x, medianNW);
-        setText('reg-slope', `${fmtMoney(reg.slope)}/mo`);
-        setText('reg-r2', reg.rSquared.toFixed(4));
-        setText('reg-intercept', fmtMoney(reg.intercept));
-    }
+    updateDriverRegression(sc);
+    updatePathRisk(sc);
+    updateEventAttribution(sc);
 
     // Correlation matrix: income, fixedExp, varExp, debt, savings
     // Use per-run ending values across sampled trajectories
+    const traj = sc.sampledTrajectories;
     if (traj && traj.length > 4) {
         const finalNW = traj.map(t => t[t.length - 1]?.netWorth ?? 0);
         const finalCash = traj.map(t => t[t.length - 1]?.cash ?? 0);
@@ -227,6 +1848,564 @@ function updateAnalyticsTab(results, params) {
         });
         renderCorrelationHeatmap('correlationHeatmap', matrix, labels);
     }
+
+    // Configured input-shock correlations (after any positive-definite adjustment)
+    const shocks = shockCholesky(params.shockCorrelation);
+    renderCorrelationHeatmap('shockCorrelationHeatmap', shocks.matrix, SHOCK_SOURCES);
+    const note = $('shock-corr-note');
+    if (note) note.hidden = !shocks.adjusted;
+}
+
+// Regression drivers: [key in sc.drivers, label, unit the coefficient is quoted per, scale to that unit]
+const DRIVER_ROWS = [
+    ['income', 'Average monthly income', '$1/mo', 1],
+    ['variableSpend', 'Average variable spend', '$1/mo', 1],
+    ['investmentReturn', 'Realized return (annualized)', '1 pp', 0.01],
+    ['jobLossMonths', 'Months of job loss', 'month', 1],
+];
+
+/**
+ * updateDriverRegression — OLS of each run's ending net worth on what the run
+ * actually saw. Drivers that never vary (job loss without life events, spend
+ * with no volatility) are left out rather than making XᵀX singular.
+ */
+function updateDriverRegression(sc) {
+    const table = $('driverRegressionTable');
+    if (!table) return;
+    const drivers = sc.drivers;
+    const rows = DRIVER_ROWS.filter(([key]) => drivers?.[key] && stdDev(drivers[key]) > 0);
+    const reg = drivers && multipleRegression(drivers.endingNetWorth,
+        Object.fromEntries(rows.map(([key]) => [key, drivers[key]])));
+    if (!reg) {
+        table.innerHTML = '';
+        setText('reg-r2', '—');
+        setText('driver-regression-note', drivers
+            ? 'No driver varied across runs, so there is nothing to regress on.'
+            : 'These results predate per-run drivers; rerun to see them.');
+        return;
+    }
+    const body = rows.map(([key, label, unit, scale], j) => {
+        const c = reg.coefficients[j + 1];
+        return `<tr><td>${label}</td><td>${fmtMoney(c.estimate * scale)} per ${unit}</td>`
+            + `<td>${fmtMoney(c.se * scale)}</td><td>${c.t.toFixed(1)}</td>`
+            + `<td>${fmtMoney(c.estimate * stdDev(drivers[key]))}</td></tr>`;
+    });
+    table.innerHTML = '<thead><tr><th>Driver</th><th>Coefficient</th><th>Std Error</th><th>t</th>'
+        + `<th>+1σ Effect</th></tr></thead><tbody>${body.join('')}</tbody>`;
+    setText('reg-r2', `${reg.rSquared.toFixed(3)} (adjusted ${reg.adjustedRSquared.toFixed(3)})`);
+    setText('driver-regression-note', `${reg.n.toLocaleString()} runs · residual SE ${fmtMoney(reg.residualSE)}`);
+}
+
+// Path-risk rows: [key in sc.pathRisk, label, format]
+const PATH_RISK_ROWS = [
+    ['maxDrawdown', 'Maximum drawdown', fmtMoney],
+    ['timeUnderWater', 'Months below prior peak', m => m.toFixed(0)],
+    ['worstYearChange', 'Worst 12-month change', fmtMoney],
+    ['downsideDeviation', 'Downside deviation (per month)', fmtMoney],
+];
+
+/** updatePathRisk — distribution across runs of each net-worth path-risk measure. */
+function updatePathRisk(sc) {
+    const table = $('pathRiskTable');
+    if (!table) return;
+    if (!sc.pathRisk) {
+        table.innerHTML = '';
+        setText('path-risk-note', 'These results predate path-risk metrics; rerun to see them.');
+        return;
+    }
+    const rows = PATH_RISK_ROWS.map(([key, label, fmt]) => {
+        const d = descriptiveStats(sc.pathRisk[key]);
+        const cells = [d.mean, d.p5, d.p25, d.median, d.p75, d.p95].map(v => `<td>${fmt(v)}</td>`).join('');
+        return `<tr><td>${label}</td>${cells}</tr>`;
+    });
+    table.innerHTML = '<thead><tr><th>Measure</th><th>Mean</th><th>5th</th><th>25th</th><th>Median</th>'
+        + `<th>75th</th><th>95th</th></tr></thead><tbody>${rows.join('')}</tbody>`;
+    setText('path-risk-note', `Percentiles across all ${sc.pathRisk.maxDrawdown.length.toLocaleString()} runs `
+        + 'of each run\'s monthly net-worth path.');
+}
+
+function updateEventAttribution(sc) {
+    const table = $('eventAttributionTable');
+    const events = sc.events || [];
+    const note = $('event-attr-note');
+    if (note) note.hidden = events.length > 0;
+    renderEventAttributionChart('eventAttributionChart', events);
+    if (!table) return;
+    if (!events.length) {
+        table.innerHTML = '';
+        return;
+    }
+    table.innerHTML = `<thead><tr><th>Event</th><th>Runs Hit</th><th>Avg / Run</th><th>Ruin if Hit</th>`
+        + `<th>Ruin if Not</th><th>Attributed Ruin</th><th>Share of Ruin</th></tr></thead><tbody>${events.map(e =>
+            `<tr><td>${escapeHtml(e.name)}</td><td>${fmtPct(e.hitProbability)}</td><td>${e.meanCount.toFixed(2)}</td>`
+            + `<td>${fmtPct(e.ruinIfHit)}</td><td>${fmtPct(e.ruinIfNotHit)}</td>`
+            + `<td>${fmtPct(e.attributedRuin, 2)}</td><td>${fmtPct(e.attributableShare)}</td></tr>`).join('')}</tbody>`;
+}
+
+// ─── Sensitivity Analysis ─────────────────────────────────────────────────────
+// readParams field → [display name, value format]
+const SENSITIVITY_INPUTS = {
+    monthlyIncome: ['Monthly income', 'money'],
+    incomeStd: ['Income volatility', 'money'],
+    monthlyFixedExpenses: ['Fixed expenses', 'money'],
+    monthlyVariableExpenses: ['Variable expenses', 'money'],
+    expenseStd: ['Variable-expense volatility', 'money'],
+    initialSavings: ['Cash savings', 'money'],
+    initialInvestments: ['Investments', 'money'],
+    totalDebt: ['Total debt', 'money'],
+    debtAPR: ['Debt APR', 'pct'],
+    minimumDebtPayment: ['Minimum debt payments', 'money'],
+    extraDebtPayment: ['Extra debt payment', 'money'],
+    savingsReturnRate: ['Investment return', 'pct'],
+    inflationRate: ['Inflation', 'pct'],
+    wageGrowth: ['Real wage growth', 'pct'],
+    incomeCola: ['Income COLA', 'pct'],
+    horizonYears: ['Horizon', 'years'],
+    savingsGoal: ['Savings goal', 'money'],
+};
+
+// Nested inputs by path, array indices as '*'; {name} is the element's name, {n} its position
+const SENSITIVITY_NESTED_INPUTS = {
+    'returnModel.volatility': ['Return volatility', 'pct'],
+    'returnModel.df': ['Student-t degrees of freedom', 'number'],
+    'returnModel.bull.annualReturn': ['Bull-market return', 'pct'],
+    'returnModel.bull.volatility': ['Bull-market volatility', 'pct'],
+    'returnModel.bear.annualReturn': ['Bear-market return', 'pct'],
+    'returnModel.bear.volatility': ['Bear-market volatility', 'pct'],
+    'returnModel.pBullToBear': ['Bull → bear chance / mo', 'pct'],
+    'returnModel.pBearToBull': ['Bear → bull chance / mo', 'pct'],
+    'returnModel.historical.blockLength': ['Bootstrap block length (mo)', 'number'],
+    'returnModel.historical.stockAllocation': ['Stock allocation', 'pct'],
+    'tax.deduction': ['Standard deduction', 'money'],
+    'tax.brackets.*.upTo': ['Tax bracket {n} ceiling', 'money'],
+    'tax.brackets.*.rate': ['Tax bracket {n} rate', 'pct'],
+    'tax.deferredPct': ['Tax-deferred contribution', 'pct'],
+    'tax.deferredLimit': ['Tax-deferred limit', 'money'],
+    'tax.initialDeferred': ['Tax-deferred balance', 'money'],
+    'tax.rothPct': ['Roth contribution', 'pct'],
+    'tax.rothLimit': ['Roth limit', 'money'],
+    'tax.initialRoth': ['Roth balance', 'money'],
+    'tax.capitalGainsRate': ['Capital-gains rate', 'pct'],
+    'retirement.currentAge': ['Current age', 'years'],
+    'retirement.retireAge': ['Retirement age', 'years'],
+    'retirement.endAge': ['Plan end age', 'years'],
+    'retirement.annualAmount': ['Retirement spending', 'money'],
+    'retirement.withdrawalRate': ['Withdrawal rate', 'pct'],
+    'retirement.guardrails.upper': ['Upper guardrail', 'pct'],
+    'retirement.guardrails.lower': ['Lower guardrail', 'pct'],
+    'retirement.guardrails.adjust': ['Guardrail adjustment', 'pct'],
+    'retirement.pensions.*.startAge': ['{name} start age', 'years'],
+    'retirement.pensions.*.annualAmount': ['{name} per year', 'money'],
+    'events.jobLoss.monthlyHazard': ['Job-loss chance / mo', 'pct'],
+    'events.jobLoss.meanMonths': ['Job-loss mean length (mo)', 'number'],
+    'events.jobLoss.sdMonths': ['Job-loss length spread (mo)', 'number'],
+    'events.jobLoss.replacement': ['Income replaced out of work', 'pct'],
+    'events.shocks.*.annualRate': ['{name} per year', 'number'],
+    'events.shocks.*.meanCost': ['{name} mean cost', 'money'],
+    'events.shocks.*.sdCost': ['{name} cost spread', 'money'],
+    'events.windfall.annualRate': ['Windfalls per year', 'number'],
+    'events.windfall.meanAmount': ['Windfall mean amount', 'money'],
+    'events.windfall.sdAmount': ['Windfall amount spread', 'money'],
+};
+// params of the sensitivity run being shown or in progress, for naming array elements
+let sensitivityParams = null;
+
+const SENSITIVITY_COLUMNS = [
+    { id: 'input', label: 'Input' },
+    { id: 'value', label: 'Base' },
+    { id: 'median', label: 'Δ Median −/+' },
+    { id: 'ruinProbability', label: 'Δ Ruin −/+' },
+    { id: 'goalProbability', label: 'Δ Goal −/+' },
+];
+let sensitivitySort = { column: 'median', asc: false };
+
+/** sensitivityInput — [label, format] for a sensitivityInputs path. */
+function sensitivityInput(key) {
+    if (SENSITIVITY_INPUTS[key]) return SENSITIVITY_INPUTS[key];
+    const spec = SENSITIVITY_NESTED_INPUTS[key.replace(/\.\d+(?=\.)/g, '.*')];
+    if (!spec) return [key, 'number'];
+    const index = key.match(/\.(\d+)\./);
+    const element = index && key.slice(0, index.index).split('.').reduce((v, k) => v?.[k], sensitivityParams)
+        ?.[index[1]];
+    const label = spec[0]
+        .replace('{n}', index ? +index[1] + 1 : '')
+        .replace('{name}', element?.name || `Item ${index ? +index[1] + 1 : ''}`);
+    return [label, spec[1]];
+}
+
+const sensitivityLabel = key => sensitivityInput(key)[0];
+
+function fmtSensitivityValue(key, v) {
+    const kind = sensitivityInput(key)[1];
+    if (kind === 'money') return fmtMoney(v);
+    if (kind === 'pct') return `${v.toFixed(2)}%`;
+    if (kind === 'years') return `${v.toFixed(1)} yrs`;
+    return v.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function fmtSensitivityDelta(metric, d) {
+    if (metric === 'median') return `${d >= 0 ? '+' : '−'}${fmtMoney(Math.abs(d))}`;
+    return `${d >= 0 ? '+' : '−'}${(Math.abs(d) * 100).toFixed(1)} pp`;
+}
+
+/** Sort key for a table column — outcome columns rank by swing (high − low). */
+function sensitivitySortValue(inp, column, base) {
+    if (column === 'input') return sensitivityLabel(inp.key);
+    if (column === 'value') return inp.value;
+    return Math.abs((inp.high[column] - base[column]) - (inp.low[column] - base[column]));
+}
+
+function renderSensitivityTable() {
+    const table = $('sensitivityTable');
+    if (!table) return;
+    if (!lastSensitivity) {
+        table.innerHTML = '';
+        return;
+    }
+    const { base, inputs } = lastSensitivity;
+    const { column, asc } = sensitivitySort;
+    const rows = [...inputs].sort((a, b) => {
+        const va = sensitivitySortValue(a, column, base);
+        const vb = sensitivitySortValue(b, column, base);
+        const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+        return asc ? cmp : -cmp;
+    });
+    const cell = (inp, metric) => `<td>${fmtSensitivityDelta(metric, inp.low[metric] - base[metric])} / `
+        + `${fmtSensitivityDelta(metric, inp.high[metric] - base[metric])}</td>`;
+
+    table.innerHTML = `<thead><tr>${SENSITIVITY_COLUMNS.map(c => {
+        const cls = c.id === column ? ` class="sorted${asc ? ' asc' : ''}"` : '';
+        return `<th data-sort="${c.id}"${cls}>${c.label}</th>`;
+    }).join('')}</tr></thead><tbody>${rows.map(inp =>
+        `<tr><td>${escapeHtml(sensitivityLabel(inp.key))}</td><td>${fmtSensitivityValue(inp.key, inp.value)}</td>`
+        + `${cell(inp, 'median')}${cell(inp, 'ruinProbability')}${cell(inp, 'goalProbability')}</tr>`).join('')}</tbody>`;
+}
+
+function onSensitivitySort(e) {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const column = th.dataset.sort;
+    // Outcome columns start widest-swing first, text / value columns ascending
+    sensitivitySort = column === sensitivitySort.column
+        ? { column, asc: !sensitivitySort.asc }
+        : { column, asc: column === 'input' };
+    renderSensitivityTable();
+}
+
+function renderSensitivity() {
+    const note = $('sens-note');
+    if (note && lastSensitivity) {
+        const { base, strategyName, deltaPct, runs, seed } = lastSensitivity;
+        note.textContent = `${strategyName}: each input ±${deltaPct}%, ${runs.toLocaleString()} runs per point, `
+            + `seed ${seed}. Base median ${fmtMoney(base.median)}, ruin ${fmtPct(base.ruinProbability)}, `
+            + `goal ${fmtPct(base.goalProbability)}.`;
+    }
+    renderTornadoChart('tornadoChart', lastSensitivity, $('sensMetric')?.value || 'median',
+        Object.fromEntries((lastSensitivity?.inputs || []).map(inp => [inp.key, sensitivityLabel(inp.key)])));
+    renderSensitivityTable();
+}
+
+function updateSensitivityProgress({ input, step, steps }) {
+    setProgress('sens-progress-bar', step / steps);
+    setText('sens-progress-text', input
+        ? `${sensitivityLabel(input)} — step ${step} / ${steps}`
+        : `Baseline — step ${step} / ${steps}`);
+}
+
+async function runSensitivityAnalysis() {
+    if (isRunning) return;
+    isRunning = true;
+
+    const btn = $('sensRunBtn');
+    btn.disabled = true;
+    const progress = $('sensProgress');
+    if (progress) progress.hidden = false;
+    setProgress('sens-progress-bar', 0);
+    setText('sens-progress-text', 'Starting…');
+
+    const shownParams = sensitivityParams;
+    try {
+        const params = readParams();
+        sensitivityParams = params;
+        const options = {
+            deltaPct: Math.min(50, Math.max(1, parseFloat($('sensDelta')?.value) || 10)),
+            runs: parseInt($('sensRuns')?.value, 10) || 500,
+            seed: readSeed(),
+            strategyId: activeScenario,
+        };
+        lastSensitivity = await runSensitivityEngine(params, options, updateSensitivityProgress);
+        renderSensitivity();
+    } catch (err) {
+        sensitivityParams = shownParams;
+        if (err.message !== 'cancelled') {
+            console.error('Sensitivity error:', err);
+            setText('sens-note', `Sensitivity analysis failed: ${err.message}`);
+        }
+    }
+
+    if (progress) progress.hidden = true;
+    btn.disabled = false;
+    isRunning = false;
+}
+
+// ─── Goal Solver ──────────────────────────────────────────────────────────────
+// Solver input → sidebar field it is applied back to
+const SOLVER_FIELDS = {
+    monthlyIncome: 'income',
+    monthlyFixedExpenses: 'fixedExpenses',
+    monthlyVariableExpenses: 'varExpenses',
+    extraDebtPayment: 'extraDebtPayment',
+    initialInvestments: 'initialInvestments',
+    horizonYears: 'horizonYears',
+};
+
+const SOLVER_METRIC_LABELS = {
+    goalProbability: 'goal probability',
+    ruinProbability: 'ruin probability',
+    percentile: 'ending net worth',
+};
+
+function fmtSolverValue(input, v) {
+    if (input === 'horizonYears') return fmtMonths(Math.round(v * 12));
+    return `$${Math.round(v).toLocaleString()}`;
+}
+
+function fmtSolverMetric(metric, v) {
+    return metric === 'percentile' ? fmtMoney(v) : fmtPct(v);
+}
+
+/** Switch the target field between a probability (%) and a net-worth amount ($). */
+function syncSolverFields() {
+    const metric = $('solverMetric')?.value;
+    const isPercentile = metric === 'percentile';
+    const pctField = $('solverPercentileField');
+    if (pctField) pctField.hidden = !isPercentile;
+    setText('solverTargetUnit', isPercentile ? '$' : '%');
+    const target = $('solverTarget');
+    if (target) {
+        target.value = isPercentile ? (parseFloat($('savingsGoal')?.value) || 0)
+            : metric === 'ruinProbability' ? 5 : 80;
+    }
+}
+
+function renderSolverResult() {
+    const r = lastSolve;
+    const box = $('solverResult');
+    if (box) box.hidden = !r;
+    const applyBtn = $('solverApplyBtn');
+    if (applyBtn) applyBtn.disabled = !r;
+    if (!r) return;
+
+    const inputName = sensitivityLabel(r.input);
+    const metricName = r.metric === 'percentile'
+        ? `P${r.percentile} ${SOLVER_METRIC_LABELS.percentile}`
+        : SOLVER_METRIC_LABELS[r.metric];
+    const fmtTarget = fmtSolverMetric(r.metric, r.target);
+    const seeds = r.replicates.length;
+    const se = r.input === 'horizonYears'
+        ? `${(r.stdError * 12).toFixed(1)} months`
+        : `$${Math.round(r.stdError).toLocaleString()}`;
+
+    const relation = r.metric === 'ruinProbability' ? '≤' : '≥';
+    setText('solver-answer-label', `${inputName} for ${metricName} ${relation} ${fmtTarget}`);
+    setText('solver-answer', fmtSolverValue(r.input, r.value));
+    setText('solver-answer-sub', `± ${se} standard error over ${seeds} seed${seeds > 1 ? 's' : ''}; `
+        + `range ${fmtSolverValue(r.input, r.min)} – ${fmtSolverValue(r.input, r.max)} (${r.strategyName})`);
+
+    const m = r.replicates[0].metric;
+    setText('solver-metric', fmtSolverMetric(r.metric, m.value));
+    setText('solver-metric-sub', `95% Monte Carlo interval ${fmtSolverMetric(r.metric, m.low)} – `
+        + `${fmtSolverMetric(r.metric, m.high)} (seed ${r.seed}, ${r.runs.toLocaleString()} runs)`);
+    setText('solver-base', fmtSolverMetric(r.metric, r.base.value));
+    setText('solver-base-sub', `${inputName} at ${fmtSolverValue(r.input, r.current)}; 95% interval `
+        + `${fmtSolverMetric(r.metric, r.base.low)} – ${fmtSolverMetric(r.metric, r.base.high)}`);
+
+    const note = $('solver-note');
+    if (note) {
+        const range = `${fmtSolverValue(r.input, r.lo)} and ${fmtSolverValue(r.input, r.hi)}`;
+        const metAt = r.replicates.filter(rep => rep.alreadyMet).length;
+        note.hidden = r.reachable && !metAt;
+        if (!r.reachable) {
+            note.textContent = `The target is out of reach for ${inputName.toLowerCase()} between ${range} on at `
+                + 'least one seed; the answer shown is the end of that range closest to the target.';
+        } else if (metAt) {
+            const end = SOLVER_INPUTS[r.input]?.lowers ? 'highest' : 'lowest';
+            note.textContent = `The target is already met for ${inputName.toLowerCase()} anywhere between ${range}`
+                + `${r.alreadyMet ? '' : ` on ${metAt} of ${seeds} seeds`}; `
+                + `those seeds report the ${end} value in that range.`;
+        } else {
+            note.textContent = '';
+        }
+    }
+}
+
+function updateSolverProgress({ replicate, replicates, step, steps }) {
+    setProgress('solver-progress-bar', step / steps);
+    setText('solver-progress-text', `Seed ${replicate + 1} / ${replicates} — step ${step} / ${steps}`);
+}
+
+async function runGoalSolve() {
+    if (isRunning) return;
+    isRunning = true;
+
+    const btn = $('solverRunBtn');
+    btn.disabled = true;
+    const progress = $('solverProgress');
+    if (progress) progress.hidden = false;
+    setProgress('solver-progress-bar', 0);
+    setText('solver-progress-text', 'Starting…');
+
+    try {
+        const params = readParams();
+        const metric = $('solverMetric')?.value || 'goalProbability';
+        const rawTarget = parseFloat($('solverTarget')?.value) || 0;
+        const options = {
+            metric,
+            percentile: Math.min(99, Math.max(1, parseFloat($('solverPercentile')?.value) || 50)),
+            target: metric === 'percentile' ? rawTarget : Math.min(100, Math.max(0, rawTarget)) / 100,
+            input: $('solverInput')?.value || 'monthlyIncome',
+            runs: parseInt($('solverRuns')?.value, 10) || 500,
+            replicates: parseInt($('solverReplicates')?.value, 10) || 5,
+            seed: readSeed(),
+            strategyId: activeScenario,
+        };
+        lastSolve = await runSolverEngine(params, options, updateSolverProgress);
+        renderSolverResult();
+    } catch (err) {
+        if (err.message !== 'cancelled') {
+            const note = $('solver-note');
+            if (note) {
+                note.hidden = false;
+                note.textContent = err.message;
+            }
+        }
+    }
+
+    if (progress) progress.hidden = true;
+    btn.disabled = false;
+    isRunning = false;
+}
+
+/** Write the solved value back into the sidebar and rerun. */
+function applySolverResult() {
+    if (!lastSolve || isRunning) return;
+    const el = $(SOLVER_FIELDS[lastSolve.input]);
+    if (!el) return;
+    el.value = lastSolve.input === 'horizonYears' ? Math.ceil(lastSolve.value) : Math.round(lastSolve.value);
+    el.dispatchEvent(new Event('input'));
+    runAnalysis();
+}
+
+// ─── Run History & Comparison ─────────────────────────────────────────────────
+// Results are large, so history lives in memory for the session only
+const RUN_HISTORY_LIMIT = 10;
+let runHistory = [];
+let runCounter = 0;
+
+/** recordRun — keep a finished run's inputs and results for the Compare tab. */
+function recordRun(results, params, seed, runs) {
+    const id = ++runCounter;
+    const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const label = `Run ${id}${pendingRunLabel ? ` — ${pendingRunLabel}` : ''} (${time}, seed ${seed})`;
+    pendingRunLabel = null;
+    runHistory.push({ id, label, seed, runs, params, results });
+    if (runHistory.length > RUN_HISTORY_LIMIT) runHistory.shift();
+    renderCompareSelects(true);
+}
+
+/** Fill the Run A / B pickers; after a new run, B becomes the latest and A the one before. */
+function renderCompareSelects(newRun = false) {
+    const a = $('compareA'), b = $('compareB');
+    if (!a || !b) return;
+    const prevA = a.value, prevB = b.value;
+    const options = [...runHistory].reverse()
+        .map(r => `<option value="${r.id}">${escapeHtml(r.label)}</option>`).join('');
+    a.innerHTML = options;
+    b.innerHTML = options;
+    const ids = runHistory.map(r => String(r.id));
+    const latest = ids[ids.length - 1] ?? '';
+    const previous = ids[ids.length - 2] ?? latest;
+    a.value = !newRun && ids.includes(prevA) ? prevA : previous;
+    b.value = !newRun && ids.includes(prevB) ? prevB : latest;
+    if (activeTab === 'compare') updateCompareTab();
+}
+
+function fmtMetric(kind, v) {
+    if (v === null || v === undefined) return '—';
+    if (kind === 'pct') return fmtPct(v);
+    if (kind === 'months') return fmtMonths(v);
+    return fmtMoney(v);
+}
+
+function fmtMetricDelta(kind, d) {
+    const sign = d > 0 ? '+' : d < 0 ? '−' : '';
+    if (kind === 'pct') return `${sign}${(Math.abs(d) * 100).toFixed(1)} pp`;
+    if (kind === 'months') return `${sign}${Math.abs(d)} mo`;
+    return `${sign}${fmtMoney(Math.abs(d))}`;
+}
+
+function updateCompareTab() {
+    const runA = runHistory.find(r => String(r.id) === $('compareA')?.value);
+    const runB = runHistory.find(r => String(r.id) === $('compareB')?.value);
+    const table = $('compareTable');
+    const note = $('compare-note');
+
+    // Scenarios present in both runs
+    const scSel = $('compareScenario');
+    const common = runA && runB ? Object.keys(runA.results).filter(id => runB.results[id]) : [];
+    if (scSel) {
+        const prev = scSel.value;
+        scSel.innerHTML = common
+            .map(id => `<option value="${escapeHtml(id)}">${escapeHtml(runB.results[id].name)}</option>`).join('');
+        scSel.value = common.includes(prev) ? prev : common.includes(activeScenario) ? activeScenario : common[0] ?? '';
+    }
+    const scId = scSel?.value;
+
+    if (!runA || !runB || runA === runB || !scId) {
+        if (note) {
+            note.textContent = runHistory.length < 2
+                ? `Run the analysis at least twice to compare runs. The last ${RUN_HISTORY_LIMIT} runs are kept `
+                    + 'until the page is reloaded.'
+                : runA === runB ? 'Pick two different runs.' : 'The two runs share no scenario.';
+        }
+        if (table) table.innerHTML = '';
+        renderHistogramComparison('compareHistogram', []);
+        renderBandComparison('compareBands', []);
+        return;
+    }
+
+    const scA = runA.results[scId], scB = runB.results[scId];
+    const mA = dashboardMetrics(scA, runA.params), mB = dashboardMetrics(scB, runB.params);
+    if (note) {
+        note.textContent = `${scB.name}: A = run ${runA.id} (seed ${runA.seed}, ${runA.runs.toLocaleString()} runs), `
+            + `B = run ${runB.id} (seed ${runB.seed}, ${runB.runs.toLocaleString()} runs).`;
+    }
+    if (table) {
+        const shown = DASHBOARD_METRICS.filter(([key]) => mA[key] !== null || mB[key] !== null);
+        const rows = shown.map(([key, label, kind, higherBetter]) => {
+            const a = mA[key], b = mB[key];
+            const d = a !== null && b !== null ? b - a : null;
+            const cls = !d ? '' : (d > 0) === higherBetter ? ' class="better"' : ' class="worse"';
+            return `<tr><td>${label}</td><td>${fmtMetric(kind, a)}</td><td>${fmtMetric(kind, b)}</td>`
+                + `<td${cls}>${d === null ? '—' : fmtMetricDelta(kind, d)}</td></tr>`;
+        });
+        table.innerHTML = '<thead><tr><th>Metric</th><th>Run A</th><th>Run B</th><th>Δ (B − A)</th></tr></thead>'
+            + `<tbody>${rows.join('')}</tbody>`;
+    }
+
+    renderHistogramComparison('compareHistogram', [
+        { label: `Run ${runA.id}`, values: scA.endingNetWorths },
+        { label: `Run ${runB.id}`, values: scB.endingNetWorths },
+    ]);
+    renderBandComparison('compareBands', [
+        { label: `Run ${runA.id}`, bands: scenarioBands(scA) },
+        { label: `Run ${runB.id}`, bands: scenarioBands(scB) },
+    ]);
+}
+
+function clearRunHistory() {
+    runHistory = lastResults ? runHistory.slice(-1) : [];
+    renderCompareSelects();
 }
 
 // ─── Tab Switching ────────────────────────────────────────────────────────────
@@ -243,6 +2422,8 @@ function switchTab(tab) {
         if (tab === 'scenarios') updateScenariosTab(lastResults, p);
         if (tab === 'analytics') updateAnalyticsTab(lastResults, p);
     }
+    if (tab === 'compare') updateCompareTab();
+    updateShareHash();
 }
 
 // ─── Scenario Switcher ────────────────────────────────────────────────────────
@@ -255,6 +2436,7 @@ function switchScenario(sc) {
         updateSimulationTab(lastResults, p);
         updateAnalyticsTab(lastResults, p);
     }
+    updateShareHash();
 }
 
 // ─── Slider Labels ────────────────────────────────────────────────────────────
@@ -272,17 +2454,34 @@ function loadSampleData() {
     const fields = {
         income: 7500,
         incomeVolatility: 8,
+        wageGrowth: 1,
+        incomeCola: 100,
         fixedExpenses: 2800,
         varExpenses: 1500,
+        varVolatility: 25,
         initialSavings: 12000,
         initialInvestments: 25000,
-        totalDebt: 38000,
-        debtAPR: 6.5,
-        minDebtPayment: 750,
+        extraDebtPayment: 0,
         returnRate: 7,
         inflationRate: 3,
         horizonYears: 15,
         savingsGoal: 500000,
+        corrIncomeExpense: -0.2,
+        corrIncomeReturn: 0.3,
+        corrExpenseReturn: -0.2,
+        returnModel: DEFAULT_RETURN_MODEL.type,
+        returnVolatility: DEFAULT_RETURN_MODEL.volatility,
+        returnDf: DEFAULT_RETURN_MODEL.df,
+        bullReturn: DEFAULT_RETURN_MODEL.bull.annualReturn,
+        bullVol: DEFAULT_RETURN_MODEL.bull.volatility,
+        bearReturn: DEFAULT_RETURN_MODEL.bear.annualReturn,
+        bearVol: DEFAULT_RETURN_MODEL.bear.volatility,
+        pBullToBear: DEFAULT_RETURN_MODEL.pBullToBear,
+        pBearToBull: DEFAULT_RETURN_MODEL.pBearToBull,
+        histBlockLength: DEFAULT_RETURN_MODEL.historical.blockLength,
+        histStartYear: DEFAULT_RETURN_MODEL.historical.startYear,
+        histEndYear: DEFAULT_RETURN_MODEL.historical.endYear,
+        histStockAllocation: DEFAULT_RETURN_MODEL.historical.stockAllocation,
     };
     for (const [id, val] of Object.entries(fields)) {
         const el = $(id);
@@ -291,6 +2490,16 @@ function loadSampleData() {
             el.dispatchEvent(new Event('input'));
         }
     }
+    setDebtRows([
+        { name: 'Credit Card', balance: 6000, apr: 22.9, minPayment: 180 },
+        { name: 'Car Loan', balance: 14000, apr: 6.9, minPayment: 320 },
+        { name: 'Student Loans', balance: 18000, apr: 5.5, minPayment: 250 },
+    ]);
+    const strategy = $('payoffStrategy');
+    if (strategy) strategy.value = 'avalanche';
+    setEventFields(DEFAULT_LIFE_EVENTS);
+    setTaxFields(DEFAULT_TAX);
+    setRetirementFields(DEFAULT_RETIREMENT);
 }
 
 // ─── Init ─────────────────────────────────────────────────────────────────────
@@ -300,13 +2509,87 @@ function init() {
         btn.addEventListener('click', () => switchTab(btn.dataset.tab));
     });
 
-    // Scenario buttons
-    $$('.sc-btn').forEach(btn => {
-        btn.addEventListener('click', () => switchScenario(btn.dataset.scenario));
+    // Scenario buttons (rendered per strategy)
+    $('scenarioStrip')?.addEventListener('click', e => {
+        const btn = e.target.closest('.sc-btn');
+        if (btn) switchScenario(btn.dataset.scenario);
+    });
+
+    // Strategies
+    applyStrategies();
+    initStrategyBuilder();
+
+    // Nominal / real dollar toggle
+    $$('.dollar-btn').forEach(btn => {
+        btn.addEventListener('click', () => setDollarBasis(btn.dataset.dollars === 'real'));
+    });
+
+    // Fan chart balance
+    $$('.band-btn').forEach(btn => {
+        btn.addEventListener('click', () => setBandField(btn.dataset.field));
     });
 
-    // Run button
+    // Run / cancel buttons
     $('runBtn')?.addEventListener('click', runAnalysis);
+    $('cancelBtn')?.addEventListener('click', cancelAnalysis);
+
+    // Profiles and run comparison
+    renderProfileSelect();
+    $('saveProfileBtn')?.addEventListener('click', saveProfile);
+    $('loadProfileBtn')?.addEventListener('click', loadProfile);
+    $('deleteProfileBtn')?.addEventListener('click', deleteProfile);
+    ['compareA', 'compareB', 'compareScenario'].forEach(id => $(id)?.addEventListener('change', updateCompareTab));
+    ['varReference', 'varMethod'].forEach(id => $(id)?.addEventListener('change', refreshVaR));
+    $('clearHistoryBtn')?.addEventListener('click', clearRunHistory);
+
+    // Goal solver
+    $('solverMetric')?.addEventListener('change', syncSolverFields);
+    $('solverRunBtn')?.addEventListener('click', runGoalSolve);
+    $('solverCancelBtn')?.addEventListener('click', cancelAnalysis);
+    $('solverApplyBtn')?.addEventListener('click', applySolverResult);
+
+    // Sensitivity analysis
+    $('sensRunBtn')?.addEventListener('click', runSensitivityAnalysis);
+    $('sensCancelBtn')?.addEventListener('click', cancelAnalysis);
+    $('sensMetric')?.addEventListener('change', renderSensitivity);
+    $('sensitivityTable')?.addEventListener('click', onSensitivitySort);
+
+    // New seed button — next run uses a fresh, reproducible seed
+    $('newSeedBtn')?.addEventListener('click', () => {
+        const el = $('seed');
+        if (el) el.value = randomSeed();
+    });
+    $('runCount')?.addEventListener('input', syncRunCountFields);
+
+    // Debt list
+    $('debtList')?.addEventListener('click', onDebtListClick);
+    $('addDebtBtn')?.addEventListener('click', () => addDebtRow());
+
+    // Tax brackets
+    $('bracketList')?.addEventListener('click', e => {
+        if (e.target.closest('[data-action="remove"]')) e.target.closest('.bracket-row').remove();
+    });
+    $('addBracketBtn')?.addEventListener('click', () => addBracketRow());
+    $('taxEnabled')?.addEventListener('change', syncTaxFields);
+
+    // Transaction import
+    loadCategoryRules().forEach(r => addTxRuleRow(r));
+    $('txRuleList')?.addEventListener('click', e => {
+        if (e.target.closest('[data-action="remove"]')) e.target.closest('.tx-rule-row').remove();
+    });
+    $('addTxRuleBtn')?.addEventListener('click', () => addTxRuleRow());
+    $('txFile')?.addEventListener('change', e => loadTransactionFile(e.target.files[0]));
+    $('txPreviewBtn')?.addEventListener('click', previewCalibration);
+    $('txApplyBtn')?.addEventListener('click', applyCalibration);
+
+    // Retirement
+    $('pensionList')?.addEventListener('click', e => {
+        if (e.target.closest('[data-action="remove"]')) e.target.closest('.pension-row').remove();
+    });
+    $('addPensionBtn')?.addEventListener('click', () => addPensionRow());
+    ['retirementEnabled', 'currentAge', 'endAge', 'withdrawalPolicy'].forEach(id =>
+        $(id)?.addEventListener('input', syncRetirementFields));
+    $('retirementEnabled')?.addEventListener('change', syncRetirementFields);
 
     // Sample data button
     $('sampleBtn')?.addEventListener('click', () => {
@@ -317,11 +2600,39 @@ function init() {
     // Slider bindings
     bindSlider('horizonYears', 'horizonLabel', v => `${v} years`);
     bindSlider('incomeVolatility', 'volLabel', v => `±${v}%`);
+    bindSlider('varVolatility', 'varVolLabel', v => `±${v}%`);
+    bindSlider('wageGrowth', 'wageGrowthLabel', v => `${v}%/yr`);
+    bindSlider('incomeCola', 'incomeColaLabel', v => `${v}% of inflation`);
     bindSlider('inflationRate', 'inflationLabel', v => `${v}%`);
     bindSlider('returnRate', 'returnLabel', v => `${v}%`);
+    bindSlider('histBins', 'histBinsLabel', v => `${v}`);
+    $('histBins')?.addEventListener('input', () => {
+        const sc = lastResults?.[activeScenario];
+        if (sc) renderDashHistogram(sc);
+    });
+
+    // Return model fields
+    $('returnModel')?.addEventListener('input', syncReturnModelFields);
+    syncReturnModelFields();
+
+    // Export menu
+    $$('[data-export]').forEach(btn => btn.addEventListener('click', () => exportResults(btn.dataset.export)));
+    $('importFile')?.addEventListener('change', e => {
+        importResults(e.target.files[0]);
+        e.target.value = '';
+    });
+    document.addEventListener('click', e => {
+        const menu = $('exportMenu');
+        if (menu?.open && !menu.contains(e.target)) menu.open = false;
+    });
+
+    // Shareable links
+    $('copyLinkBtn')?.addEventListener('click', copyShareLink);
+    $('appNoticeClose')?.addEventListener('click', () => showNotice(''));
 
-    // Auto-load sample and run on start
+    // Start from the sample inputs, overlaid with a shared link if there is one
     loadSampleData();
+    restoreFromHash();
     runAnalysis();
 }
 
@@ -2,11 +2,15 @@
  * charts.js — Chart.js Wrappers for all visualizations
  *
  * Renders:
- *   1. Histogram of ending net-worth distribution
- *   2. Confidence-band time series (p5 / p50 / p95)
+ *   1. Histogram of ending net-worth distribution with density, fit and σ overlays
+ *   2. Percentile fan chart of net worth, cash, investments or debt
  *   3. Scenario comparison bar chart
  *   4. Correlation heatmap (custom canvas)
  *   5. VaR / CVaR visualization
+ *   6. Life-event ruin attribution (horizontal bar)
+ *   7. Sensitivity tornado (horizontal bar)
+ *   8. Run comparison (overlaid histograms and confidence bands)
+ *   9. Time to ruin (survival curve and monthly hazard per scenario)
  */
 
 "use strict";
@@ -37,6 +41,15 @@ const COLORS = {
     text: 'rgba(255,255,255,0.55)',
 };
 
+// Palette cycled by strategy position — the first three match the built-in scenarios
+const SCENARIO_PALETTE = [
+    { name: 'rose', border: COLORS.rose, bg: COLORS.roseA },
+    { name: 'emerald', border: COLORS.emerald, bg: COLORS.emeraldA },
+    { name: 'violet', border: COLORS.violet, bg: COLORS.violetA },
+    { name: 'cyan', border: COLORS.cyan, bg: COLORS.cyanA },
+    { name: 'amber', border: COLORS.amber, bg: COLORS.amberA },
+];
+
 const SCENARIO_COLORS = {
     minimum: { border: COLORS.rose, bg: COLORS.roseA },
     aggressive: { border: COLORS.emerald, bg: COLORS.emeraldA },
@@ -49,6 +62,25 @@ const SCENARIO_LABELS = {
     investing: 'Invest Surplus',
 };
 
+/**
+ * registerScenarios — rebuild SCENARIO_COLORS / SCENARIO_LABELS for the
+ * current strategy list so every chart renders however many strategies exist.
+ * @param {Array<{id,name}>} strategies
+ * @returns {Object} { [id]: paletteName } for matching CSS card classes
+ */
+function registerScenarios(strategies) {
+    for (const k of Object.keys(SCENARIO_COLORS)) delete SCENARIO_COLORS[k];
+    for (const k of Object.keys(SCENARIO_LABELS)) delete SCENARIO_LABELS[k];
+    const paletteNames = {};
+    strategies.forEach((s, i) => {
+        const c = SCENARIO_PALETTE[i % SCENARIO_PALETTE.length];
+        SCENARIO_COLORS[s.id] = { border: c.border, bg: c.bg };
+        SCENARIO_LABELS[s.id] = s.name;
+        paletteNames[s.id] = c.name;
+    });
+    return paletteNames;
+}
+
 // ─── Shared Chart Defaults ────────────────────────────────────────────────────
 const BASE_OPTIONS = {
     responsive: true,
@@ -98,16 +130,31 @@ function fmtMoney(n) {
     return `$${n.toFixed(0)}`;
 }
 
+/** ordinal — 1st, 2nd, 3rd, 5th, 12th, 2.5th… */
+function ordinal(n) {
+    const tens = n % 100;
+    const suffix = !Number.isInteger(n) || (tens >= 11 && tens <= 13) ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+    return `${n}${suffix}`;
+}
+
 // ─── 1. Histogram ─────────────────────────────────────────────────────────────
-function renderHistogram(canvasId, endingNetWorths, title = 'Ending Net Worth Distribution') {
+const FIT_POINTS = 160;
+
+/**
+ * renderHistogram — ending net-worth histogram overlaid with a kernel density
+ * estimate, fitted normal and log-normal curves (click the legend to toggle)
+ * and dashed lines at the mean and ±1σ / ±2σ.
+ * @param {Object} [opts]  { title, bins, fit } — fit from distributionFit, computed when omitted
+ */
+function renderHistogram(canvasId, endingNetWorths, { title = 'Ending Net Worth Distribution', bins = 35, fit } = {}) {
     destroyChart(canvasId);
     const ctx = document.getElementById(canvasId)?.getContext('2d');
     if (!ctx || !endingNetWorths.length) return;
 
-    const sorted = [...endingNetWorths].sort((a, b) => a - b);
+    const dist = fit ?? distributionFit(endingNetWorths);
+    const { sorted } = dist;
     const min = sorted[0];
     const max = sorted[sorted.length - 1];
-    const bins = 35;
     const step = (max - min) / bins || 1;
 
     const labels = [];
@@ -126,22 +173,50 @@ function renderHistogram(canvasId, endingNetWorths, title = 'Ending Net Worth Di
         counts[bi]++;
     }
 
+    // curves are densities scaled to expected runs per bin, drawn on a hidden
+    // linear axis spanning the same [min, max] as the bars
+    const xs = Array.from({ length: FIT_POINTS + 1 }, (_, i) => min + (max - min) * i / FIT_POINTS);
+    const perBin = sorted.length * step;
+    const curve = (label, color, density, dash = []) => ({
+        type: 'line', label, xAxisID: 'xFit', parsing: false,
+        data: xs.map((x, i) => ({ x, y: density(x, i) * perBin })),
+        borderColor: color, borderWidth: 2, borderDash: dash, pointRadius: 0, fill: false, tension: 0,
+    });
+    const kde = kernelDensity(sorted, xs, dist.bandwidth);
+    const overlays = [curve(`KDE (h = ${fmtMoney(dist.bandwidth)})`, 'rgba(255,255,255,0.85)', (x, i) => kde[i])];
+    if (dist.stdDev > 0) {
+        overlays.push(curve('Normal fit', COLORS.violet, x => normalPdf(x, dist.mean, dist.stdDev), [6, 4]));
+    }
+    if (dist.logNormal) {
+        overlays.push(curve('Log-normal fit', COLORS.amber, x => logNormalPdf(x, dist.logNormal), [2, 3]));
+    }
+
+    const markers = [{ value: dist.mean, label: 'Mean', color: 'rgba(255,255,255,0.7)' }];
+    for (const k of [1, 2]) {
+        const color = k === 1 ? COLORS.cyan : 'hsla(185, 85%, 55%, 0.55)';
+        markers.push({ value: dist.mean - k * dist.stdDev, label: `−${k}σ`, color });
+        markers.push({ value: dist.mean + k * dist.stdDev, label: `+${k}σ`, color });
+    }
+
     const opts = deepMerge(BASE_OPTIONS, {
         plugins: {
-            legend: { display: false },
+            legend: { labels: { filter: item => item.datasetIndex > 0 } },
             title: {
                 display: !!title, text: title,
                 color: '#fff', font: { family: 'Inter', size: 14, weight: '600' }, padding: { bottom: 16 },
             },
             tooltip: {
                 callbacks: {
-                    label: ctx => `Count: ${ctx.raw}  (${((ctx.raw / sorted.length) * 100).toFixed(1)}%)`,
-                    title: ctx => `~${ctx[0].label}`,
+                    label: ctx => (ctx.dataset.type === 'line'
+                        ? `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)} per bin`
+                        : `Count: ${ctx.raw}  (${((ctx.raw / sorted.length) * 100).toFixed(1)}%)`),
+                    title: ctx => `~${ctx[0].dataset.type === 'line' ? fmtMoney(ctx[0].parsed.x) : ctx[0].label}`,
                 },
             },
         },
         scales: {
             x: { ...BASE_OPTIONS.scales.x, title: { display: true, text: 'Net Worth', color: COLORS.text } },
+            xFit: { type: 'linear', display: false, min, max },
             y: { ...BASE_OPTIONS.scales.y, title: { display: true, text: 'Frequency', color: COLORS.text } },
         },
     });
@@ -151,40 +226,67 @@ function renderHistogram(canvasId, endingNetWorths, title = 'Ending Net Worth Di
         data: {
             labels,
             datasets: [{
+                label: 'Runs',
                 data: counts,
                 backgroundColor: bColors,
                 borderColor: bColors.map(c => c.replace('hsl', 'hsla').replace(')', ', 0.9)')),
                 borderWidth: 1,
                 borderRadius: 3,
-            }],
+            }, ...overlays],
         },
         options: opts,
+        // bin i is centred on min + (i + 0.5) · step
+        plugins: [valueMarkers(markers, v => (v - min) / step - 0.5)],
     });
 }
 
-// ─── 2. Confidence Band Time Series ──────────────────────────────────────────
-function renderConfidenceBand(canvasId, bands, horizonYears, scenario) {
+// ─── 2. Percentile Fan Chart ──────────────────────────────────────────────────
+const BAND_FIELD_LABELS = { netWorth: 'Net Worth', cash: 'Cash', savings: 'Investments', debt: 'Debt' };
+
+/** withAlpha — an hsl() colour as hsla() with the given opacity. */
+function withAlpha(color, alpha) {
+    return color.replace('hsl(', 'hsla(').replace(')', `, ${alpha})`);
+}
+
+/** medianIndex — index of the percentile closest to the 50th. */
+function medianIndex(percentiles) {
+    return percentiles.reduce((best, p, i) => (Math.abs(p - 50) < Math.abs(percentiles[best] - 50) ? i : best), 0);
+}
+
+/**
+ * renderConfidenceBand — fan chart of one balance: a line per percentile, the
+ * band between neighbouring percentiles shaded darker the closer it sits to the
+ * median.
+ * @param {Object} bands  a result's bands (or buildConfidenceBands)
+ * @param {string} field  'netWorth' | 'cash' | 'savings' | 'debt'
+ */
+function renderConfidenceBand(canvasId, bands, horizonYears, scenario, retireMonth = null, field = 'netWorth') {
     destroyChart(canvasId);
     const ctx = document.getElementById(canvasId)?.getContext('2d');
     if (!ctx) return;
 
-    const { p5, p50, p95 } = bands;
-    const months = p50.length;
+    const { percentiles } = bands;
+    const series = bands[field] || [];
+    const months = series[0]?.length ?? 0;
     const labels = Array.from({ length: months }, (_, i) => {
         const yr = i / 12;
         return i % 12 === 0 ? `Yr ${Math.round(yr)}` : '';
     });
 
-    const sc = SCENARIO_COLORS[scenario] || SCENARIO_COLORS.minimum;
+    const sc = SCENARIO_COLORS[scenario] || SCENARIO_PALETTE[0];
+    const mid = medianIndex(percentiles);
+    const fieldLabel = BAND_FIELD_LABELS[field] || field;
 
     const opts = deepMerge(BASE_OPTIONS, {
+        interaction: { mode: 'index', intersect: false },
         plugins: {
             legend: { display: true },
             title: {
-                display: true, text: `Net Worth Projection — ${SCENARIO_LABELS[scenario]}`,
+                display: true, text: `${fieldLabel} Projection — ${SCENARIO_LABELS[scenario]}`,
                 color: '#fff', font: { family: 'Inter', size: 14, weight: '600' }, padding: { bottom: 16 },
             },
             tooltip: {
+                itemSort: (a, b) => b.datasetIndex - a.datasetIndex,
                 callbacks: {
                     label: item => `${item.dataset.label}: ${fmtMoney(item.raw)}`,
                 },
@@ -193,55 +295,60 @@ function renderConfidenceBand(canvasId, bands, horizonYears, scenario) {
         scales: {
             x: { ...BASE_OPTIONS.scales.x, title: { display: true, text: 'Time', color: COLORS.text } },
             y: {
-                ...BASE_OPTIONS.scales.y, title: { display: true, text: 'Net Worth ($)', color: COLORS.text },
+                ...BASE_OPTIONS.scales.y, title: { display: true, text: `${fieldLabel} ($)`, color: COLORS.text },
                 ticks: { ...BASE_OPTIONS.scales.y.ticks, callback: v => fmtMoney(v) }
             },
         },
     });
 
+    // Ascending, so each line fills down to the one below it
+    const datasets = percentiles.map((p, i) => {
+        const below = percentiles[i - 1];
+        const centrality = i ? 1 - Math.max(Math.abs(p - 50), Math.abs(below - 50)) / 50 : 0;
+        return {
+            label: i === mid ? `Median (${ordinal(p)})` : `${ordinal(p)} Percentile`,
+            data: series[i],
+            borderColor: i === mid ? sc.border : withAlpha(sc.border, 0.55),
+            backgroundColor: withAlpha(sc.border, +(0.06 + 0.24 * centrality).toFixed(3)),
+            borderWidth: i === mid ? 2.5 : 1,
+            borderDash: i === mid ? [] : [4, 3],
+            pointRadius: 0,
+            fill: i ? '-1' : false,
+            tension: 0.3,
+        };
+    });
+
     _chartInstances[canvasId] = new Chart(ctx, {
         type: 'line',
-        data: {
-            labels,
-            datasets: [
-                {
-                    label: '95th Percentile',
-                    data: p95,
-                    borderColor: sc.border,
-                    backgroundColor: sc.bg,
-                    borderWidth: 1.5,
-                    borderDash: [4, 3],
-                    pointRadius: 0,
-                    fill: '+1',
-                    tension: 0.3,
-                },
-                {
-                    label: 'Median (50th)',
-                    data: p50,
-                    borderColor: sc.border,
-                    backgroundColor: 'transparent',
-                    borderWidth: 2.5,
-                    pointRadius: 0,
-                    fill: false,
-                    tension: 0.3,
-                },
-                {
-                    label: '5th Percentile',
-                    data: p5,
-                    borderColor: sc.border,
-                    backgroundColor: sc.bg,
-                    borderWidth: 1.5,
-                    borderDash: [4, 3],
-                    pointRadius: 0,
-                    fill: '-1',
-                    tension: 0.3,
-                },
-            ],
-        },
+        data: { labels, datasets },
         options: opts,
+        plugins: retireMonth !== null && retireMonth < months ? [retirementMarker(retireMonth)] : [],
     });
 }
 
+/** retirementMarker — inline plugin drawing a labelled vertical line at the retirement month. */
+function retirementMarker(month) {
+    return {
+        id: 'retirementMarker',
+        afterDatasetsDraw(chart) {
+            const { ctx, chartArea } = chart;
+            const x = chart.scales.x.getPixelForValue(month);
+            ctx.save();
+            ctx.strokeStyle = COLORS.amber;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([5, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillStyle = COLORS.amber;
+            ctx.font = '600 11px Inter, sans-serif';
+            ctx.fillText('Retirement', x + 6, chartArea.top + 12);
+            ctx.restore();
+        },
+    };
+}
+
 // ─── 3. Scenario Comparison Bar ───────────────────────────────────────────────
 function renderScenarioBar(canvasId, scenarioResults) {
     destroyChart(canvasId);
@@ -298,7 +405,13 @@ function renderScenarioBar(canvasId, scenarioResults) {
 }
 
 // ─── 4. VaR / Distribution Chart ─────────────────────────────────────────────
-function renderVaRChart(canvasId, endingNetWorths, var95, var99) {
+/**
+ * renderVaRChart — ending-value histogram shaded by risk zone, with labelled
+ * vertical markers at the reference and the VaR / CVaR cutoffs.
+ * @param {Object} risk  { reference, referenceLabel, var95, var99, cvar95 } —
+ *   losses measured from reference, as from riskMeasures
+ */
+function renderVaRChart(canvasId, endingNetWorths, risk) {
     destroyChart(canvasId);
     const ctx = document.getElementById(canvasId)?.getContext('2d');
     if (!ctx || !endingNetWorths.length) return;
@@ -311,16 +424,19 @@ function renderVaRChart(canvasId, endingNetWorths, var95, var99) {
     const labels = [];
     const counts = new Array(bins).fill(0);
     const bColors = [];
+    const { reference } = risk;
+    const cut95 = reference - risk.var95;
+    const cut99 = reference - risk.var99;
 
     for (let i = 0; i < bins; i++) {
         const lo = min + i * step;
         const hi = lo + step;
         const mid = (lo + hi) / 2;
         labels.push(fmtMoney(mid));
-        // color: dark red (CVaR tail) → red (VaR99) → amber (VaR95) → teal (normal)
-        if (mid <= -var99) bColors.push('hsl(350, 90%, 40%)');
-        else if (mid <= -var95) bColors.push(COLORS.rose);
-        else if (mid < 0) bColors.push(COLORS.amber);
+        // color: dark red (beyond VaR99) → red (VaR95 tail) → amber (loss vs reference) → teal
+        if (mid <= cut99) bColors.push('hsl(350, 90%, 40%)');
+        else if (mid <= cut95) bColors.push(COLORS.rose);
+        else if (mid < reference) bColors.push(COLORS.amber);
         else bColors.push(COLORS.cyan);
     }
 
@@ -329,6 +445,13 @@ function renderVaRChart(canvasId, endingNetWorths, var95, var99) {
         counts[bi]++;
     }
 
+    const markers = [
+        { value: reference, label: risk.referenceLabel, color: 'rgba(255,255,255,0.7)' },
+        { value: cut95, label: 'VaR 95%', color: COLORS.rose },
+        { value: cut99, label: 'VaR 99%', color: 'hsl(350, 90%, 50%)' },
+        { value: reference - risk.cvar95, label: 'CVaR 95%', color: COLORS.amber },
+    ];
+
     _chartInstances[canvasId] = new Chart(ctx, {
         type: 'bar',
         data: {
@@ -349,16 +472,52 @@ function renderVaRChart(canvasId, endingNetWorths, var95, var99) {
                     display: true, text: 'Ending Balance Distribution with VaR Cutoffs',
                     color: '#fff', font: { family: 'Inter', size: 14, weight: '600' }, padding: { bottom: 16 },
                 },
-                annotation: {},
             },
             scales: {
                 x: { ...BASE_OPTIONS.scales.x, title: { display: true, text: 'Ending Net Worth', color: COLORS.text } },
                 y: { ...BASE_OPTIONS.scales.y, title: { display: true, text: 'Count', color: COLORS.text } },
             },
         }),
+        // bin i is centred on min + (i + 0.5) · step
+        plugins: [valueMarkers(markers, v => (v - min) / step - 0.5)],
     });
 }
 
+/**
+ * valueMarkers — inline plugin drawing labelled vertical lines at values on a
+ * category axis; toIndex maps a value to its fractional category index.
+ */
+function valueMarkers(markers, toIndex) {
+    return {
+        id: 'valueMarkers',
+        afterDatasetsDraw(chart) {
+            const { ctx, chartArea, scales } = chart;
+            const last = chart.data.labels.length - 1;
+            ctx.save();
+            ctx.font = '600 11px Inter, sans-serif';
+            markers.forEach((m, i) => {
+                const idx = toIndex(m.value);
+                if (!Number.isFinite(idx) || idx < -0.5 || idx > last + 0.5) return;
+                // interpolate (or, half a bin past either end, extrapolate) between neighbouring ticks
+                const lo = Math.max(0, Math.min(last - 1, Math.floor(idx)));
+                const x0 = scales.x.getPixelForValue(lo);
+                const x = x0 + (scales.x.getPixelForValue(lo + 1) - x0) * (idx - lo);
+                ctx.strokeStyle = m.color;
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([5, 4]);
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+                ctx.fillStyle = m.color;
+                // stagger labels so neighbouring markers stay readable
+                ctx.fillText(m.label, x + 4, chartArea.top + 12 + i * 14);
+            });
+            ctx.restore();
+        },
+    };
+}
+
 // ─── 5. Correlation Heatmap (custom canvas) ───────────────────────────────────
 function renderCorrelationHeatmap(canvasId, matrix, labels) {
     const canvas = document.getElementById(canvasId);
@@ -418,7 +577,314 @@ function renderCorrelationHeatmap(canvasId, matrix, labels) {
     }
 }
 
-// ─── 6. Destroy all charts (cleanup) ─────────────────────────────────────────
+// ─── 6. Life-Event Ruin Attribution ──────────────────────────────────────────
+function renderEventAttributionChart(canvasId, events) {
+    destroyChart(canvasId);
+    const ctx = document.getElementById(canvasId)?.getContext('2d');
+    if (!ctx || !events?.length) return;
+
+    // Windfalls never cause ruin; the remainder is ruin with no recent event
+    const adverse = events.filter(e => e.id !== 'windfall');
+    const shares = adverse.map(e => +(e.attributableShare * 100).toFixed(1));
+    const attributed = adverse.reduce((s, e) => s + e.attributableShare, 0);
+    const anyRuin = events.some(e => e.ruinIfHit > 0 || e.ruinIfNotHit > 0);
+    const labels = adverse.map(e => e.name);
+    if (anyRuin) {
+        labels.push('No recent event');
+        shares.push(+(Math.max(0, 1 - attributed) * 100).toFixed(1));
+    }
+    const bg = labels.map((_, i) => i < adverse.length ? COLORS.roseA : 'rgba(255,255,255,0.12)');
+    const border = labels.map((_, i) => i < adverse.length ? COLORS.rose : COLORS.text);
+
+    _chartInstances[canvasId] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{
+                label: 'Share of ruin',
+                data: shares,
+                backgroundColor: bg,
+                borderColor: border,
+                borderWidth: 2,
+                borderRadius: 6,
+            }],
+        },
+        options: deepMerge(BASE_OPTIONS, {
+            indexAxis: 'y',
+            plugins: {
+                legend: { display: false },
+                title: {
+                    display: true, text: 'Share of Ruin Probability by Event',
+                    color: '#fff', font: { family: 'Inter', size: 14, weight: '600' }, padding: { bottom: 16 },
+                },
+                tooltip: { callbacks: { label: item => `${item.raw}% of ruin risk` } },
+            },
+            scales: {
+                x: {
+                    ...BASE_OPTIONS.scales.x, min: 0, max: 100,
+                    ticks: { ...BASE_OPTIONS.scales.x.ticks, callback: v => `${v}%` },
+                },
+                y: { ...BASE_OPTIONS.scales.y },
+            },
+        }),
+    });
+}
+
+// ─── 7. Sensitivity Tornado ──────────────────────────────────────────────────
+/**
+ * renderTornadoChart — change in one outcome when each input is lowered / raised,
+ * widest swing on top.
+ * @param {Object} sensitivity  result of runSensitivity
+ * @param {string} metric  'median' | 'ruinProbability' | 'goalProbability'
+ * @param {Object} labels  input key → display name
+ */
+function renderTornadoChart(canvasId, sensitivity, metric, labels = {}) {
+    destroyChart(canvasId);
+    const ctx = document.getElementById(canvasId)?.getContext('2d');
+    if (!ctx || !sensitivity?.inputs?.length) return;
+
+    const isMoney = metric === 'median';
+    // Money in dollars, probabilities in percentage points
+    const delta = side => {
+        const d = side[metric] - sensitivity.base[metric];
+        return isMoney ? Math.round(d) : +(d * 100).toFixed(2);
+    };
+    const rows = sensitivity.inputs
+        .map(inp => ({ label: labels[inp.key] ?? inp.key, low: delta(inp.low), high: delta(inp.high) }))
+        .sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low));
+    const fmt = v => isMoney ? fmtMoney(v) : `${v > 0 ? '+' : ''}${v} pp`;
+    const titles = {
+        median: 'Δ Median Ending Net Worth',
+        ruinProbability: 'Δ Ruin Probability',
+        goalProbability: 'Δ Goal Probability',
+    };
+
+    _chartInstances[canvasId] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rows.map(r => r.label),
+            datasets: [
+                {
+                    label: `Input −${sensitivity.deltaPct}%`,
+                    data: rows.map(r => r.low),
+                    backgroundColor: COLORS.roseA,
+                    borderColor: COLORS.rose,
+                    borderWidth: 2,
+                    borderRadius: 4,
+                    grouped: false,
+                },
+                {
+                    label: `Input +${sensitivity.deltaPct}%`,
+                    data: rows.map(r => r.high),
+                    backgroundColor: COLORS.cyanA,
+                    borderColor: COLORS.cyan,
+                    borderWidth: 2,
+                    borderRadius: 4,
+                    grouped: false,
+                },
+            ],
+        },
+        options: deepMerge(BASE_OPTIONS, {
+            indexAxis: 'y',
+            plugins: {
+                title: {
+                    display: true, text: `${titles[metric]} (${sensitivity.strategyName})`,
+                    color: '#fff', font: { family: 'Inter', size: 14, weight: '600' }, padding: { bottom: 16 },
+                },
+                tooltip: { callbacks: { label: item => ` ${item.dataset.label}: ${fmt(item.raw)}` } },
+            },
+            scales: {
+                x: {
+                    ...BASE_OPTIONS.scales.x,
+                    ticks: { ...BASE_OPTIONS.scales.x.ticks, callback: v => fmt(v) },
+                },
+                y: { ...BASE_OPTIONS.scales.y },
+            },
+        }),
+    });
+}
+
+// ─── 8. Run Comparison ───────────────────────────────────────────────────────
+const COMPARE_COLORS = [
+    { border: COLORS.violet, bg: COLORS.violetA },
+    { border: COLORS.amber, bg: COLORS.amberA },
+];
+
+/**
+ * renderHistogramComparison — two ending net-worth distributions on shared bins.
+ * @param {Array} runs  [{ label, values }, { label, values }]
+ */
+function renderHistogramComparison(canvasId, runs) {
+    destroyChart(canvasId);
+    const ctx = document.getElementById(canvasId)?.getContext('2d');
+    if (!ctx || !runs.length || !runs.every(r => r.values.length)) return;
+
+    let min = Infinity, max = -Infinity;
+    for (const r of runs) {
+        for (const v of r.values) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+    }
+    const bins = 35;
+    const step = (max - min) / bins || 1;
+    const labels = Array.from({ length: bins }, (_, i) => fmtMoney(min + (i + 0.5) * step));
+
+    // Shares rather than counts, so runs of different sizes compare directly
+    const datasets = runs.map((r, ri) => {
+        const counts = new Array(bins).fill(0);
+        for (const v of r.values) counts[Math.min(bins - 1, Math.floor((v - min) / step))]++;
+        return {
+            label: r.label,
+            data: counts.map(c => +(c / r.values.length * 100).toFixed(2)),
+            backgroundColor: COMPARE_COLORS[ri].bg,
+            borderColor: COMPARE_COLORS[ri].border,
+            borderWidth: 1.5,
+            borderRadius: 3,
+            grouped: false,
+        };
+    });
+
+    _chartInstances[canvasId] = new Chart(ctx, {
+        type: 'bar',
+        data: { labels, datasets },
+        options: deepMerge(BASE_OPTIONS, {
+            plugins: {
+                legend: { display: true },
+                title: {
+                    display: true, text: 'Ending Net Worth Distribution',
+                    color: '#fff', font: { family: 'Inter', size: 14, weight: '600' }, padding: { bottom: 16 },
+                },
+                tooltip: {
+                    callbacks: {
+                        label: item => `${item.dataset.label}: ${item.raw}% of runs`,
+                        title: items => `~${items[0].label}`,
+                    },
+                },
+            },
+            scales: {
+                x: { ...BASE_OPTIONS.scales.x, title: { display: true, text: 'Net Worth', color: COLORS.text } },
+                y: {
+                    ...BASE_OPTIONS.scales.y, title: { display: true, text: 'Share of Runs', color: COLORS.text },
+                    ticks: { ...BASE_OPTIONS.scales.y.ticks, callback: v => `${v}%` },
+                },
+            },
+        }),
+    });
+}
+
+/**
+ * renderBandComparison — outer and median net-worth percentiles of two runs;
+ * the shorter horizon simply ends early.
+ * @param {Array} runs  [{ label, bands }, { label, bands }] with each run's bands
+ */
+function renderBandComparison(canvasId, runs) {
+    destroyChart(canvasId);
+    const ctx = document.getElementById(canvasId)?.getContext('2d');
+    if (!ctx || !runs.length) return;
+
+    const months = Math.max(...runs.map(r => r.bands.netWorth[0]?.length ?? 0));
+    const labels = Array.from({ length: months }, (_, i) => (i % 12 === 0 ? `Yr ${i / 12}` : ''));
+    const datasets = runs.flatMap((r, ri) => {
+        const c = COMPARE_COLORS[ri];
+        const { percentiles, netWorth } = r.bands;
+        const mid = medianIndex(percentiles), top = percentiles.length - 1;
+        const line = { borderColor: c.border, pointRadius: 0, tension: 0.3 };
+        const edge = { ...line, backgroundColor: c.bg, borderWidth: 1.2, borderDash: [4, 3] };
+        return [
+            { ...edge, label: `${r.label} — ${ordinal(percentiles[top])}`, data: netWorth[top], fill: '+1' },
+            {
+                ...line, label: `${r.label} — median`, data: netWorth[mid],
+                backgroundColor: 'transparent', borderWidth: 2.5, fill: false,
+            },
+            { ...edge, label: `${r.label} — ${ordinal(percentiles[0])}`, data: netWorth[0], fill: '-1' },
+        ];
+    });
+    const { percentiles } = runs[0].bands;
+    const range = `${ordinal(percentiles[0])}–${ordinal(percentiles[percentiles.length - 1])}`;
+
+    _chartInstances[canvasId] = new Chart(ctx, {
+        type: 'line',
+        data: { labels, datasets },
+        options: deepMerge(BASE_OPTIONS, {
+            plugins: {
+                legend: { display: true, labels: { filter: item => item.text.endsWith('median') } },
+                title: {
+                    display: true, text: `Net Worth Projection (${range} percentile)`,
+                    color: '#fff', font: { family: 'Inter', size: 14, weight: '600' }, padding: { bottom: 16 },
+                },
+                tooltip: { callbacks: { label: item => `${item.dataset.label}: ${fmtMoney(item.raw)}` } },
+            },
+            scales: {
+                x: { ...BASE_OPTIONS.scales.x, title: { display: true, text: 'Time', color: COLORS.text } },
+                y: {
+                    ...BASE_OPTIONS.scales.y, title: { display: true, text: 'Net Worth ($)', color: COLORS.text },
+                    ticks: { ...BASE_OPTIONS.scales.y.ticks, callback: v => fmtMoney(v) },
+                },
+            },
+        }),
+    });
+}
+
+// ─── 9. Time to Ruin ─────────────────────────────────────────────────────────
+/**
+ * renderTimeToRuin — every scenario's survival curve (share of runs not yet
+ * ruined) or monthly ruin hazard, overlaid.
+ * @param {Object} results  runMonteCarlo output keyed by scenario id
+ * @param {string} kind     'survival' | 'hazard'
+ */
+function renderTimeToRuin(canvasId, results, kind = 'survival') {
+    destroyChart(canvasId);
+    const ctx = document.getElementById(canvasId)?.getContext('2d');
+    const scenarios = Object.keys(results).filter(id => results[id].timeToRuin);
+    if (!ctx || !scenarios.length) return;
+
+    const months = Math.max(...scenarios.map(id => results[id].timeToRuin[kind].length));
+    const labels = Array.from({ length: months }, (_, i) => (i % 12 === 0 ? `Yr ${i / 12}` : ''));
+    const survival = kind === 'survival';
+    const fmt = v => `${(v * 100).toFixed(survival ? 1 : 2)}%`;
+
+    _chartInstances[canvasId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: scenarios.map(id => {
+                const sc = SCENARIO_COLORS[id] || SCENARIO_PALETTE[0];
+                return {
+                    label: SCENARIO_LABELS[id] || results[id].name,
+                    data: results[id].timeToRuin[kind],
+                    borderColor: sc.border,
+                    backgroundColor: sc.bg,
+                    borderWidth: survival ? 2 : 1.2,
+                    pointRadius: 0,
+                    stepped: survival,
+                    fill: false,
+                };
+            }),
+        },
+        options: deepMerge(BASE_OPTIONS, {
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: { display: true },
+                title: {
+                    display: true, text: survival ? 'Probability of Never Having Been Ruined' : 'Monthly Ruin Hazard',
+                    color: '#fff', font: { family: 'Inter', size: 14, weight: '600' }, padding: { bottom: 16 },
+                },
+                tooltip: { callbacks: { label: item => `${item.dataset.label}: ${fmt(item.raw)}` } },
+            },
+            scales: {
+                x: { ...BASE_OPTIONS.scales.x, title: { display: true, text: 'Time', color: COLORS.text } },
+                y: {
+                    ...BASE_OPTIONS.scales.y,
+                    title: { display: true, text: survival ? 'Survival' : 'Hazard (per month)', color: COLORS.text },
+                    ticks: { ...BASE_OPTIONS.scales.y.ticks, callback: v => fmt(v) },
+                },
+            },
+        }),
+    });
+}
+
+// ─── 10. Destroy all charts (cleanup) ────────────────────────────────────────
 function destroyAllCharts() {
     for (const id of Object.keys(_chartInstances)) {
         destroyChart(id);
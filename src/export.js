@@ -0,0 +1,182 @@
+/**
+ * export.js — Result Export / Import
+ *
+ * Builds the files offered by the Export menu:
+ *   - Ending net worth per scenario (long-format CSV)
+ *   - Sampled trajectories, every month and field (long-format CSV)
+ *   - Results bundle (JSON) — inputs, seed, run count, summary statistics and the
+ *     full engine output, which parseResultsBundle reads back without rerunning
+ *
+ * Results bundle schema (version 8):
+ *   {
+ *     schema:     'finsim.results',
+ *     version:    8,
+ *     exportedAt: ISO-8601 timestamp,
+ *     seed:       PRNG seed of the run,
+ *     runs:       Monte Carlo runs per scenario,
+ *     dollars:    'nominal' | 'real' — basis of every amount,
+ *     inputs:     the params object passed to runMonteCarlo,
+ *     summary: { <scenario id>: {
+ *       name, endingNetWorth: descriptiveStats(...) { n, mean, median, stdDev,
+ *       skewness, kurtosis, min, max, p5, p25, p75, p95 },
+ *       varReference:   'start' | 'median' — what VaR and CVaR measure loss from,
+ *       varMethod:      key of VAR_METHODS,
+ *       referenceValue: that reference in dollars (starting net worth or median),
+ *       var95, var99, cvar95, cvar99 — riskMeasures(...) under that reference and
+ *       method, as the Dashboard, Analytics and Compare tabs show them,
+ *       ruinProbability, goalProbability, debtFreeProbability, medianDebtFreeMonth } },
+ *     results: { <scenario id>: runMonteCarlo output —
+ *       name, runs,
+ *       adaptive:            null | { precision, met },
+ *       sampling:            { method, shareStreams, replicates: { mean, p1, p5, median,
+ *                            p95, ruinProbability, goalProbability } } — one estimate
+ *                            per replicate in each array,
+ *       endingNetWorths:     number[] sorted ascending,
+ *       afterTaxNetWorths:   number[] sorted ascending, net of liquidation tax,
+ *       meanTaxPaid,
+ *       retirement:          null | { retireMonth, depletionProbability,
+ *                            medianDepletionAge, earlyDepletionAge, medianPortfolioAtRetirement },
+ *       sampledTrajectories: [path][month] { cash, savings, debt, netWorth },
+ *       bands:               { percentiles, netWorth, cash, savings, debt } — one
+ *                            monthly series per percentile,
+ *       ruinProbability, goalProbability, medianDebtFreeMonth, debtFreeProbability,
+ *       timeToRuin:          { survival[month], hazard[month], medianRuinMonth,
+ *                            meanNegativeMonths, medianShortfall, p95Shortfall },
+ *       pathRisk:            { maxDrawdown, timeUnderWater, worstYearChange,
+ *                            downsideDeviation } — per-run arrays in run order,
+ *       drivers:             { endingNetWorth, income, variableSpend, investmentReturn,
+ *                            jobLossMonths? } — per-run arrays in run order,
+ *       debts:               [{ name, balance, apr, medianPayoffMonth, payoffProbability,
+ *                            meanInterest }],
+ *       events:              [{ id, name, hitProbability, meanCount, ruinIfHit,
+ *                            ruinIfNotHit, attributedRuin, attributableShare }] } }
+ *   }
+ *
+ * Version history — each version adds or redefines fields; older bundles still
+ * import, without the added ones:
+ *   1  name, endingNetWorths, afterTaxNetWorths, meanTaxPaid, retirement,
+ *      sampledTrajectories, the probabilities, medianDebtFreeMonth, debts, events
+ *   2  runs, adaptive
+ *   3  sampling
+ *   4  bands
+ *   5  timeToRuin
+ *   6  pathRisk
+ *   7  drivers
+ *   8  summary varReference, varMethod, referenceValue; var* and cvar* follow
+ *      them (before: historical loss below $0)
+ *
+ * Requires simulation.js (initialNetWorth) and statistics.js.
+ */
+
+"use strict";
+
+const EXPORT_SCHEMA = 'finsim.results';
+const EXPORT_VERSION = 8;
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+function csvCell(v) {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(cells) {
+    return cells.map(csvCell).join(',');
+}
+
+/**
+ * endingNetWorthCsv — one row per run and scenario:
+ * scenario_id, scenario_name, rank, ending_net_worth. Ranks are in ascending
+ * order of net worth; the engine does not keep run order.
+ */
+function endingNetWorthCsv(results) {
+    const lines = [csvRow(['scenario_id', 'scenario_name', 'rank', 'ending_net_worth'])];
+    for (const [id, sc] of Object.entries(results)) {
+        sc.endingNetWorths.forEach((v, i) => lines.push(csvRow([id, sc.name, i + 1, v])));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * trajectoryCsv — one row per sampled path, month and scenario:
+ * scenario_id, scenario_name, path, month, then every monthly field.
+ */
+function trajectoryCsv(results) {
+    const first = Object.values(results)[0]?.sampledTrajectories?.[0]?.[0] || {};
+    const fields = Object.keys(first);
+    const lines = [csvRow(['scenario_id', 'scenario_name', 'path', 'month', ...fields])];
+    for (const [id, sc] of Object.entries(results)) {
+        sc.sampledTrajectories.forEach((traj, path) => {
+            traj.forEach((point, month) => {
+                lines.push(csvRow([id, sc.name, path, month + 1, ...fields.map(f => point[f])]));
+            });
+        });
+    }
+    return lines.join('\n');
+}
+
+// ─── JSON Bundle ──────────────────────────────────────────────────────────────
+/**
+ * buildResultsBundle — the JSON export of one run (schema in the header).
+ * @param {Object} [varSettings]  { reference: 'start' | 'median', method } — the
+ *   VaR definition the tabs are showing
+ */
+function buildResultsBundle(results, params, seed, runs, varSettings = { reference: 'start', method: 'historical' }) {
+    const { reference: varReference, method: varMethod } = varSettings;
+    const reference = varReference === 'median' ? 'median' : initialNetWorth(params);
+    const summary = {};
+    for (const [id, sc] of Object.entries(results)) {
+        const nw = sc.endingNetWorths;
+        const r95 = riskMeasures(nw, 0.95, varMethod, reference);
+        const r99 = riskMeasures(nw, 0.99, varMethod, reference);
+        summary[id] = {
+            name: sc.name,
+            endingNetWorth: descriptiveStats(nw),
+            varReference,
+            varMethod,
+            referenceValue: r95.reference,
+            var95: r95.var,
+            var99: r99.var,
+            cvar95: r95.cvar,
+            cvar99: r99.cvar,
+            ruinProbability: sc.ruinProbability,
+            goalProbability: sc.goalProbability,
+            debtFreeProbability: sc.debtFreeProbability,
+            medianDebtFreeMonth: sc.medianDebtFreeMonth,
+        };
+    }
+    return {
+        schema: EXPORT_SCHEMA,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        seed,
+        runs,
+        dollars: params.realDollars ? 'real' : 'nominal',
+        inputs: params,
+        summary,
+        results,
+    };
+}
+
+/**
+ * parseResultsBundle — read a results bundle back, checking it is complete
+ * enough to redraw every tab.
+ * @throws {Error} with a user-facing message when the file is not a usable bundle
+ */
+function parseResultsBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (err) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (bundle?.schema !== EXPORT_SCHEMA) throw new Error('The file is not a FinSim results bundle.');
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > EXPORT_VERSION) {
+        throw new Error(`Unsupported results bundle version ${bundle.version}.`);
+    }
+    if (!bundle.inputs || typeof bundle.inputs !== 'object') throw new Error('The bundle has no inputs.');
+    const scenarios = bundle.results && typeof bundle.results === 'object' ? Object.values(bundle.results) : [];
+    const complete = sc => sc && Array.isArray(sc.endingNetWorths) && sc.endingNetWorths.length
+        && Array.isArray(sc.sampledTrajectories);
+    if (!scenarios.length || !scenarios.every(complete)) throw new Error('The bundle has no complete results.');
+    return bundle;
+}
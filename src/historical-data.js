@@ -0,0 +1,489 @@
+/**
+ * historical-data.js — Bundled U.S. monthly market and inflation history
+ *
+ * Source: Robert Shiller, "U.S. Stock Markets 1871–Present and CAPE Ratio"
+ * (http://www.econ.yale.edu/~shiller/data.htm), taken from the MIT-licensed
+ * `stock-market-data` npm package (v2.3.0). Shipped with the app so the
+ * historical bootstrap needs no network access.
+ *
+ * Series — nominal monthly returns in percent, entry i is the month
+ * startYear/startMonth + i (one calendar year per row):
+ *  - equity  S&P Composite total return: (P[t+1] + D[t] / 12) / P[t] − 1
+ *  - bonds   10-year Treasury total return (Shiller's monthly bond return series)
+ *  - cpi     change in the Consumer Price Index: CPI[t+1] / CPI[t] − 1
+ */
+
+"use strict";
+
+const HISTORICAL_DATA = {
+    source: 'Robert Shiller, U.S. Stock Markets 1871–Present (S&P Composite, 10-year Treasury, CPI)',
+    startYear: 1871,
+    startMonth: 1,
+    endYear: 2023,
+    endMonth: 3,
+    equity: [
+        /* 1871 */ 1.839, 2.926, 3.290, 2.989, -0.377, -1.418, 1.727, 1.496, -4.718, 1.561, 2.622, 2.989,
+        /* 1872 */ 0.863, 3.734, 3.224, 0.440, -0.520, -0.130, -0.714, -1.312, 0.892, 0.089, 2.924, 1.282,
+        /* 1873 */ 1.276, -0.283, -0.868, 0.711, -0.870, 0.326, 0.532, -7.109, -8.129, -2.934, 10.081, 6.052,
+        /* 1874 */ 3.594, -0.885, -2.167, -2.011, 0.167, 0.617, 0.841, 2.181, 0.385, 1.490, -0.055, 0.606,
+        /* 1875 */ 0.381, 1.922, 1.893, -3.297, -1.422, 0.828, 1.049, -0.321, -1.015, 2.219, 0.577, 2.632,
+        /* 1876 */ 1.906, 0.332, -3.215, -3.111, -0.120, -0.602, -3.537, -5.471, 0.136, -1.226, 0.139, -0.140,
+        /* 1877 */ -5.233, -4.387, -6.539, 0.746, -6.422, 5.143, 7.707, 6.849, 2.720, -0.986, 0.202, 0.487,
+        /* 1878 */ -1.669, 2.380, 3.260, 0.768, 2.559, 2.505, -0.421, 2.472, -0.704, 0.148, -0.142, 4.203,
+        /* 1879 */ 4.054, -1.206, 3.710, 4.922, 0.906, 2.420, 1.138, 4.081, 11.286, 5.692, 0.132, 4.201,
+        /* 1880 */ 2.096, 2.260, -1.926, -7.561, 0.812, 4.993, 3.984, 0.193, 3.290, 5.644, 4.479, 6.364,
+        /* 1881 */ 0.034, 1.499, 0.047, 4.877, 1.596, -3.128, -1.975, 1.210, -1.193, 1.070, -2.484, -1.054,
+        /* 1882 */ -1.745, 0.288, 0.461, -0.750, -0.058, 6.103, 3.444, 1.402, -2.297, -3.844, 0.975, -0.057,
+        /* 1883 */ -1.777, 1.704, 2.554, -1.245, 1.335, -1.081, -4.064, 1.595, -2.219, 1.996, -1.695, -2.481,
+        /* 1884 */ 3.231, 0.136, -4.017, -7.570, -3.509, 0.598, 6.873, -2.608, -2.696, -1.439, 0.367, -1.709,
+        /* 1885 */ 3.664, 0.798, 0.328, -0.597, 0.079, 4.254, 6.108, -0.808, 6.268, 6.930, -0.372, 0.385,
+        /* 1886 */ 2.305, -1.703, -0.971, -1.573, 4.966, 1.889, 1.107, 2.959, 2.881, 2.807, -2.272, -0.739,
+        /* 1887 */ -0.385, 2.685, 2.627, 2.055, -2.553, -2.102, -2.150, -0.917, -2.970, 2.316, -0.177, 1.154,
+        /* 1888 */ -0.175, -3.399, 0.796, 1.770, -2.705, 2.994, 2.526, 2.852, -0.194, -1.693, -1.540, 2.318,
+        /* 1889 */ 1.510, -1.717, 0.173, 3.067, 2.045, -1.687, 1.673, 2.767, -1.481, -0.584, -0.217, 1.472,
+        /* 1890 */ -0.774, -0.407, 2.431, 4.607, -0.386, -0.388, -2.016, -1.325, -4.167, -6.923, -1.946, 5.616,
+        /* 1891 */ 1.618, -1.463, 3.708, -0.034, -1.650, -1.271, 3.739, 8.485, 0.344, -1.157, 3.397, 2.187,
+        /* 1892 */ 0.517, 1.424, 0.157, 0.339, -0.197, 0.346, 1.793, -2.145, 2.365, -0.005, -0.721, 2.178,
+        /* 1893 */ -1.425, -3.264, 0.381, -8.469, -4.332, -8.885, -1.902, 7.612, 3.447, 2.015, -3.047, -1.568,
+        /* 1894 */ 1.865, 3.431, 1.774, -3.288, -0.922, -1.632, 4.209, 2.009, -2.716, 0.416, -0.512, -0.756,
+        /* 1895 */ -1.003, 0.411, 4.704, 5.880, 2.317, 0.780, 1.833, 0.969, -1.115, -3.029, -5.534, -0.791,
+        /* 1896 */ 4.585, -1.220, 1.270, -0.100, -1.466, -6.125, -5.313, 5.650, 2.624, 7.199, -3.309, 0.355,
+        /* 1897 */ -0.592, 0.598, -2.745, 0.862, 5.025, 4.801, 6.839, 5.158, -2.912, -3.216, 2.473, 3.053,
+        /* 1898 */ 0.105, -4.204, -1.389, 6.905, 4.224, 0.708, 4.055, 0.116, -1.782, 3.619, 6.514, 7.906,
+        /* 1899 */ 4.058, 1.693, 1.514, -3.905, -1.980, 3.741, 2.821, -0.819, -0.200, 2.167, -6.541, 1.620,
+        /* 1900 */ 2.100, 1.107, 1.587, -4.416, -2.639, 0.363, 1.738, -1.978, 4.019, 8.215, 6.395, 3.275,
+        /* 1901 */ 2.902, 3.935, 8.727, -4.723, 10.294, -6.402, 1.715, -0.173, -0.797, 2.483, -1.281, 2.474,
+        /* 1902 */ 1.191, 0.449, 3.742, 0.082, -0.272, 2.581, 2.990, 0.535, -2.855, -3.531, -1.973, 5.435,
+        /* 1903 */ -0.264, -3.594, -3.739, -1.573, -5.155, -4.201, -2.796, -1.982, -2.801, 0.781, 5.080, 2.118,
+        /* 1904 */ -2.262, 0.132, 2.906, -1.686, 0.581, 4.570, 3.794, 4.807, 6.239, 5.760, 1.299, 2.495,
+        /* 1905 */ 4.697, 3.138, -0.925, -4.626, 1.489, 3.450, 4.023, 0.619, 1.702, -0.243, 2.764, 3.747,
+        /* 1906 */ -0.426, -2.158, -1.057, -2.339, 1.633, -2.254, 7.736, 3.406, -2.673, 2.388, -0.576, -2.507,
+        /* 1907 */ -2.787, -9.461, 0.888, -3.046, -2.781, 4.273, -7.061, -0.590, -10.391, -5.330, 5.702, 4.820,
+        /* 1908 */ -3.118, 4.638, 5.907, 5.878, 0.593, 4.123, 4.731, -0.673, 1.642, 7.181, 2.646, 0.701,
+        /* 1909 */ -2.499, 1.749, 4.867, 3.696, 2.126, 1.786, 2.769, 0.448, 0.744, -0.136, 1.536, -1.780,
+        /* 1910 */ -3.206, 2.851, -2.035, -1.260, -4.417, -4.638, 2.872, 1.111, 5.034, 0.308, -2.374, 2.864,
+        /* 1911 */ 2.149, -0.751, -0.009, 2.577, 2.417, -0.009, -4.370, -5.025, 1.028, 4.463, 0.873, 0.540,
+        /* 1912 */ -0.447, 3.311, 3.542, 0.307, 0.412, 0.518, 2.708, 0.915, 0.201, -0.713, -3.187, -0.426,
+        /* 1913 */ -3.118, -1.449, 0.341, -2.275, -4.561, 1.847, 3.159, 1.420, -2.696, -2.058, 0.373, 4.602,
+        /* 1914 */ 1.787, -1.425, -1.938, 1.088, -0.025, -5.074, 0.483, 0.477, 0.472, 0.467, -3.836, 2.245,
+        /* 1915 */ -0.868, 3.051, 7.995, -1.901, 1.577, 0.067, 4.688, 4.138, 5.954, 3.892, 0.589, -1.204,
+        /* 1916 */ -1.000, 0.083, -0.670, 2.640, 1.406, -0.948, 1.215, 4.549, 3.553, 2.754, -3.567, -1.871,
+        /* 1917 */ -5.146, 3.638, -0.973, -2.832, 2.609, -2.189, -2.355, -4.175, -4.744, -7.608, -2.605, 6.875,
+        /* 1918 */ 3.837, -1.267, -0.206, 3.941, 0.851, 1.510, 1.620, 0.143, 4.907, 3.170, -1.385, -0.032,
+        /* 1919 */ 0.984, 3.641, 3.900, 7.466, 3.190, 3.755, -6.251, 2.089, 5.605, -2.484, -2.454, -0.514,
+        /* 1920 */ -7.769, 7.579, -0.303, -5.772, -1.198, 0.421, -3.373, 4.119, 0.672, -4.533, -8.387, 5.029,
+        /* 1921 */ -0.110, -1.957, 1.039, 3.634, -7.433, 0.312, -0.612, 3.097, 1.957, 5.956, 4.089, 0.388,
+        /* 1922 */ 2.722, 4.276, 6.581, 4.382, -0.468, 1.188, 4.239, 3.070, 2.665, -4.516, 0.252, 1.851,
+        /* 1923 */ 4.749, 2.077, -3.044, -4.252, -3.308, -2.838, 1.036, 1.156, -0.936, 3.535, 3.918, 3.791,
+        /* 1924 */ 0.955, -1.416, -1.786, 0.173, 2.419, 5.156, 3.933, -0.479, -0.806, 6.085, 5.868, 4.585,
+        /* 1925 */ 1.287, -2.188, -0.608, 3.670, 2.239, 3.221, 1.786, 2.743, 3.727, 3.527, 2.036, 1.926,
+        /* 1926 */ 0.558, -6.383, -2.355, 1.154, 5.217, 4.655, 4.393, 1.944, -1.835, 1.738, 2.706, -0.241,
+        /* 1927 */ 2.374, 1.966, 2.878, 3.869, 1.703, 2.625, 5.725, 6.063, -1.166, 2.656, 2.718, 0.768,
+        /* 1928 */ -0.829, 5.746, 6.662, 3.435, -4.565, 1.091, 3.591, 7.374, 2.358, 7.082, 0.695, 7.693,
+        /* 1929 */ 0.811, 2.051, -0.301, 1.797, 2.202, 9.200, 5.957, 4.244, -10.325, -26.191, 4.373, 1.826,
+        /* 1930 */ 6.637, 4.122, 6.688, -5.652, -9.769, -1.760, -0.896, 0.343, -13.371, -6.800, -6.188, 3.557,
+        /* 1931 */ 8.139, 2.380, -9.080, -9.160, -2.679, 3.857, -2.485, -14.369, -12.750, 2.054, -18.100, -0.849,
+        /* 1932 */ -0.047, 1.141, -23.224, -11.315, -12.392, 6.184, 51.353, 10.366, -13.216, -0.336, -2.640, 4.570,
+        /* 1933 */ -11.266, 0.333, 11.243, 29.318, 17.583, 8.462, -4.642, -0.484, -9.377, 2.801, 2.322, 6.085,
+        /* 1934 */ 7.749, -4.799, 2.019, -9.827, 1.703, -4.355, -3.515, -2.009, 1.208, 3.211, 1.059, 0.405,
+        /* 1935 */ -2.619, -5.930, 7.937, 8.266, 4.174, 5.599, 7.105, 2.433, 2.986, 9.711, 0.294, 5.822,
+        /* 1936 */ 6.032, 2.411, 0.415, -5.020, 4.574, 6.234, 2.298, 1.444, 5.550, 3.102, -1.400, 3.458,
+        /* 1937 */ 3.302, 0.230, -5.625, -4.086, -3.338, 6.394, 1.437, -13.763, -14.098, -8.265, -1.019, 3.237,
+        /* 1938 */ -1.803, -6.019, -3.443, 1.556, 2.934, 20.486, 1.058, -4.084, 11.617, 0.466, -2.550, -1.162,
+        /* 1939 */ -0.458, 0.267, -12.241, 4.096, 2.172, 2.836, -1.067, 11.056, 1.383, -1.408, -1.973, -0.148,
+        /* 1940 */ -0.228, -0.145, 1.420, -13.341, -8.094, 3.869, 2.650, 4.758, 1.466, 2.850, -3.590, 0.720,
+        /* 1941 */ -5.724, 1.177, -2.546, -1.588, 4.106, 5.712, 0.076, 0.862, -3.434, -4.083, -5.882, 2.616,
+        /* 1942 */ -2.479, -4.762, -3.454, 1.871, 5.748, 4.382, 0.045, 1.662, 7.969, 2.155, 1.056, 6.504,
+        /* 1943 */ 6.434, 4.015, 3.787, 4.363, 2.180, 2.472, -4.539, 2.553, -0.500, -4.206, 1.770, 3.666,
+        /* 1944 */ -0.244, 3.240, -1.309, 2.203, 5.142, 3.019, -1.056, -1.225, 2.884, -0.284, 2.600, 3.384,
+        /* 1945 */ 3.733, 0.315, 2.901, 4.161, 2.187, -1.695, 0.707, 7.180, 4.514, 3.606, 2.025, 4.299,
+        /* 1946 */ 0.586, -2.678, 6.769, 0.518, -0.339, -2.548, -1.624, -14.422, -1.872, -0.013, 3.394, 0.920,
+        /* 1947 */ 4.270, -3.673, -3.298, -1.362, 3.921, 6.694, -1.559, -2.167, 3.027, -0.730, -1.122, -0.865,
+        /* 1948 */ -4.449, 1.919, 8.188, 5.330, 4.587, -1.957, -2.488, -0.678, 3.188, -5.101, -0.158, 1.629,
+        /* 1949 */ -3.328, 1.491, 0.414, -0.183, -4.913, 6.263, 4.170, 1.871, 3.142, 1.947, 3.242, 2.630,
+        /* 1950 */ 2.523, 1.375, 3.386, 3.914, 2.165, -6.724, 6.638, 4.109, 4.721, 0.376, 0.195, 8.013,
+        /* 1951 */ 4.309, -1.112, 1.926, 0.629, -1.145, 2.367, 4.965, 3.136, 0.028, -2.253, 3.613, 3.834,
+        /* 1952 */ -1.332, 0.750, 0.203, 0.460, 3.245, 3.367, 0.881, -1.109, -1.611, 3.667, 4.509, 0.989,
+        /* 1953 */ -0.773, 0.957, -4.473, 1.003, -3.108, 1.914, 0.899, -4.107, 3.517, 2.708, 1.837, 3.024,
+        /* 1954 */ 2.676, 2.582, 4.451, 4.423, 1.223, 4.457, 2.394, 2.740, 2.711, 4.302, 4.953, 2.169,
+        /* 1955 */ 3.705, -0.436, 3.808, -0.079, 6.145, 7.644, -0.299, 4.816, -4.725, 7.066, 1.237, -2.388,
+        /* 1956 */ 0.949, 7.206, 1.483, -2.838, -0.262, 5.749, -0.285, -3.089, -0.954, -0.712, 1.809, -1.863,
+        /* 1957 */ -3.996, 1.621, 2.644, 4.160, 1.954, 2.322, -5.205, -3.739, -5.897, -1.800, 0.318, 2.329,
+        /* 1958 */ 0.702, 2.419, 0.896, 3.558, 2.735, 3.071, 4.054, 2.944, 4.359, 3.326, 2.162, 4.255,
+        /* 1959 */ -1.265, 2.806, 1.936, 1.765, -0.606, 4.228, -0.319, -3.703, 0.177, 0.669, 3.463, -1.486,
+        /* 1960 */ -3.609, -1.078, 1.584, -0.625, 3.988, -2.196, 1.491, -2.721, -1.674, 3.541, 2.691, 5.427,
+        /* 1961 */ 4.374, 3.397, 2.919, 1.263, -1.080, -0.028, 3.839, -0.542, 1.343, 4.772, 1.163, -3.487,
+        /* 1962 */ 1.909, 0.341, -2.945, -7.185, -11.413, 2.717, 3.023, -0.593, -2.856, 7.201, 4.624, 4.147,
+        /* 1963 */ 1.596, -0.108, 4.978, 2.270, 0.217, -1.222, 3.031, 2.894, 0.500, -0.307, 2.393, 3.330,
+        /* 1964 */ 1.480, 2.071, 1.693, 1.220, -0.351, 3.961, -1.226, 1.965, 1.970, 0.937, -1.490, 2.821,
+        /* 1965 */ 0.975, 0.336, 1.558, 1.733, -4.507, 0.103, 2.119, 3.596, 2.497, 1.076, -0.212, 1.980,
+        /* 1966 */ -0.430, -3.862, 3.321, -5.008, -0.560, 0.018, -5.769, -3.225, -0.564, 5.316, 0.716, 4.130,
+        /* 1967 */ 3.730, 2.634, 1.992, 2.058, -0.992, 1.992, 1.852, 1.654, 0.097, -2.882, 3.112, -0.017,
+        /* 1968 */ -4.257, -1.559, 7.662, 2.558, 2.941, 0.049, -1.934, 3.508, 2.717, 1.786, 1.285, -3.985,
+        /* 1969 */ -0.239, -1.914, 2.274, 3.513, -4.971, -4.205, -0.284, 0.629, 1.346, 0.997, -5.027, -0.589,
+        /* 1970 */ -3.196, 2.012, -2.748, -11.199, -0.270, 0.523, 3.256, 6.321, 2.490, 0.207, 7.158, 4.111,
+        /* 1971 */ 4.151, 2.832, 3.674, -1.108, -1.596, -0.463, -1.517, 2.486, -1.864, -4.372, 7.164, 4.423,
+        /* 1972 */ 2.087, 2.620, 1.259, -0.776, 0.516, -0.504, 3.784, -1.210, 0.417, 5.254, 2.312, 0.989,
+        /* 1973 */ -3.325, -1.345, -1.633, -2.570, -1.990, 1.210, -1.635, 1.995, 4.235, -6.853, -6.805, 1.700,
+        /* 1974 */ -2.473, 4.575, -4.817, -2.706, 0.457, -11.347, -3.765, -10.014, 2.377, 3.743, -6.092, 8.633,
+        /* 1975 */ 10.808, 4.974, 1.487, 6.713, 2.895, 0.432, -6.996, -0.853, 4.971, 2.042, -1.180, 9.545,
+        /* 1976 */ 4.178, 0.802, 1.095, -0.383, 0.901, 2.665, -0.561, 2.438, -3.108, -0.367, 3.787, -0.537,
+        /* 1977 */ -2.369, -0.054, -1.194, 0.065, 0.900, 1.282, -2.079, -1.175, -2.198, 0.981, -0.080, -3.390,
+        /* 1978 */ -0.972, 0.266, 4.830, 5.504, 0.674, -0.062, 7.328, 0.400, -2.774, -5.438, 1.923, 4.185,
+        /* 1979 */ -1.057, 2.341, 2.431, -1.893, 2.418, 1.421, 5.014, 1.540, -3.353, -0.322, 4.404, 3.312,
+        /* 1980 */ 4.396, -8.778, -1.162, 5.036, 6.863, 4.969, 3.505, 2.836, 3.325, 4.615, -1.245, 0.010,
+        /* 1981 */ -3.070, 4.143, 1.294, -1.617, 0.858, -2.016, 0.803, -8.303, 1.727, 3.044, 1.179, -4.804,
+        /* 1982 */ -1.914, -2.745, 5.469, 0.570, -5.271, 0.244, 0.794, 12.096, 8.881, 4.500, 1.355, 3.926,
+        /* 1983 */ 2.130, 3.866, 4.197, 4.424, 1.754, 0.708, -2.407, 3.314, 0.648, -1.141, -0.128, 1.576,
+        /* 1984 */ -5.112, 0.442, 0.507, -0.253, -1.848, -0.908, 9.207, 1.407, -0.412, 1.286, -0.708, 4.698,
+        /* 1985 */ 5.787, -0.478, 1.025, 2.736, 2.511, 2.247, -1.845, -1.885, 1.496, 6.421, 5.295, 0.752,
+        /* 1986 */ 5.697, 6.183, 2.741, 0.492, 3.133, -1.804, 2.281, -2.456, -0.090, 3.533, 1.709, 6.673,
+        /* 1987 */ 6.462, 4.376, -0.856, 0.173, 4.498, 3.122, 6.454, -3.030, -11.854, -12.303, -1.335, 4.247,
+        /* 1988 */ 3.329, 3.232, -0.886, -2.188, 5.998, -0.307, -1.718, 1.927, 3.802, -2.020, 2.326, 3.513,
+        /* 1989 */ 3.300, -0.162, 3.565, 4.115, 3.393, 2.800, 4.691, 0.456, 0.286, -1.814, 2.737, -2.211,
+        /* 1990 */ -2.527, 2.707, 0.196, 3.851, 3.170, 0.170, -7.861, -4.341, -2.316, 2.984, 4.587, -0.685,
+        /* 1991 */ 11.607, 3.045, 2.259, -0.179, 0.347, 0.780, 2.679, -0.303, 0.182, 0.016, 0.935, 7.358,
+        /* 1992 */ -0.601, -1.012, 0.264, 2.068, -1.329, 1.912, 0.942, 0.378, -1.182, 2.757, 3.271, 0.143,
+        /* 1993 */ 1.724, 2.150, -1.342, 0.725, 0.865, 0.061, 1.762, 1.355, 1.242, 0.008, 0.887, 1.736,
+        /* 1994 */ -0.076, -1.424, -3.346, 1.058, 1.108, -0.519, 3.082, 0.817, -0.444, -0.370, -1.026, 2.451,
+        /* 1995 */ 3.819, 2.558, 3.216, 3.348, 3.178, 3.547, 0.513, 3.718, 0.913, 2.358, 3.389, 0.163,
+        /* 1996 */ 5.904, -0.201, 0.197, 2.355, 1.279, -3.477, 3.076, 2.024, 4.119, 5.052, 1.198, 3.258,
+        /* 1997 */ 4.361, -0.624, -3.405, 9.218, 5.337, 5.736, 0.348, 1.192, 1.645, -1.152, 2.635, 0.237,
+        /* 1998 */ 6.402, 5.313, 3.406, -0.222, 0.116, 4.468, -6.971, -4.898, 1.291, 10.974, 4.104, 5.048,
+        /* 1999 */ -0.067, 2.924, 4.250, -0.099, -0.612, 4.522, -3.774, -0.598, -1.272, 7.106, 2.809, -0.119,
+        /* 2000 */ -2.478, 3.941, 1.425, -2.839, 3.163, 0.850, 0.940, -1.080, -5.214, -0.773, -3.320, 0.455,
+        /* 2001 */ -2.136, -9.080, 0.449, 6.879, -2.389, -2.660, -2.046, -11.247, 3.184, 5.053, 1.466, -0.298,
+        /* 2002 */ -3.353, 4.945, -3.514, -2.820, -5.921, -10.758, 1.139, -4.758, -1.367, 6.626, -1.035, -0.223,
+        /* 2003 */ -6.415, 1.308, 5.286, 5.312, 5.704, 0.596, -0.166, 3.161, 2.028, 1.211, 3.064, 4.935,
+        /* 2004 */ 1.087, -1.565, 0.968, -2.564, 2.858, -2.239, -1.388, 2.783, 0.103, 4.774, 2.727, -1.349,
+        /* 2005 */ 1.681, -0.256, -2.409, 1.336, 2.181, 1.808, 0.310, 0.280, -2.624, 3.962, 2.144, 1.467,
+        /* 2006 */ -0.017, 1.486, 0.798, -0.787, -2.706, 0.720, 2.292, 2.531, 3.616, 2.002, 2.148, 0.693,
+        /* 2007 */ 1.596, -2.474, 4.180, 3.392, 0.345, 0.575, -4.201, 3.075, 2.992, -4.806, 1.238, -6.635,
+        /* 2008 */ -1.564, -2.627, 4.244, 2.563, -4.247, -6.078, 2.111, -4.848, -20.194, -8.605, -0.351, -1.096,
+        /* 2009 */ -6.703, -5.687, 12.322, 6.660, 2.869, 1.278, 8.121, 3.650, 2.403, 2.094, 2.226, 1.357,
+        /* 2010 */ -2.898, 5.943, 4.088, -5.882, -3.544, -0.159, 0.864, 3.371, 4.577, 2.491, 3.714, 3.462,
+        /* 2011 */ 3.151, -1.112, 2.221, 0.659, -3.663, 3.102, -10.401, -0.789, 3.019, 1.767, 1.555, 4.783,
+        /* 2012 */ 4.163, 2.884, -0.038, -3.091, -1.152, 2.921, 3.388, 3.021, -0.217, -2.837, 2.176, 4.269,
+        /* 2013 */ 2.333, 2.722, 1.454, 4.574, -1.118, 3.254, 0.253, 1.192, 2.118, 3.860, 1.522, 0.968,
+        /* 2014 */ -0.130, 2.722, 0.202, 1.532, 3.196, 1.496, -0.427, 1.778, -2.647, 5.706, 0.634, -1.110,
+        /* 2015 */ 2.827, 0.055, 0.878, 0.979, -0.436, -0.080, -2.424, -4.507, 4.317, 2.932, -1.103, -6.420,
+        /* 2016 */ -0.550, 6.363, 2.831, -0.304, 1.066, 3.297, 1.199, -0.439, -0.506, 1.201, 3.946, 1.438,
+        /* 2017 */ 2.576, 1.749, -0.154, 1.692, 1.776, 0.988, 0.248, 1.653, 2.735, 1.590, 2.883, 4.862,
+        /* 2018 */ -2.887, 0.065, -1.664, 1.962, 2.113, 1.581, 2.451, 1.680, -3.849, -2.076, -5.563, 1.736,
+        /* 2019 */ 5.829, 1.948, 3.723, -1.532, 1.405, 3.827, -3.134, 3.085, 0.010, 4.434, 2.469, 3.346,
+        /* 2020 */ 0.122, -18.918, 4.319, 5.887, 6.508, 3.476, 5.894, -0.627, 1.726, 3.954, 4.260, 2.795,
+        /* 2021 */ 2.492, 0.821, 6.021, 0.760, 1.810, 3.068, 2.185, -0.084, 0.452, 4.745, 0.265, -2.052,
+        /* 2022 */ -2.903, -0.893, 0.118, -7.873, -3.369, 0.465, 6.447, -7.277, -3.091, 5.285, 0.011, 1.376,
+        /* 2023 */ 3.147, -2.585, 3.996,
+    ],
+    bonds: [
+        /* 1871 */ 0.418, 0.418, 0.418, 0.419, 0.419, 0.419, 0.419, 0.420, 0.420, 0.420, 0.421, 0.421,
+        /* 1872 */ 0.306, 0.308, 0.309, 0.311, 0.313, 0.314, 0.316, 0.318, 0.319, 0.321, 0.322, 0.324,
+        /* 1873 */ 0.535, 0.534, 0.533, 0.533, 0.532, 0.531, 0.530, 0.530, 0.529, 0.528, 0.527, 0.527,
+        /* 1874 */ 0.711, 0.709, 0.706, 0.704, 0.701, 0.699, 0.697, 0.694, 0.692, 0.689, 0.687, 0.685,
+        /* 1875 */ 0.734, 0.732, 0.729, 0.726, 0.723, 0.721, 0.718, 0.715, 0.712, 0.710, 0.707, 0.704,
+        /* 1876 */ 0.475, 0.474, 0.474, 0.473, 0.472, 0.471, 0.470, 0.469, 0.468, 0.467, 0.466, 0.465,
+        /* 1877 */ 0.444, 0.444, 0.443, 0.442, 0.441, 0.441, 0.440, 0.439, 0.438, 0.438, 0.437, 0.436,
+        /* 1878 */ 0.442, 0.441, 0.441, 0.440, 0.439, 0.438, 0.437, 0.437, 0.436, 0.435, 0.434, 0.433,
+        /* 1879 */ 0.487, 0.485, 0.484, 0.483, 0.481, 0.480, 0.479, 0.478, 0.476, 0.475, 0.474, 0.473,
+        /* 1880 */ 0.553, 0.551, 0.549, 0.547, 0.545, 0.543, 0.541, 0.539, 0.537, 0.536, 0.534, 0.532,
+        /* 1881 */ 0.364, 0.363, 0.363, 0.362, 0.361, 0.361, 0.360, 0.360, 0.359, 0.359, 0.358, 0.358,
+        /* 1882 */ 0.295, 0.295, 0.295, 0.295, 0.295, 0.295, 0.295, 0.295, 0.295, 0.295, 0.295, 0.295,
+        /* 1883 */ 0.309, 0.309, 0.309, 0.309, 0.309, 0.309, 0.309, 0.309, 0.309, 0.309, 0.309, 0.309,
+        /* 1884 */ 0.371, 0.370, 0.370, 0.369, 0.368, 0.368, 0.367, 0.366, 0.366, 0.365, 0.364, 0.364,
+        /* 1885 */ 0.398, 0.397, 0.396, 0.395, 0.394, 0.393, 0.392, 0.391, 0.390, 0.389, 0.388, 0.387,
+        /* 1886 */ 0.176, 0.177, 0.178, 0.179, 0.180, 0.181, 0.182, 0.183, 0.184, 0.186, 0.187, 0.188,
+        /* 1887 */ 0.189, 0.190, 0.191, 0.192, 0.193, 0.194, 0.196, 0.197, 0.198, 0.199, 0.200, 0.201,
+        /* 1888 */ 0.458, 0.457, 0.455, 0.454, 0.453, 0.451, 0.450, 0.448, 0.447, 0.446, 0.444, 0.443,
+        /* 1889 */ 0.308, 0.308, 0.308, 0.308, 0.308, 0.307, 0.307, 0.307, 0.307, 0.307, 0.306, 0.306,
+        /* 1890 */ 0.145, 0.147, 0.148, 0.150, 0.151, 0.153, 0.154, 0.156, 0.157, 0.159, 0.160, 0.162,
+        /* 1891 */ 0.316, 0.315, 0.315, 0.315, 0.315, 0.315, 0.315, 0.315, 0.314, 0.314, 0.314, 0.314,
+        /* 1892 */ 0.196, 0.197, 0.198, 0.199, 0.200, 0.201, 0.203, 0.204, 0.205, 0.206, 0.207, 0.208,
+        /* 1893 */ 0.347, 0.347, 0.346, 0.346, 0.346, 0.345, 0.345, 0.345, 0.344, 0.344, 0.344, 0.343,
+        /* 1894 */ 0.474, 0.473, 0.471, 0.470, 0.468, 0.467, 0.465, 0.464, 0.462, 0.461, 0.459, 0.458,
+        /* 1895 */ 0.191, 0.192, 0.193, 0.194, 0.195, 0.196, 0.197, 0.198, 0.199, 0.200, 0.201, 0.202,
+        /* 1896 */ 0.439, 0.438, 0.436, 0.435, 0.434, 0.433, 0.431, 0.430, 0.429, 0.427, 0.426, 0.425,
+        /* 1897 */ 0.318, 0.318, 0.318, 0.317, 0.317, 0.317, 0.316, 0.316, 0.316, 0.315, 0.315, 0.315,
+        /* 1898 */ 0.455, 0.453, 0.452, 0.450, 0.449, 0.447, 0.446, 0.444, 0.442, 0.441, 0.439, 0.438,
+        /* 1899 */ 0.223, 0.223, 0.224, 0.224, 0.224, 0.225, 0.225, 0.225, 0.226, 0.226, 0.226, 0.227,
+        /* 1900 */ 0.298, 0.298, 0.297, 0.297, 0.297, 0.296, 0.296, 0.296, 0.295, 0.295, 0.295, 0.294,
+        /* 1901 */ 0.201, 0.202, 0.203, 0.203, 0.204, 0.204, 0.205, 0.206, 0.206, 0.207, 0.207, 0.208,
+        /* 1902 */ 0.180, 0.181, 0.182, 0.183, 0.184, 0.184, 0.185, 0.186, 0.187, 0.188, 0.189, 0.190,
+        /* 1903 */ 0.205, 0.205, 0.206, 0.207, 0.208, 0.208, 0.209, 0.210, 0.210, 0.211, 0.212, 0.213,
+        /* 1904 */ 0.227, 0.228, 0.228, 0.229, 0.230, 0.230, 0.231, 0.231, 0.232, 0.232, 0.233, 0.234,
+        /* 1905 */ 0.325, 0.325, 0.324, 0.324, 0.324, 0.323, 0.323, 0.323, 0.322, 0.322, 0.322, 0.321,
+        /* 1906 */ 0.118, 0.120, 0.122, 0.124, 0.125, 0.127, 0.129, 0.131, 0.133, 0.134, 0.136, 0.138,
+        /* 1907 */ 0.168, 0.169, 0.171, 0.172, 0.174, 0.175, 0.177, 0.178, 0.180, 0.181, 0.183, 0.184,
+        /* 1908 */ 0.398, 0.397, 0.396, 0.396, 0.395, 0.394, 0.394, 0.393, 0.392, 0.391, 0.391, 0.390,
+        /* 1909 */ 0.210, 0.211, 0.212, 0.213, 0.214, 0.216, 0.217, 0.218, 0.219, 0.220, 0.221, 0.222,
+        /* 1910 */ 0.278, 0.278, 0.279, 0.279, 0.280, 0.280, 0.281, 0.281, 0.282, 0.282, 0.283, 0.283,
+        /* 1911 */ 0.311, 0.311, 0.312, 0.312, 0.312, 0.312, 0.312, 0.313, 0.313, 0.313, 0.313, 0.314,
+        /* 1912 */ 0.035, 0.039, 0.042, 0.046, 0.049, 0.053, 0.056, 0.060, 0.064, 0.067, 0.071, 0.074,
+        /* 1913 */ 0.565, 0.563, 0.561, 0.559, 0.557, 0.556, 0.554, 0.552, 0.550, 0.548, 0.547, 0.545,
+        /* 1914 */ 0.293, 0.293, 0.294, 0.294, 0.295, 0.295, 0.296, 0.297, 0.297, 0.298, 0.298, 0.299,
+        /* 1915 */ 0.481, 0.480, 0.479, 0.478, 0.477, 0.475, 0.474, 0.473, 0.472, 0.470, 0.469, 0.468,
+        /* 1916 */ 0.215, 0.217, 0.218, 0.219, 0.221, 0.222, 0.223, 0.225, 0.226, 0.227, 0.229, 0.230,
+        /* 1917 */ 0.124, 0.126, 0.129, 0.132, 0.134, 0.137, 0.140, 0.142, 0.145, 0.148, 0.150, 0.153,
+        /* 1918 */ 0.427, 0.427, 0.426, 0.426, 0.425, 0.425, 0.424, 0.424, 0.424, 0.423, 0.423, 0.422,
+        /* 1919 */ 0.063, 0.067, 0.070, 0.074, 0.078, 0.082, 0.086, 0.089, 0.093, 0.097, 0.101, 0.105,
+        /* 1920 */ 0.336, 0.337, 0.338, 0.339, 0.340, 0.340, 0.341, 0.342, 0.343, 0.344, 0.345, 0.346,
+        /* 1921 */ 0.938, 0.934, 0.930, 0.926, 0.922, 0.918, 0.914, 0.910, 0.906, 0.902, 0.898, 0.895,
+        /* 1922 */ 0.318, 0.318, 0.319, 0.319, 0.320, 0.320, 0.321, 0.321, 0.321, 0.322, 0.322, 0.323,
+        /* 1923 */ 0.565, 0.563, 0.561, 0.559, 0.557, 0.555, 0.553, 0.552, 0.550, 0.548, 0.546, 0.544,
+        /* 1924 */ 0.474, 0.473, 0.472, 0.470, 0.469, 0.468, 0.467, 0.465, 0.464, 0.463, 0.461, 0.460,
+        /* 1925 */ 0.445, 0.444, 0.443, 0.442, 0.441, 0.439, 0.438, 0.437, 0.436, 0.435, 0.434, 0.432,
+        /* 1926 */ 0.542, 0.540, 0.538, 0.536, 0.534, 0.532, 0.530, 0.528, 0.526, 0.524, 0.522, 0.520,
+        /* 1927 */ 0.285, 0.285, 0.285, 0.285, 0.285, 0.285, 0.285, 0.285, 0.285, 0.285, 0.285, 0.285,
+        /* 1928 */ 0.088, 0.090, 0.092, 0.094, 0.096, 0.098, 0.100, 0.102, 0.104, 0.107, 0.109, 0.111,
+        /* 1929 */ 0.515, 0.514, 0.512, 0.510, 0.508, 0.506, 0.504, 0.502, 0.500, 0.498, 0.497, 0.495,
+        /* 1930 */ 0.239, 0.239, 0.240, 0.240, 0.240, 0.241, 0.241, 0.241, 0.242, 0.242, 0.242, 0.243,
+        /* 1931 */ 0.040, 0.042, 0.045, 0.048, 0.050, 0.053, 0.056, 0.058, 0.061, 0.064, 0.067, 0.069,
+        /* 1932 */ 0.563, 0.561, 0.558, 0.556, 0.554, 0.552, 0.550, 0.548, 0.545, 0.543, 0.541, 0.539,
+        /* 1933 */ 0.410, 0.408, 0.407, 0.406, 0.405, 0.404, 0.402, 0.401, 0.400, 0.399, 0.397, 0.396,
+        /* 1934 */ 0.495, 0.493, 0.491, 0.489, 0.487, 0.485, 0.483, 0.481, 0.479, 0.477, 0.475, 0.473,
+        /* 1935 */ 0.334, 0.333, 0.332, 0.331, 0.330, 0.329, 0.328, 0.327, 0.326, 0.325, 0.324, 0.323,
+        /* 1936 */ 0.199, 0.199, 0.199, 0.200, 0.200, 0.200, 0.200, 0.201, 0.201, 0.201, 0.201, 0.201,
+        /* 1937 */ 0.310, 0.310, 0.309, 0.308, 0.307, 0.306, 0.306, 0.305, 0.304, 0.303, 0.302, 0.302,
+        /* 1938 */ 0.359, 0.358, 0.357, 0.355, 0.354, 0.353, 0.352, 0.350, 0.349, 0.348, 0.347, 0.345,
+        /* 1939 */ 0.307, 0.306, 0.305, 0.304, 0.303, 0.302, 0.301, 0.300, 0.299, 0.298, 0.297, 0.296,
+        /* 1940 */ 0.377, 0.376, 0.374, 0.372, 0.371, 0.369, 0.368, 0.366, 0.364, 0.363, 0.361, 0.360,
+        /* 1941 */ -0.220, -0.215, -0.211, -0.207, -0.202, -0.198, -0.194, -0.189, -0.185, -0.181, -0.176, -0.172,
+        /* 1942 */ 0.198, 0.198, 0.198, 0.198, 0.198, 0.198, 0.198, 0.198, 0.198, 0.198, 0.198, 0.198,
+        /* 1943 */ 0.199, 0.199, 0.199, 0.199, 0.199, 0.199, 0.199, 0.199, 0.199, 0.199, 0.199, 0.199,
+        /* 1944 */ 0.287, 0.286, 0.286, 0.285, 0.284, 0.284, 0.283, 0.282, 0.281, 0.281, 0.280, 0.279,
+        /* 1945 */ 0.330, 0.329, 0.328, 0.327, 0.325, 0.324, 0.323, 0.322, 0.321, 0.320, 0.319, 0.317,
+        /* 1946 */ 0.138, 0.138, 0.139, 0.139, 0.140, 0.140, 0.141, 0.141, 0.141, 0.142, 0.142, 0.143,
+        /* 1947 */ 0.047, 0.048, 0.050, 0.051, 0.053, 0.054, 0.056, 0.057, 0.058, 0.060, 0.061, 0.063,
+        /* 1948 */ 0.299, 0.298, 0.297, 0.296, 0.295, 0.294, 0.294, 0.293, 0.292, 0.291, 0.290, 0.289,
+        /* 1949 */ 0.185, 0.185, 0.185, 0.185, 0.185, 0.185, 0.186, 0.186, 0.186, 0.186, 0.186, 0.186,
+        /* 1950 */ 0.009, 0.011, 0.013, 0.015, 0.017, 0.019, 0.021, 0.023, 0.024, 0.026, 0.028, 0.030,
+        /* 1951 */ 0.134, 0.135, 0.136, 0.136, 0.137, 0.138, 0.139, 0.140, 0.140, 0.141, 0.142, 0.143,
+        /* 1952 */ 0.115, 0.116, 0.117, 0.118, 0.119, 0.120, 0.121, 0.122, 0.124, 0.125, 0.126, 0.127,
+        /* 1953 */ 0.488, 0.486, -0.273, -1.645, -0.257, 1.807, 0.072, 0.936, 2.068, 0.048, 1.010, 1.182,
+        /* 1954 */ 0.295, 1.089, 0.907, -0.516, 0.109, 0.907, -0.338, 0.020, -0.242, -0.237, -0.056, -0.664,
+        /* 1955 */ -0.131, -0.040, -0.384, 0.142, 0.057, -0.801, -0.359, 0.248, 1.023, 0.154, -0.360, 0.763,
+        /* 1956 */ 0.760, -0.793, -1.622, 1.204, 0.856, -0.688, -1.597, -0.143, 0.619, -0.978, -0.542, 1.389,
+        /* 1957 */ 1.300, -0.310, -0.302, -0.710, -1.350, -0.750, 0.327, 0.410, -0.083, 2.401, 4.637, 1.291,
+        /* 1958 */ 0.599, 0.855, 1.110, -0.104, -0.186, -1.705, -2.573, -1.524, -0.017, 0.813, -0.676, -0.985,
+        /* 1959 */ 0.826, 0.085, -0.724, -1.188, 0.118, -0.120, 0.126, -1.611, 1.586, 0.378, -0.889, 0.154,
+        /* 1960 */ 2.231, 2.313, 0.112, -0.206, 1.986, 2.399, 1.150, 0.317, -0.423, -0.004, 1.069, 0.320,
+        /* 1961 */ 0.816, 0.646, -0.019, 0.895, -1.088, -0.005, -0.653, 0.828, 0.824, 0.163, -0.650, 0.175,
+        /* 1962 */ 0.666, 1.239, 1.069, 0.073, -0.006, -0.491, 0.580, 0.332, 0.742, 0.410, 0.820, 0.569,
+        /* 1963 */ -0.419, 0.245, 0.000, 0.659, -0.163, 0.087, 0.498, -0.318, 0.096, 0.261, 0.262, 0.020,
+        /* 1964 */ 0.510, -0.221, 0.271, 0.595, 0.593, 0.185, 0.349, 0.268, 0.431, 0.674, 0.103, 0.267,
+        /* 1965 */ 0.187, 0.351, 0.432, 0.269, 0.351, 0.432, -0.054, 0.032, -0.125, -0.438, -0.980, 0.464,
+        /* 1966 */ -1.347, 0.088, 1.353, 0.159, 0.162, -1.237, -1.127, 0.745, 1.758, -0.745, 2.946, 2.472,
+        /* 1967 */ -0.015, 1.103, -0.019, -1.661, -0.922, -0.667, -0.495, 0.286, -0.933, -1.580, 0.857, 1.770,
+        /* 1968 */ 0.233, -0.895, 1.237, -1.256, 1.622, 2.155, 1.071, 0.146, -0.457, -0.442, -1.984, 0.428,
+        /* 1969 */ -0.606, -0.294, 1.487, -0.589, -1.292, -0.536, 0.777, -2.773, 1.023, 0.308, -2.942, -0.328,
+        /* 1970 */ 4.533, 1.813, -1.655, -2.950, 1.141, 3.311, 0.134, 1.610, 1.038, 4.132, 3.869, 1.640,
+        /* 1971 */ 1.485, 3.609, -0.502, -3.620, -0.415, -0.973, 1.651, 3.810, 2.083, 1.397, -0.414, 0.345,
+        /* 1972 */ -0.471, 0.581, -0.382, 0.961, 0.659, 0.509, -0.230, -1.957, 1.057, 2.013, -0.064, -0.201,
+        /* 1973 */ -0.767, 0.047, 0.849, -0.737, 0.212, -1.057, -1.299, 2.820, 2.751, 0.999, 0.489, -1.223,
+        /* 1974 */ 0.797, -1.188, -1.493, 0.139, 0.910, -1.231, -0.918, 0.670, 1.630, 2.182, 2.391, 0.131,
+        /* 1975 */ 1.397, -1.734, -2.738, 1.844, 2.046, -0.708, -1.611, 0.499, 2.672, 1.292, 1.012, 2.463,
+        /* 1976 */ 0.300, 1.064, 1.828, -1.703, 0.933, 0.861, 1.066, 1.899, 1.894, 1.463, 3.622, -1.831,
+        /* 1977 */ -0.662, 0.126, 1.254, -0.015, 1.890, 0.255, 0.120, 1.038, -0.644, 0.209, -0.130, -1.207,
+        /* 1978 */ 0.186, 0.601, -0.077, -0.667, -0.041, -0.491, 2.264, 0.634, -0.760, -0.402, -0.574, 0.164,
+        /* 1979 */ 0.758, 0.628, 0.370, 0.312, 3.004, 0.480, 0.223, -1.184, -5.234, -1.280, 2.493, -1.623,
+        /* 1980 */ -8.260, -0.874, 8.624, 8.990, 3.382, -2.104, -4.243, -1.493, -0.443, -4.256, 0.162, 2.596,
+        /* 1981 */ -2.373, 1.486, -1.938, -1.097, 4.613, -3.162, -2.214, -0.687, 2.147, 10.897, -0.668, -3.404,
+        /* 1982 */ 2.057, 4.266, 1.101, 2.512, -2.459, 3.067, 6.098, 5.196, 9.671, 3.117, 0.941, 1.371,
+        /* 1983 */ -0.712, 2.184, 1.555, 0.990, -1.983, -2.238, -1.786, 2.161, 1.619, 0.083, 0.159, 1.923,
+        /* 1984 */ -0.017, -1.754, -0.722, -3.214, 0.302, 2.226, 4.710, 2.193, 3.112, 4.485, 1.377, 1.670,
+        /* 1985 */ 0.182, -1.076, 3.533, 4.467, 5.205, -0.083, 0.735, 0.614, 1.672, 3.767, 4.181, 1.226,
+        /* 1986 */ 4.014, 7.070, 4.029, -2.228, 0.022, 4.171, 1.529, -1.361, 0.761, 1.890, 1.598, 0.806,
+        /* 1987 */ -0.610, 0.604, -4.651, -3.258, 2.127, 0.365, -1.345, -3.513, 0.145, 5.138, -0.113, 2.873,
+        /* 1988 */ 3.836, -0.391, -1.621, -1.686, 1.874, -0.171, -0.540, 2.606, 1.936, -0.316, -0.230, 0.890,
+        /* 1989 */ 0.238, -0.460, 1.949, 2.872, 4.653, 2.465, 0.056, 0.134, 1.912, 1.629, 0.862, -1.851,
+        /* 1990 */ -1.056, -0.093, -0.605, 0.931, 2.604, 0.774, -1.146, -0.191, 1.867, 2.943, 2.809, 0.605,
+        /* 1991 */ 2.324, -1.113, 1.153, 0.466, -0.745, 0.758, 3.228, 2.392, 1.474, 1.398, 2.964, 1.018,
+        /* 1992 */ -1.593, -0.782, 1.048, 1.255, 1.533, 3.623, 2.387, 1.794, -0.700, -1.460, 1.293, 1.799,
+        /* 1993 */ 3.057, 2.612, 0.573, -0.024, 1.101, 1.625, 1.468, 2.931, 0.677, -2.502, 0.100, 0.632,
+        /* 1994 */ -1.164, -3.226, -2.961, -0.906, 1.167, -0.817, 1.032, -0.935, -1.313, -0.860, 1.696, 0.858,
+        /* 1995 */ 2.815, 2.532, 1.596, 3.707, 3.958, -0.296, -1.009, 2.685, 1.708, 1.327, 2.157, 0.931,
+        /* 1996 */ -0.733, -2.906, -1.228, -1.118, -0.656, 0.863, 2.240, -0.813, 2.755, 2.984, -0.219, -1.510,
+        /* 1997 */ 1.720, -1.418, -0.877, 1.875, 2.165, 2.535, -0.071, 1.190, 1.859, 1.628, 1.017, 2.541,
+        /* 1998 */ 0.233, -0.142, 0.547, 0.394, 1.615, 0.764, 1.377, 4.618, 2.634, -1.983, 1.830, -0.166,
+        /* 1999 */ -1.792, -1.360, 0.823, -2.310, -2.236, 1.320, -0.640, 0.645, -0.917, 1.105, -1.339, -2.229,
+        /* 2000 */ 1.575, 2.461, 2.537, -2.793, 3.062, 0.881, 2.158, 0.712, 0.936, 0.629, 4.183, 1.057,
+        /* 2001 */ 0.896, 2.073, -1.532, -1.489, 1.297, 0.749, 2.547, 2.311, 1.668, -0.254, -3.033, 0.814,
+        /* 2002 */ 1.439, -2.442, 0.981, 0.822, 2.231, 2.632, 3.537, 3.563, -0.251, -0.569, 0.501, 0.173,
+        /* 2003 */ 1.569, 1.067, -0.911, 3.583, 2.322, -5.041, -3.431, 1.824, 0.195, 0.277, 0.601, 1.330,
+        /* 2004 */ 0.916, 2.400, -3.863, -2.563, 0.314, 2.231, 2.150, 1.576, 0.588, -0.388, 0.026, 0.433,
+        /* 2005 */ 0.757, -2.288, 1.663, 1.986, 1.489, -1.126, -0.298, 0.841, -1.731, -0.266, 0.938, 0.773,
+        /* 2006 */ -0.826, -0.805, -1.715, -0.516, 0.426, 0.581, 2.072, 1.672, 0.314, 1.428, 0.702, -1.199,
+        /* 2007 */ 0.713, 1.668, -0.649, -0.083, -2.324, 1.206, 3.032, 1.586, 0.297, 3.462, 0.753, 3.321,
+        /* 2008 */ 0.312, 2.236, -1.118, -1.337, -1.467, 1.077, 1.320, 1.983, -0.682, 2.657, 10.072, -0.675,
+        /* 2009 */ -2.808, 0.671, -0.711, -2.798, -3.287, 1.645, 0.047, 1.897, 0.367, 0.198, -1.300, -0.860,
+        /* 2010 */ 0.643, -0.024, -0.677, 3.933, 2.152, 1.894, 2.945, 0.661, 1.184, -1.695, -4.249, -0.567,
+        /* 2011 */ -1.302, 1.727, -0.135, 2.753, 1.721, 0.250, 6.452, 3.071, -1.352, 1.437, 0.437, 0.255,
+        /* 2012 */ 0.164, -1.619, 1.257, 2.440, 1.798, 0.963, -1.242, -0.224, -0.130, 1.060, -0.500, -1.572,
+        /* 2013 */ -0.471, 0.345, 1.982, -1.387, -3.117, -2.256, -1.173, -0.377, 1.892, -0.650, -1.323, 0.587,
+        /* 2014 */ 1.541, 0.139, 0.314, 1.538, -0.136, 0.742, 1.269, -0.762, 2.249, -0.074, 1.262, 3.168,
+        /* 2015 */ -0.743, -0.373, 1.071, -2.153, -1.230, 0.551, 1.531, 0.181, 1.077, -1.514, 0.366, 1.529,
+        /* 2016 */ 2.990, -0.846, 0.883, 0.151, 1.706, 1.426, -0.426, -0.511, -1.046, -3.246, -2.894, 0.736,
+        /* 2017 */ 0.291, -0.325, 1.801, 0.192, 1.171, -0.968, 1.172, 0.273, -1.230, 0.285, -0.245, -1.373,
+        /* 2018 */ -2.200, 0.411, -0.022, -0.670, 0.816, 0.415, 0.241, -0.702, -1.026, 0.518, 2.765, 1.278,
+        /* 2019 */ 0.487, 1.185, 0.565, 1.357, 3.247, 4.107, 0.136, -0.503, 0.051, -0.765, -0.302, 1.064,
+        /* 2020 */ 2.541, 6.109, 2.088, -0.041, -0.518, 1.119, -0.236, -0.233, -0.992, -0.694, -0.496, -1.333,
+        /* 2021 */ -1.587, -3.101, -0.140, 0.320, 1.055, 1.985, 0.482, -0.727, -1.812, 0.315, 0.960, -2.515,
+        /* 2022 */ -1.387, -1.626, -5.198, -1.062, -1.801, 2.328, 0.242, -4.942, -3.471, 1.071, 2.571, 1.054,
+        /* 2023 */ -1.525, 1.060, 1.982,
+    ],
+    cpi: [
+        /* 1871 */ 3.053, 1.482, -3.650, -2.273, -1.551, 0.000, -1.574, 2.400, 1.562, 0.000, 2.308, 0.000,
+        /* 1872 */ 0.000, 1.503, 2.223, 0.000, -0.725, -1.460, 0.741, 0.735, -2.190, 2.986, -1.450, 0.000,
+        /* 1873 */ 2.206, 0.000, 0.000, -2.158, -2.941, 0.000, 0.000, 0.000, -2.273, -3.101, 2.400, 1.562,
+        /* 1874 */ 0.000, 0.000, -1.538, -0.781, -2.362, 0.807, -0.800, 0.000, -1.613, -0.819, 0.000, 0.000,
+        /* 1875 */ 0.000, 0.000, 0.826, -2.459, -1.680, 0.000, 0.854, -0.847, 0.000, -0.855, -0.862, -0.870,
+        /* 1876 */ 0.000, 0.000, -0.877, -3.540, -2.753, 0.000, 0.944, 0.935, 1.851, 0.909, 1.802, 1.770,
+        /* 1877 */ -2.608, -4.464, 2.804, 1.819, -5.357, 0.944, -3.738, -0.971, 0.000, -1.960, 0.000, -3.001,
+        /* 1878 */ -1.030, -2.084, -1.064, -3.226, -2.222, 1.136, 1.124, 0.000, -1.111, -1.123, -2.273, 1.163,
+        /* 1879 */ 1.150, -1.137, -1.150, 0.000, -1.163, 1.176, 0.000, 3.488, 5.618, 5.319, 3.030, 2.942,
+        /* 1880 */ 0.000, 0.952, -3.774, -2.941, -2.021, 0.000, 0.000, 1.031, 0.000, 1.021, 1.010, -1.000,
+        /* 1881 */ 1.010, 0.000, 0.999, -0.989, 0.000, 0.999, 1.981, 3.883, 0.935, -0.926, 0.000, 0.000,
+        /* 1882 */ 0.935, 0.000, 0.926, 0.917, 0.909, -0.901, 0.909, -2.702, -0.926, -0.935, -0.943, 0.000,
+        /* 1883 */ 0.952, -0.943, -0.953, -0.962, -2.912, -2.000, 0.000, -1.021, 0.000, -1.030, 1.041, 0.000,
+        /* 1884 */ 0.000, 0.000, -2.061, -2.106, 0.000, -1.075, 0.000, -1.087, -1.099, -2.222, -1.137, 0.000,
+        /* 1885 */ 1.150, -2.273, 1.163, -2.299, -2.353, 1.205, 0.000, -1.190, 0.000, 1.205, 2.381, -2.325,
+        /* 1886 */ 0.000, -1.190, -1.205, -2.439, -1.250, 1.266, 1.250, 0.000, 0.000, 0.000, 1.235, 2.439,
+        /* 1887 */ 1.191, 0.000, 0.000, 0.000, -1.177, -1.190, 1.205, -1.190, 1.205, 1.191, 2.353, 1.150,
+        /* 1888 */ -1.137, 0.000, -1.150, -1.163, -1.177, 1.191, 0.000, 0.000, 1.176, 1.163, 0.000, -3.448,
+        /* 1889 */ -1.190, -1.205, 0.000, -2.439, 0.000, 0.000, 0.000, 1.250, 0.000, 0.000, 1.235, -2.439,
+        /* 1890 */ 0.000, 0.000, 0.000, 1.250, 0.000, 0.000, 3.704, 1.191, 0.000, -2.353, 0.000, -1.205,
+        /* 1891 */ 1.220, 1.205, 1.191, -1.177, -2.381, -1.220, 0.000, -1.235, 0.000, -1.250, 0.000, -2.532,
+        /* 1892 */ 0.000, -2.597, -1.333, 0.000, 0.000, 2.703, 1.316, 0.000, 0.000, 2.597, 1.266, 3.750,
+        /* 1893 */ 1.205, -2.381, -1.220, -1.235, -2.500, -2.564, -3.947, 4.110, 1.316, -2.597, -1.333, -2.703,
+        /* 1894 */ -1.389, -2.817, 0.000, 0.000, 0.000, 0.000, 2.899, 1.408, -2.778, 0.000, -1.429, 0.000,
+        /* 1895 */ 0.000, 0.000, 4.348, 1.389, 1.370, -1.351, -1.370, 0.000, 0.000, 0.000, -1.389, -1.409,
+        /* 1896 */ -1.429, 0.000, -1.449, -1.471, -1.492, 0.000, 0.000, 0.000, 3.030, 2.941, 0.000, -2.857,
+        /* 1897 */ 0.000, 0.000, -1.471, -1.492, 0.000, 0.000, 4.545, 2.899, -1.409, 0.000, 0.000, 0.000,
+        /* 1898 */ 1.429, 0.000, 0.000, 7.042, -6.579, -1.409, 0.000, 0.000, 0.000, 0.000, 1.429, 0.000,
+        /* 1899 */ 2.817, 0.000, 1.370, 0.000, 1.351, 1.333, 1.316, 3.896, 1.250, 1.235, 1.220, 0.000,
+        /* 1900 */ 1.205, 0.000, 0.000, -2.381, -1.220, 1.235, -1.220, 1.235, -1.220, 0.000, -1.235, 1.250,
+        /* 1901 */ -1.235, 0.000, -1.250, 0.000, 0.000, 1.266, 1.250, 1.235, 0.000, 1.220, 1.205, -1.190,
+        /* 1902 */ 0.000, 0.000, 1.205, 1.191, 1.176, 0.000, -1.163, 1.176, 6.977, -3.262, 1.124, 1.111,
+        /* 1903 */ 0.000, -3.296, 0.000, -2.273, 0.000, 0.000, 0.000, 1.163, -1.150, -1.163, 0.000, 2.353,
+        /* 1904 */ 2.298, -1.123, -1.137, -2.299, 0.000, 0.000, 1.176, 1.163, 0.000, 2.298, 0.000, 0.000,
+        /* 1905 */ 0.000, -1.123, 0.000, -1.137, 0.000, 0.000, 1.150, -1.137, 0.000, 1.150, 1.136, 0.000,
+        /* 1906 */ 0.000, 0.000, 0.000, 1.124, 0.000, -3.333, 2.298, 1.124, 2.223, 1.086, 1.075, -1.064,
+        /* 1907 */ 2.151, -1.053, 0.000, 2.128, 1.041, 0.000, 0.000, 0.000, 1.031, -4.082, -2.127, -1.087,
+        /* 1908 */ -1.099, 0.000, 1.111, 0.000, 0.000, 1.099, 0.000, 0.000, 1.086, 1.075, 1.064, -1.053,
+        /* 1909 */ 1.064, 0.000, 2.105, 1.031, 1.021, 0.000, 1.010, 0.999, 1.981, 0.971, 0.962, -0.953,
+        /* 1910 */ 0.000, 1.923, 0.944, -1.869, -0.953, 0.000, -0.962, -0.971, -2.941, -2.021, 0.000, 0.000,
+        /* 1911 */ -3.093, 1.064, -3.158, 0.000, 0.000, 1.086, 3.226, 1.041, 0.000, -1.030, -1.042, 1.053,
+        /* 1912 */ 1.041, 2.062, 3.030, 0.000, -0.981, 0.000, 0.990, 0.981, 0.000, 0.000, -0.971, 0.981,
+        /* 1913 */ 0.000, 0.000, 0.000, -1.020, 1.031, 1.020, 0.000, 1.010, 0.000, 1.000, -0.990, 0.000,
+        /* 1914 */ -1.000, 0.000, -1.010, 1.020, 0.000, 1.010, 2.000, 0.000, -0.980, 0.990, -0.980, 0.000,
+        /* 1915 */ -0.990, -1.000, 1.010, 1.000, 0.000, 0.000, 0.000, 0.000, 0.990, 0.980, 0.000, 0.971,
+        /* 1916 */ 0.000, 0.962, 0.952, 0.943, 0.935, 0.000, 0.926, 1.835, 1.802, 1.770, 0.870, 0.862,
+        /* 1917 */ 2.564, 0.000, 5.000, 1.587, 1.563, -1.538, 1.563, 2.308, 1.504, 0.000, 1.481, 2.190,
+        /* 1918 */ 0.714, -0.709, 1.429, 2.113, 1.379, 2.721, 1.987, 1.948, 1.911, 1.875, 1.227, 0.000,
+        /* 1919 */ -1.818, 1.235, 1.829, 1.198, 0.000, 2.959, 1.724, 0.565, 1.685, 2.210, 2.162, 2.116,
+        /* 1920 */ 1.036, 1.026, 3.046, 1.478, 1.456, -0.478, -2.404, -1.478, -0.500, -0.503, -2.020, -2.062,
+        /* 1921 */ -3.158, -0.543, -1.093, -2.210, -0.565, 0.568, 0.000, -1.130, 0.000, -0.571, -0.575, -2.312,
+        /* 1922 */ 0.000, -1.183, 0.000, 0.000, 0.000, 0.599, -1.190, 0.000, 0.602, 0.599, 0.595, -0.592,
+        /* 1923 */ 0.000, 0.000, 0.595, 0.000, 0.592, 1.176, -0.581, 0.585, 0.581, 0.000, 0.000, 0.000,
+        /* 1924 */ -0.578, -0.581, -0.585, 0.000, 0.000, 0.588, -0.585, 0.588, 0.585, 0.000, 0.581, 0.000,
+        /* 1925 */ -0.578, 0.581, -0.578, 0.581, 1.156, 1.143, 0.000, 0.000, 0.000, 1.695, -0.556, 0.000,
+        /* 1926 */ 0.000, -0.559, 0.562, -0.559, -0.562, -1.130, -0.571, 0.575, 0.571, 0.568, 0.000, -1.130,
+        /* 1927 */ -0.571, -0.575, 0.000, 0.578, 1.149, -1.705, -0.578, 0.581, 0.578, -0.575, 0.000, 0.000,
+        /* 1928 */ -1.156, 0.000, 0.000, 0.585, -0.581, 0.000, 0.000, 1.170, -0.578, 0.000, -0.581, 0.000,
+        /* 1929 */ 0.000, -0.585, -0.588, 0.592, 0.588, 1.170, 0.000, 0.000, 0.000, 0.000, -0.578, -0.581,
+        /* 1930 */ -0.585, -0.588, 0.592, -0.588, -0.592, -1.190, -0.602, 0.606, -0.602, -0.606, -1.829, -1.242,
+        /* 1931 */ -1.258, -0.637, -0.641, -1.290, -1.307, 0.000, 0.000, -0.662, -0.667, -1.342, -0.680, -2.055,
+        /* 1932 */ -1.399, -0.709, -0.714, -1.439, -0.730, 0.000, -0.735, -0.741, -0.746, -0.752, -0.758, -1.527,
+        /* 1933 */ -1.550, -0.787, 0.000, 0.000, 0.794, 3.150, 0.763, 0.000, 0.000, 0.000, 0.000, 0.000,
+        /* 1934 */ 0.758, 0.000, 0.000, 0.000, 0.752, 0.000, 0.000, 1.493, -0.735, 0.000, -0.741, 1.493,
+        /* 1935 */ 0.735, 0.000, 0.730, 0.000, -0.725, 0.000, 0.000, 0.000, 0.000, 0.730, 0.000, 0.000,
+        /* 1936 */ 0.000, -0.725, 0.000, 0.000, 0.730, 0.725, 0.719, 0.000, 0.000, 0.000, 0.000, 0.714,
+        /* 1937 */ 0.000, 0.709, 0.704, 0.699, 0.000, 0.694, 0.000, 0.690, 0.000, -0.685, -0.690, -1.389,
+        /* 1938 */ -0.704, 0.000, 0.709, -0.704, 0.000, 0.000, 0.000, 0.000, -0.709, 0.000, 0.000, 0.000,
+        /* 1939 */ -0.714, 0.000, -0.719, 0.000, 0.000, 0.000, 0.000, 2.174, -0.709, 0.000, 0.000, -0.714,
+        /* 1940 */ 0.719, 0.000, 0.000, 0.000, 0.714, -0.709, 0.000, 0.000, 0.000, 0.000, 0.714, 0.000,
+        /* 1941 */ 0.000, 0.709, 0.704, 0.699, 2.083, 0.000, 1.361, 1.342, 1.325, 0.654, 0.649, 1.290,
+        /* 1942 */ 0.637, 1.266, 0.625, 1.242, 0.000, 0.613, 0.610, 0.000, 1.212, 0.599, 0.595, 0.000,
+        /* 1943 */ 0.000, 1.775, 1.163, 0.575, 0.000, -0.571, -0.575, 0.578, 0.000, 0.000, 0.000, 0.000,
+        /* 1944 */ 0.000, 0.000, 0.575, 0.000, 0.571, 0.568, 0.000, 0.000, 0.000, 0.000, 0.565, 0.000,
+        /* 1945 */ 0.000, 0.000, 0.000, 0.562, 1.117, 0.000, 0.000, 0.000, 0.000, 0.000, 0.552, 0.000,
+        /* 1946 */ -0.549, 1.105, 0.546, 0.543, 1.081, 5.882, 2.020, 0.990, 1.961, 2.404, 0.939, 0.000,
+        /* 1947 */ 0.000, 1.860, 0.000, 0.000, 0.457, 0.909, 1.351, 2.222, 0.000, 0.435, 1.299, 1.282,
+        /* 1948 */ -0.844, -0.426, 1.709, 0.420, 0.837, 1.245, 0.410, 0.000, -0.408, -0.820, -0.413, -0.415,
+        /* 1949 */ -0.833, 0.000, 0.420, -0.418, 0.420, -0.837, 0.422, 0.420, -0.837, 0.422, -0.840, -0.424,
+        /* 1950 */ 0.000, 0.426, 0.000, 0.424, 0.422, 1.261, 0.830, 0.412, 0.820, 0.407, 1.215, 1.600,
+        /* 1951 */ 1.181, 0.389, 0.000, 0.388, 0.000, 0.000, 0.000, 0.772, 0.383, 0.763, 0.379, 0.000,
+        /* 1952 */ -0.755, 0.000, 0.380, 0.000, 0.379, 0.755, 0.000, 0.000, 0.000, 0.000, 0.000, -0.375,
+        /* 1953 */ -0.376, 0.377, 0.000, 0.376, 0.375, 0.000, 0.373, 0.000, 0.372, -0.370, 0.000, 0.000,
+        /* 1954 */ 0.000, 0.000, -0.372, 0.373, 0.000, 0.000, 0.000, -0.372, 0.000, 0.000, -0.373, 0.000,
+        /* 1955 */ 0.000, 0.000, 0.000, 0.000, 0.000, 0.375, 0.000, 0.373, 0.000, 0.000, -0.372, 0.000,
+        /* 1956 */ 0.000, 0.000, 0.373, 0.372, 0.741, 0.735, -0.365, 0.366, 0.365, 0.000, 0.364, 0.000,
+        /* 1957 */ 0.362, 0.361, 0.360, 0.358, 0.357, 0.712, 0.000, 0.000, 0.000, 0.353, 0.000, 0.704,
+        /* 1958 */ 0.000, 0.699, 0.347, 0.000, 0.000, 0.346, -0.345, 0.000, 0.000, 0.346, -0.345, 0.346,
+        /* 1959 */ -0.345, 0.000, 0.346, 0.000, 0.345, 0.344, 0.000, 0.342, 0.341, 0.000, 0.000, -0.340,
+        /* 1960 */ 0.341, 0.000, 0.340, 0.000, 0.339, 0.000, 0.000, 0.000, 0.676, 0.000, 0.000, 0.000,
+        /* 1961 */ 0.000, 0.000, 0.000, 0.000, 0.000, 0.671, -0.333, 0.334, 0.000, 0.000, 0.000, 0.000,
+        /* 1962 */ 0.333, 0.000, 0.332, 0.000, 0.000, 0.331, 0.000, 0.330, 0.000, 0.000, 0.000, 0.000,
+        /* 1963 */ 0.000, 0.329, 0.000, 0.000, 0.328, 0.327, 0.000, 0.000, 0.326, 0.000, 0.325, 0.000,
+        /* 1964 */ 0.000, 0.000, 0.000, 0.000, 0.324, 0.323, -0.322, 0.323, 0.000, 0.322, 0.000, 0.000,
+        /* 1965 */ 0.000, 0.321, 0.319, 0.000, 0.637, 0.000, 0.000, 0.000, 0.316, 0.000, 0.315, 0.000,
+        /* 1966 */ 0.629, 0.313, 0.623, 0.000, 0.310, 0.309, 0.615, 0.000, 0.612, 0.000, 0.000, 0.000,
+        /* 1967 */ 0.000, 0.304, 0.303, 0.302, 0.301, 0.300, 0.299, 0.299, 0.298, 0.297, 0.296, 0.590,
+        /* 1968 */ 0.293, 0.292, 0.292, 0.291, 0.580, 0.576, 0.287, 0.286, 0.570, 0.283, 0.282, 0.282,
+        /* 1969 */ 0.562, 0.838, 0.554, 0.275, 0.549, 0.546, 0.543, 0.270, 0.539, 0.536, 0.533, 0.265,
+        /* 1970 */ 0.529, 0.526, 0.785, 0.260, 0.518, 0.515, 0.000, 0.513, 0.510, 0.508, 0.505, 0.000,
+        /* 1971 */ 0.251, 0.251, 0.250, 0.499, 0.744, 0.246, 0.246, 0.000, 0.245, 0.000, 0.489, 0.000,
+        /* 1972 */ 0.487, 0.242, 0.242, 0.241, 0.240, 0.480, 0.239, 0.238, 0.475, 0.236, 0.236, 0.235,
+        /* 1973 */ 0.704, 0.932, 0.693, 0.688, 0.683, 0.226, 1.806, 0.222, 0.885, 0.658, 0.654, 0.866,
+        /* 1974 */ 1.288, 1.271, 0.418, 1.250, 0.823, 0.816, 1.215, 1.200, 0.988, 0.783, 0.777, 0.385,
+        /* 1975 */ 0.768, 0.381, 0.380, 0.567, 0.752, 1.119, 0.185, 0.552, 0.549, 0.729, 0.362, 0.180,
+        /* 1976 */ 0.360, 0.179, 0.358, 0.713, 0.531, 0.528, 0.525, 0.348, 0.521, 0.173, 0.345, 0.515,
+        /* 1977 */ 1.026, 0.677, 0.840, 0.500, 0.663, 0.494, 0.328, 0.327, 0.326, 0.487, 0.323, 0.644,
+        /* 1978 */ 0.640, 0.795, 0.789, 0.939, 1.085, 0.767, 0.457, 0.758, 0.902, 0.447, 0.445, 0.886,
+        /* 1979 */ 1.171, 1.013, 1.146, 1.275, 1.119, 1.107, 0.958, 1.084, 0.804, 0.931, 1.054, 1.434,
+        /* 1980 */ 1.414, 1.521, 1.124, 0.988, 1.100, 0.000, 0.726, 0.840, 0.952, 0.825, 0.936, 0.811,
+        /* 1981 */ 1.034, 0.683, 0.678, 0.786, 0.891, 1.104, 0.764, 0.975, 0.215, 0.321, 0.320, 0.319,
+        /* 1982 */ 0.318, -0.106, 0.423, 0.948, 1.253, 0.515, 0.205, 0.205, 0.306, -0.204, -0.408, 0.205,
+        /* 1983 */ 0.102, 0.000, 0.715, 0.609, 0.302, 0.402, 0.300, 0.499, 0.298, 0.198, 0.099, 0.592,
+        /* 1984 */ 0.491, 0.195, 0.487, 0.291, 0.290, 0.386, 0.384, 0.478, 0.286, 0.000, 0.000, 0.190,
+        /* 1985 */ 0.474, 0.377, 0.470, 0.374, 0.280, 0.186, 0.186, 0.278, 0.369, 0.276, 0.275, 0.274,
+        /* 1986 */ -0.274, -0.457, -0.184, 0.276, 0.551, 0.000, 0.183, 0.456, 0.091, 0.091, 0.091, 0.633,
+        /* 1987 */ 0.360, 0.448, 0.535, 0.355, 0.354, 0.264, 0.527, 0.524, 0.261, 0.087, 0.000, 0.260,
+        /* 1988 */ 0.259, 0.431, 0.515, 0.342, 0.426, 0.424, 0.422, 0.672, 0.334, 0.083, 0.166, 0.498,
+        /* 1989 */ 0.413, 0.576, 0.654, 0.569, 0.242, 0.242, 0.161, 0.321, 0.480, 0.239, 0.159, 1.031,
+        /* 1990 */ 0.471, 0.547, 0.155, 0.233, 0.542, 0.385, 0.920, 0.836, 0.603, 0.225, 0.000, 0.598,
+        /* 1991 */ 0.149, 0.148, 0.148, 0.296, 0.295, 0.147, 0.294, 0.439, 0.146, 0.291, 0.073, 0.145,
+        /* 1992 */ 0.362, 0.505, 0.144, 0.143, 0.358, 0.214, 0.285, 0.284, 0.354, 0.141, -0.070, 0.493,
+        /* 1993 */ 0.351, 0.349, 0.279, 0.139, 0.139, 0.000, 0.277, 0.207, 0.414, 0.069, 0.000, 0.274,
+        /* 1994 */ 0.342, 0.341, 0.136, 0.068, 0.339, 0.270, 0.404, 0.268, 0.067, 0.134, 0.000, 0.401,
+        /* 1995 */ 0.399, 0.331, 0.330, 0.197, 0.197, 0.000, 0.262, 0.196, 0.326, -0.065, -0.065, 0.586,
+        /* 1996 */ 0.324, 0.516, 0.385, 0.192, 0.064, 0.191, 0.191, 0.318, 0.317, 0.190, 0.000, 0.315,
+        /* 1997 */ 0.314, 0.251, 0.125, -0.062, 0.125, 0.125, 0.187, 0.249, 0.248, -0.062, -0.124, 0.186,
+        /* 1998 */ 0.186, 0.185, 0.185, 0.185, 0.123, 0.123, 0.123, 0.122, 0.244, 0.000, -0.061, 0.244,
+        /* 1999 */ 0.122, 0.304, 0.727, 0.000, 0.000, 0.301, 0.240, 0.479, 0.179, 0.059, 0.000, 0.297,
+        /* 2000 */ 0.592, 0.824, 0.058, 0.117, 0.525, 0.232, 0.000, 0.521, 0.173, 0.057, -0.057, 0.632,
+        /* 2001 */ 0.400, 0.228, 0.397, 0.452, 0.169, -0.281, 0.000, 0.451, -0.337, -0.169, -0.395, 0.226,
+        /* 2002 */ 0.395, 0.562, 0.559, 0.000, 0.056, 0.111, 0.333, 0.166, 0.166, 0.000, -0.221, 0.442,
+        /* 2003 */ 0.771, 0.601, -0.217, -0.163, 0.109, 0.109, 0.381, 0.325, -0.108, -0.270, -0.108, 0.488,
+        /* 2004 */ 0.540, 0.644, 0.320, 0.585, 0.317, -0.158, 0.053, 0.211, 0.527, 0.052, -0.366, 0.210,
+        /* 2005 */ 0.577, 0.782, 0.673, -0.103, 0.051, 0.463, 0.512, 1.222, 0.201, -0.803, -0.405, 0.762,
+        /* 2006 */ 0.202, 0.554, 0.851, 0.496, 0.198, 0.296, 0.197, -0.490, -0.542, -0.149, 0.149, 0.305,
+        /* 2007 */ 0.535, 0.911, 0.650, 0.611, 0.194, -0.025, -0.183, 0.276, 0.214, 0.594, -0.067, 0.497,
+        /* 2008 */ 0.290, 0.867, 0.606, 0.842, 1.008, 0.525, -0.399, -0.138, -1.010, -1.915, -1.034, 0.435,
+        /* 2009 */ 0.497, 0.243, 0.250, 0.289, 0.859, -0.159, 0.224, 0.063, 0.096, 0.071, -0.176, 0.342,
+        /* 2010 */ 0.025, 0.411, 0.174, 0.078, -0.098, 0.021, 0.138, 0.058, 0.125, 0.042, 0.172, 0.476,
+        /* 2011 */ 0.493, 0.975, 0.644, 0.470, -0.107, 0.089, 0.276, 0.152, -0.206, -0.084, -0.247, 0.440,
+        /* 2012 */ 0.440, 0.759, 0.302, -0.117, -0.147, -0.163, 0.557, 0.446, -0.039, -0.474, -0.269, 0.296,
+        /* 2013 */ 0.819, 0.261, -0.104, 0.178, 0.240, 0.039, 0.120, 0.116, -0.258, -0.204, -0.009, 0.372,
+        /* 2014 */ 0.370, 0.644, 0.330, 0.349, 0.186, -0.039, -0.167, 0.075, -0.251, -0.540, -0.567, -0.471,
+        /* 2015 */ 0.434, 0.595, 0.203, 0.510, 0.350, 0.007, -0.142, -0.156, -0.045, -0.211, -0.342, 0.165,
+        /* 2016 */ 0.082, 0.431, 0.474, 0.405, 0.328, -0.162, 0.092, 0.240, 0.125, -0.156, 0.033, 0.583,
+        /* 2017 */ 0.315, 0.081, 0.297, 0.085, 0.091, -0.069, 0.299, 0.529, -0.063, 0.002, -0.059, 0.545,
+        /* 2018 */ 0.453, 0.226, 0.398, 0.416, 0.159, 0.007, 0.056, 0.116, 0.177, -0.335, -0.319, 0.191,
+        /* 2019 */ 0.423, 0.564, 0.530, 0.213, 0.020, 0.167, -0.005, 0.078, 0.229, -0.054, -0.091, 0.388,
+        /* 2020 */ 0.274, -0.218, -0.669, 0.002, 0.547, 0.506, 0.315, 0.139, 0.041, -0.061, 0.094, 0.425,
+        /* 2021 */ 0.547, 0.708, 0.822, 0.802, 0.929, 0.481, 0.207, 0.272, 0.831, 0.491, 0.307, 0.841,
+        /* 2022 */ 0.913, 1.335, 0.558, 1.102, 1.374, -0.012, -0.035, 0.215, 0.406, -0.101, -0.307, 0.800,
+        /* 2023 */ 0.558, 0.278, 0.560,
+    ],
+};
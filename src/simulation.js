@@ -3,38 +3,848 @@
  *
  * Methodology:
  *  - Each simulation run models monthly household cash flows over a chosen horizon.
- *  - Income is sampled from N(µ_income, σ_income) each month (Box-Muller transform).
+ *  - All randomness comes from a seeded Mulberry32 PRNG, so a (params, runs, seed)
+ *    triple always reproduces the exact same result set. Every run has its own
+ *    sub-stream, so reruns with one input changed reuse the same random draws
+ *    run for run (common random numbers) — see runSensitivity.
+ *  - Income is sampled from N(µ_income, σ_income) each month (Box-Muller transform),
+ *    scaled by cumulative wage growth and the cost-of-living share of inflation.
  *  - Variable expenses are sampled from N(µ_var, σ_var) with a floor of 0.
+ *  - Income, variable-expense and investment-return shocks are jointly normal with
+ *    a user-supplied correlation matrix (Cholesky factor applied to i.i.d. draws).
  *  - Fixed expenses are deterministic per month.
- *  - Debt accrues interest monthly (APR / 12) and is reduced by the payment amount.
- *  - Savings grow at the specified annual return rate with a small random shock.
+ *  - Each debt accrues interest monthly at its own APR / 12. Minimums are paid on
+ *    every debt; any extra payment goes to debts in avalanche (highest APR first),
+ *    snowball (smallest balance first) or custom (listed) order.
+ *  - Savings grow at a random monthly return from the selected return model:
+ *    normal, Student-t (fat tails) or a two-state bull/bear Markov regime switch,
+ *    each with an explicit volatility.
+ *  - Or, in historical bootstrap mode, savings follow contiguous blocks of real
+ *    monthly equity / bond returns resampled from the bundled dataset
+ *    (historical-data.js, which must be loaded first), and expenses inflate
+ *    along the CPI path of the same blocks instead of a fixed rate.
  *  - Cash balance = prior cash + net income - net expenses - debt payments.
+ *  - With params.realDollars every reported amount (balances, interest, taxes) is
+ *    deflated to today's dollars by the simulated price level, and the savings goal
+ *    is tested in real terms.
+ *  - Each scenario is a rule-based strategy: every month the first rule whose
+ *    condition holds decides the debt payment multiple, the share of income
+ *    invested, and how the month's surplus is split between debt, investments
+ *    and cash (above an optional cash-buffer target).
  *  - If cash goes negative the shortfall is drawn from savings before declaring ruin.
+ *    Each run records its first ruin month, months spent cash-negative and the
+ *    deepest shortfall, from which runMonteCarlo builds a survival curve.
+ *  - Each run's net-worth path is also scored for drawdown, time under water,
+ *    worst 12-month change and downside deviation (statistics.js).
+ *  - Optional retirement phase: at the retirement age salary stops and the household
+ *    lives on pensions plus portfolio withdrawals set by a fixed-real, fixed-percentage
+ *    or guardrails policy; runs record whether and when the portfolio is depleted.
+ *  - Optional tax layer: income is gross, taxed through progressive brackets, with
+ *    pre-tax contributions to a tax-deferred (401k/IRA) bucket and after-tax ones to
+ *    a tax-free (Roth) bucket, each capped by an annual limit. Shortfalls draw on
+ *    the taxable, then deferred (taxed as income), then tax-free bucket.
+ *  - Optional life events: job loss (per-month hazard, log-normal spell length,
+ *    partial income replacement), one-off expense shocks (Poisson frequency,
+ *    log-normal severity) and windfalls. Each run records which events hit it.
+ *  - Optional variance reduction: antithetic run pairs, or randomized quasi-Monte
+ *    Carlo (Sobol points through a Brownian bridge) for the monthly shocks, and
+ *    common random numbers across scenarios (needs statistics.js).
+ *  - Per-month percentiles of every balance are estimated over all runs as they
+ *    stream past (P² sketches, statistics.js), for the fan chart.
+ *  - Optional adaptive run count: each scenario keeps adding runs until the 95%
+ *    intervals of its ruin and goal probabilities and median ending net worth are
+ *    within a target precision (needs statistics.js).
  *
  * Assumptions:
  *  - Income shocks are i.i.d. each month (no autocorrelation).
- *  - Stock/savings returns are log-normally distributed (approximated as normal for small σ).
- *  - Tax effects are not explicitly modelled — inputs are treated as after-tax.
- *  - Inflation is not modelled by default (can be added via the inflationRate param).
- *  - Debt minimum payments are user-defined; aggressive payoff sends all surplus to debt.
+ *  - Monthly returns are arithmetic; the balance is floored at 0 after a crash.
+ *  - Without the tax layer, inputs are treated as after-tax.
+ *  - Tax is computed each month on annualised income; windfalls are untaxed.
+ *  - Inflation compounds at the fixed inflationRate, except in historical bootstrap
+ *    mode where it follows the resampled CPI.
+ *  - Debt minimum payments are user-defined; strategy rules decide any extra payment,
+ *    on top of which a fixed extraDebtPayment is paid every month while in debt.
  *
  * Limitations:
- *  - Does not model life events (job loss, medical costs) beyond the income σ.
- *  - Returns on savings are time-invariant (no market regime changes).
- *  - Correlations between income shocks and expense shocks are not modelled.
+ *  - Life-event hazards are constant over time and independent of each other.
+ *  - Tax brackets and contribution limits are not indexed to inflation, and early
+ *    withdrawal penalties are not modelled.
+ *  - Outside the regime-switching and historical models, return parameters are
+ *    time-invariant.
+ *  - The historical bootstrap only replays U.S. history, and joins between
+ *    blocks break cycles longer than the block length.
+ *  - Shock correlations are constant — they do not strengthen in crises.
  */
 
 "use strict";
 
+// ─── Seeded PRNG (Mulberry32) ─────────────────────────────────────────────────
+/**
+ * createRng — deterministic uniform [0, 1) generator from a 32-bit seed.
+ * @param {number} seed  any integer; only the low 32 bits are used
+ * @returns {Function} () => number
+ */
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * deriveSeed — mix a base seed with a stream index so each scenario gets its
+ * own independent, but still reproducible, random stream.
+ */
+function deriveSeed(seed, stream) {
+    let h = (seed >>> 0) ^ Math.imul(stream + 1, 0x9E3779B9);
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/** randomSeed — fresh 32-bit seed for when the user did not supply one. */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
 // ─── Box-Muller Normal Sampler ────────────────────────────────────────────────
-function randNormal(mean = 0, std = 1) {
+function randNormal(mean = 0, std = 1, rng = Math.random) {
     let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
+    while (u === 0) u = rng();
+    while (v === 0) v = rng();
     const n = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
     return mean + std * n;
 }
 
+// ─── Correlated Shocks ────────────────────────────────────────────────────────
+// Order of the shock sources in params.shockCorrelation
+const SHOCK_SOURCES = ['Income', 'Spend', 'Return'];
+
+/**
+ * choleskyDecompose — lower-triangular L with L·Lᵀ = A.
+ * @returns {number[][]|null} null if A is not positive definite
+ */
+function choleskyDecompose(A) {
+    const n = A.length;
+    const L = A.map(() => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = A[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            if (i === j) {
+                if (sum <= 1e-12) return null;
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+    return L;
+}
+
+/**
+ * shockCholesky — Cholesky factor for the shock correlation matrix. A matrix
+ * that is not positive definite has its off-diagonals shrunk toward 0 until
+ * it is, and is reported as adjusted.
+ * @param {number[][]} corr  symmetric, unit diagonal (missing → identity)
+ * @returns {Object} { L, matrix, adjusted }
+ */
+function shockCholesky(corr) {
+    const n = SHOCK_SOURCES.length;
+    const base = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => {
+        if (i === j) return 1;
+        const v = Number(corr?.[i]?.[j] ?? corr?.[j]?.[i]);
+        return isFinite(v) ? clamp(v, -0.999, 0.999) : 0;
+    }));
+    let scale = 1;
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const matrix = base.map((row, i) => row.map((v, j) => (i === j ? 1 : v * scale)));
+        const L = choleskyDecompose(matrix);
+        if (L) return { L, matrix, adjusted: attempt > 0 };
+        scale *= 0.95;
+    }
+    const identity = base.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+    return { L: identity, matrix: identity, adjusted: true };
+}
+
+/**
+ * correlatedNormals — standard normals with correlation L·Lᵀ.
+ */
+function correlatedNormals(L, rng, e = L.map(() => randNormal(0, 1, rng))) {
+    return L.map(row => row.reduce((s, l, k) => s + l * e[k], 0));
+}
+
+// ─── Variance Reduction ───────────────────────────────────────────────────────
+/**
+ * Sampling (params.sampling):
+ *   - method        'plain'      independent pseudo-random runs
+ *                   'antithetic' runs in pairs, the second with every income,
+ *                                spend and return shock of the first negated
+ *                   'qmc'        shocks built by a Brownian bridge whose coarse
+ *                                points come from a randomized Sobol sequence
+ *   - shareStreams  every scenario replays the same random streams (common
+ *                   random numbers), so differences between scenarios are not
+ *                   swamped by sampling noise
+ * Life events, regime switches and historical blocks always draw from the
+ * run's pseudo-random stream.
+ */
+const SAMPLING_METHODS = {
+    plain: 'Pseudo-random',
+    antithetic: 'Antithetic variates',
+    qmc: 'Quasi-random (Sobol)',
+};
+
+const DEFAULT_SAMPLING = { method: 'plain', shareStreams: false };
+
+// Runs are dealt round-robin into replicates (antithetic pairs stay together);
+// each QMC replicate has its own random digital shift of the Sobol sequence
+const SAMPLING_REPLICATES = 16;
+
+// Bridge points per shock source taken from the Sobol sequence (3 × 10 dimensions)
+const QMC_LEVELS = 10;
+
+function normalizeSampling(p) {
+    const s = p.sampling || {};
+    return { method: SAMPLING_METHODS[s.method] ? s.method : 'plain', shareStreams: !!s.shareStreams };
+}
+
+// Joe–Kuo direction numbers for Sobol dimensions 2–30: [degree s, polynomial a, m_1 … m_s]
+const SOBOL_DIRECTIONS = [
+    [1, 0, [1]], [2, 1, [1, 3]], [3, 1, [1, 3, 1]], [3, 2, [1, 1, 1]], [4, 1, [1, 1, 3, 3]],
+    [4, 4, [1, 3, 5, 13]], [5, 2, [1, 1, 5, 5, 17]], [5, 4, [1, 1, 5, 5, 5]], [5, 7, [1, 1, 7, 11, 19]],
+    [5, 11, [1, 1, 5, 1, 1]], [5, 13, [1, 1, 1, 3, 11]], [5, 14, [1, 3, 5, 5, 31]],
+    [6, 1, [1, 3, 3, 9, 7, 49]], [6, 13, [1, 1, 1, 15, 21, 21]], [6, 16, [1, 3, 1, 13, 27, 49]],
+    [6, 19, [1, 1, 1, 15, 7, 5]], [6, 22, [1, 3, 1, 15, 13, 25]], [6, 25, [1, 1, 5, 5, 19, 61]],
+    [7, 1, [1, 3, 7, 11, 23, 15, 103]], [7, 4, [1, 3, 7, 13, 13, 15, 69]], [7, 7, [1, 1, 3, 13, 7, 35, 63]],
+    [7, 8, [1, 3, 5, 9, 1, 25, 53]], [7, 14, [1, 3, 1, 13, 9, 35, 107]], [7, 19, [1, 3, 1, 5, 27, 61, 31]],
+    [7, 21, [1, 1, 5, 11, 19, 41, 61]], [7, 28, [1, 3, 5, 3, 3, 13, 69]], [7, 31, [1, 1, 7, 13, 1, 19, 1]],
+    [7, 32, [1, 3, 7, 5, 13, 19, 59]], [7, 37, [1, 1, 3, 9, 25, 29, 41]],
+];
+
+let sobolTable = null;
+
+/** sobolDirections — 32-bit direction integers V[dimension][bit], built once. */
+function sobolDirections() {
+    if (sobolTable) return sobolTable;
+    const V = [Array.from({ length: 32 }, (_, k) => (1 << (31 - k)) >>> 0)];
+    for (const [s, a, m] of SOBOL_DIRECTIONS) {
+        const v = new Array(32);
+        for (let k = 0; k < 32; k++) {
+            if (k < s) {
+                v[k] = (m[k] << (31 - k)) >>> 0;
+                continue;
+            }
+            let x = v[k - s] ^ (v[k - s] >>> s);
+            for (let j = 1; j < s; j++) {
+                if ((a >>> (s - 1 - j)) & 1) x ^= v[k - j];
+            }
+            v[k] = x >>> 0;
+        }
+        V.push(v);
+    }
+    sobolTable = V;
+    return V;
+}
+
+/** sobolPoint — the i-th Sobol point, coordinates as 32-bit integers. */
+function sobolPoint(i, dims) {
+    const V = sobolDirections();
+    const x = new Uint32Array(dims);
+    for (let k = 0; i > 0; k++, i = Math.floor(i / 2)) {
+        if (i % 2) for (let d = 0; d < dims; d++) x[d] ^= V[d][k];
+    }
+    return x;
+}
+
+const bridgeCache = new Map();
+
+/**
+ * bridgeOrder — construction order of a Brownian bridge over months 1…n: the
+ * end point first, then midpoints from coarse to fine, so the first few
+ * normals fix the overall shape of the path.
+ * @returns {Array} [{ t, a, b, wa, wb, sd }] with W_t = wa·W_a + wb·W_b + sd·Z
+ */
+function bridgeOrder(n) {
+    if (bridgeCache.has(n)) return bridgeCache.get(n);
+    const order = [{ t: n, a: 0, b: 0, wa: 0, wb: 0, sd: Math.sqrt(n) }];
+    const queue = [[0, n]];
+    while (queue.length) {
+        const [a, b] = queue.shift();
+        if (b - a < 2) continue;
+        const t = Math.floor((a + b) / 2);
+        order.push({ t, a, b, wa: (b - t) / (b - a), wb: (t - a) / (b - a), sd: Math.sqrt((t - a) * (b - t) / (b - a)) });
+        queue.push([a, t], [t, b]);
+    }
+    bridgeCache.set(n, order);
+    return order;
+}
+
+/** bridgeIncrements — n i.i.d. standard normals (the path's steps) from n bridge normals z. */
+function bridgeIncrements(z, order) {
+    const n = order.length;
+    const W = new Float64Array(n + 1);
+    order.forEach(({ t, a, b, wa, wb, sd }, k) => { W[t] = wa * W[a] + wb * W[b] + sd * z[k]; });
+    const e = new Float64Array(n);
+    for (let m = 0; m < n; m++) e[m] = W[m + 1] - W[m];
+    return e;
+}
+
+/**
+ * createRunShocks — random source of one run under the sampling method.
+ * @param {Object} sampling    normalizeSampling(params)
+ * @param {number} streamSeed  the scenario's seed
+ * @param {number} run         run index
+ * @param {number} months      horizon length
+ * @returns {Object} { rng, shocks, replicate } — shocks(month) gives the month's
+ *   independent income, spend and return normals, or is null to draw them from rng
+ */
+function createRunShocks(sampling, streamSeed, run, months) {
+    if (sampling.method === 'antithetic') {
+        const pair = Math.floor(run / 2);
+        const rng = createRng(deriveSeed(streamSeed, pair));
+        // the same stream as its partner, so only the shocks' signs differ
+        const shocks = run % 2 ? () => SHOCK_SOURCES.map(() => -randNormal(0, 1, rng)) : null;
+        return { rng, shocks, replicate: pair % SAMPLING_REPLICATES };
+    }
+    const rng = createRng(deriveSeed(streamSeed, run));
+    const replicate = run % SAMPLING_REPLICATES;
+    if (sampling.method !== 'qmc') return { rng, shocks: null, replicate };
+
+    const order = bridgeOrder(months);
+    const levels = Math.min(QMC_LEVELS, months);
+    const sources = SHOCK_SOURCES.length;
+    const point = sobolPoint(Math.floor(run / SAMPLING_REPLICATES), levels * sources);
+    // digital shift shared by the replicate: XOR keeps the net structure, and makes each point uniform
+    const shiftRng = createRng(deriveSeed(streamSeed, -1 - replicate));
+    const paths = SHOCK_SOURCES.map((_, s) => bridgeIncrements(order.map((_, k) => {
+        if (k >= levels) return randNormal(0, 1, rng);
+        const u = ((point[k * sources + s] ^ Math.floor(shiftRng() * 4294967296)) >>> 0) + 0.5;
+        return normalQuantile(u / 4294967296);
+    }), order));
+    return { rng, shocks: m => paths.map(e => e[m]), replicate };
+}
+
+/**
+ * replicateEstimates — each replicate's own estimate of the headline metrics.
+ * Their spread, rather than the spread of single runs, measures the error of
+ * a method whose runs are not independent (needs statistics.js).
+ * @returns {Object} { mean, p1, p5, median, p95, ruinProbability, goalProbability },
+ *   one value per replicate
+ */
+function replicateEstimates(replicates) {
+    const used = replicates.filter(r => r.netWorths.length);
+    const sorted = used.map(r => [...r.netWorths].sort((a, b) => a - b));
+    return {
+        mean: used.map(r => mean(r.netWorths)),
+        p1: sorted.map(nw => percentile(nw, 1, true)),
+        p5: sorted.map(nw => percentile(nw, 5, true)),
+        median: sorted.map(nw => percentile(nw, 50, true)),
+        p95: sorted.map(nw => percentile(nw, 95, true)),
+        ruinProbability: used.map(r => r.ruined / r.netWorths.length),
+        goalProbability: used.map(r => r.goals / r.netWorths.length),
+    };
+}
+
+// ─── Gamma Sampler (Marsaglia–Tsang) ──────────────────────────────────────────
+function randGamma(shape, rng = Math.random) {
+    if (shape < 1) {
+        // boost: Gamma(a) = Gamma(a + 1) · U^(1/a)
+        let u = 0;
+        while (u === 0) u = rng();
+        return randGamma(shape + 1, rng) * Math.pow(u, 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (; ;) {
+        let x, v;
+        do {
+            x = randNormal(0, 1, rng);
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = rng();
+        if (u < 1 - 0.0331 * x ** 4) return d * v;
+        if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+}
+
+// ─── Investment Return Models ─────────────────────────────────────────────────
+/**
+ * Return model (params.returnModel):
+ *   - type        'normal' | 'studentT' | 'regime'
+ *   - volatility  annual volatility (%) for 'normal' and 'studentT'
+ *   - df          degrees of freedom for 'studentT' (> 2)
+ *   - bull/bear   { annualReturn (%), volatility (%) } for 'regime'
+ *   - pBullToBear / pBearToBull  monthly transition probabilities (%) for 'regime'
+ *   - historical  { blockLength (months), startYear, endYear, stockAllocation (%) }
+ *                 for the 'historical' block bootstrap
+ * The mean for 'normal' / 'studentT' is params.savingsReturnRate. Without a
+ * returnModel the legacy σ = |µ| × 0.4 + 0.005 normal model is used.
+ */
+const RETURN_MODEL_LABELS = {
+    normal: 'Normal',
+    studentT: 'Student-t (fat tails)',
+    regime: 'Bull/Bear Regime Switching',
+    historical: 'Historical Block Bootstrap',
+};
+
+const DEFAULT_RETURN_MODEL = {
+    type: 'normal',
+    volatility: 15,
+    df: 5,
+    bull: { annualReturn: 12, volatility: 14 },
+    bear: { annualReturn: -18, volatility: 28 },
+    pBullToBear: 2,
+    pBearToBull: 8,
+    historical: { blockLength: 12, startYear: 1926, endYear: 2023, stockAllocation: 60 },
+};
+
+/**
+ * historicalWindow — HISTORICAL_DATA index range [start, end) covering the
+ * chosen years, with a block length that fits inside it.
+ */
+function historicalWindow(h = {}) {
+    const data = HISTORICAL_DATA;
+    const total = data.equity.length;
+    const index = year => (year - data.startYear) * 12 - (data.startMonth - 1);
+    const y0 = Math.round(h.startYear ?? data.startYear);
+    const y1 = Math.round(h.endYear ?? data.endYear);
+    const start = clamp(index(Math.min(y0, y1)), 0, total - 1);
+    const end = clamp(index(Math.max(y0, y1) + 1), start + 1, total);
+    return { start, end, blockLength: clamp(Math.round(h.blockLength || 1), 1, end - start) };
+}
+
+/**
+ * normalizeReturnModel — monthly parameters for the configured return model.
+ */
+function normalizeReturnModel(p) {
+    const mu = (p.savingsReturnRate / 100) / 12;
+    const rm = p.returnModel;
+    const monthlyVol = annualPct => Math.max(0, annualPct || 0) / 100 / Math.sqrt(12);
+    if (!rm || !RETURN_MODEL_LABELS[rm.type]) {
+        return { type: 'normal', mean: mu, vol: Math.abs(mu) * 0.4 + 0.005 };
+    }
+    if (rm.type === 'historical') {
+        const h = { ...DEFAULT_RETURN_MODEL.historical, ...rm.historical };
+        return { type: 'historical', ...historicalWindow(h), stockShare: clamp(h.stockAllocation / 100, 0, 1) };
+    }
+    const bull = rm.bull || DEFAULT_RETURN_MODEL.bull;
+    const bear = rm.bear || DEFAULT_RETURN_MODEL.bear;
+    return {
+        type: rm.type,
+        mean: mu,
+        vol: monthlyVol(rm.volatility),
+        df: Math.max(2.1, Number(rm.df) || DEFAULT_RETURN_MODEL.df),
+        bull: { mean: (bull.annualReturn || 0) / 100 / 12, vol: monthlyVol(bull.volatility) },
+        bear: { mean: (bear.annualReturn || 0) / 100 / 12, vol: monthlyVol(bear.volatility) },
+        pBullToBear: clamp((rm.pBullToBear || 0) / 100, 0, 1),
+        pBearToBull: clamp((rm.pBearToBull || 0) / 100, 0, 1),
+    };
+}
+
+/**
+ * createReturnSampler — per-run monthly return generator. `z` is the run's
+ * (possibly correlated) standard-normal return shock for the month.
+ * The historical sampler ignores `z` and also exposes the CPI change of the
+ * month it last drew as `inflation`.
+ * @returns {Object} { next(z) => monthly return, inflation? }
+ */
+function createReturnSampler(model, rng) {
+    if (model.type === 'historical') {
+        // block bootstrap: jump to a random block start, then walk forward month by month
+        const { equity, bonds, cpi } = HISTORICAL_DATA;
+        const { start, end, blockLength, stockShare } = model;
+        let idx = start;
+        let left = 0;
+        const sampler = {
+            inflation: 0,
+            next: () => {
+                if (left === 0) {
+                    idx = start + Math.floor(rng() * (end - start - blockLength + 1));
+                    left = blockLength;
+                }
+                const i = idx++;
+                left--;
+                sampler.inflation = cpi[i] / 100;
+                return (stockShare * equity[i] + (1 - stockShare) * bonds[i]) / 100;
+            },
+        };
+        return sampler;
+    }
+    if (model.type === 'studentT') {
+        // t = z / √(χ²/ν), rescaled to unit variance so `vol` stays the σ
+        const scale = Math.sqrt((model.df - 2) / model.df);
+        return {
+            next: z => model.mean + model.vol * scale * z / Math.sqrt(randGamma(model.df / 2, rng) * 2 / model.df),
+        };
+    }
+    if (model.type === 'regime') {
+        // start from the chain's stationary distribution
+        const pBear = model.pBullToBear + model.pBearToBull > 0
+            ? model.pBullToBear / (model.pBullToBear + model.pBearToBull)
+            : 0;
+        let bear = rng() < pBear;
+        return {
+            next: z => {
+                const st = bear ? model.bear : model.bull;
+                const r = st.mean + st.vol * z;
+                if (rng() < (bear ? model.pBearToBull : model.pBullToBear)) bear = !bear;
+                return r;
+            },
+        };
+    }
+    return { next: z => model.mean + model.vol * z };
+}
+
+// ─── Log-normal Sampler ───────────────────────────────────────────────────────
+/**
+ * randLogNormal — log-normal draw parameterised by its own mean and std dev
+ * (not those of the underlying normal), for right-skewed costs and durations.
+ */
+function randLogNormal(mean, std, rng = Math.random) {
+    if (mean <= 0) return 0;
+    if (std <= 0) return mean;
+    const sigma2 = Math.log(1 + (std * std) / (mean * mean));
+    const mu = Math.log(mean) - sigma2 / 2;
+    return Math.exp(randNormal(mu, Math.sqrt(sigma2), rng));
+}
+
+// ─── Life Events ──────────────────────────────────────────────────────────────
+/**
+ * Life-event model (params.events):
+ *   - enabled       {boolean}
+ *   - jobLoss       { monthlyHazard (%), meanMonths, sdMonths, replacement (%) }
+ *   - shocks        [{ id, name, annualRate, meanCost, sdCost }]  one-off expenses
+ *   - windfall      { annualRate, meanAmount, sdAmount }
+ * Shock and windfall counts are Poisson (monthly probability 1 − e^(−rate/12));
+ * costs, windfalls and job-loss durations are log-normal.
+ *
+ * Ruin attribution: a ruined run is attributed to every adverse event type
+ * that hit within EVENT_RUIN_LOOKBACK months up to its first ruin month
+ * (split equally when several did), so per-type shares sum to the share of
+ * ruin preceded by any event.
+ */
+const EVENT_RUIN_LOOKBACK = 12;
+
+const DEFAULT_LIFE_EVENTS = {
+    enabled: false,
+    jobLoss: { monthlyHazard: 0.25, meanMonths: 4, sdMonths: 3, replacement: 40 },
+    shocks: [
+        { id: 'medical', name: 'Medical Bill', annualRate: 0.3, meanCost: 3000, sdCost: 4000 },
+        { id: 'car', name: 'Car Repair', annualRate: 0.4, meanCost: 1500, sdCost: 1200 },
+        { id: 'home', name: 'Home Repair', annualRate: 0.3, meanCost: 2500, sdCost: 2500 },
+    ],
+    windfall: { annualRate: 0.2, meanAmount: 3000, sdAmount: 3000 },
+};
+
+/**
+ * lifeEventTypes — [{ id, name }] for every event type that can hit a run.
+ */
+function lifeEventTypes(events) {
+    if (!events?.enabled) return [];
+    return [
+        { id: 'jobLoss', name: 'Job Loss' },
+        ...(events.shocks || []).map(s => ({ id: s.id, name: s.name })),
+        { id: 'windfall', name: 'Windfall' },
+    ];
+}
+
+// ─── Taxes ────────────────────────────────────────────────────────────────────
+/**
+ * Tax model (params.tax):
+ *   - enabled          {boolean}  when on, monthlyIncome is gross (pre-tax) pay
+ *   - deduction        {number}   annual standard deduction
+ *   - brackets         [{ upTo, rate (%) }]  progressive; upTo null = no cap
+ *   - deferredPct / deferredLimit / initialDeferred  share of gross pay (%), annual
+ *                      cap and starting balance of the tax-deferred bucket
+ *   - rothPct / rothLimit / initialRoth  the same for the tax-free bucket
+ *   - capitalGainsRate (%) on realised gains in the taxable bucket
+ * initialInvestments is the taxable bucket, with its balance as cost basis.
+ * Defaults are the 2024 U.S. federal brackets for a single filer.
+ */
+const DEFAULT_TAX = {
+    enabled: false,
+    deduction: 14600,
+    brackets: [
+        { upTo: 11600, rate: 10 },
+        { upTo: 47150, rate: 12 },
+        { upTo: 100525, rate: 22 },
+        { upTo: 191950, rate: 24 },
+        { upTo: 243725, rate: 32 },
+        { upTo: 609350, rate: 35 },
+        { upTo: null, rate: 37 },
+    ],
+    deferredPct: 6,
+    deferredLimit: 23000,
+    initialDeferred: 0,
+    rothPct: 0,
+    rothLimit: 7000,
+    initialRoth: 0,
+    capitalGainsRate: 15,
+};
+
+/**
+ * normalizeTax — the tax model with rates as fractions and brackets sorted by
+ * threshold, or null when taxes are off.
+ */
+function normalizeTax(p) {
+    const t = p.tax;
+    if (!t?.enabled) return null;
+    const rate = pct => clamp((pct || 0) / 100, 0, 0.99);
+    const brackets = (t.brackets?.length ? t.brackets : DEFAULT_TAX.brackets)
+        .map(b => ({ upTo: b.upTo > 0 ? b.upTo : Infinity, rate: rate(b.rate) }))
+        .sort((a, b) => a.upTo - b.upTo);
+    return {
+        deduction: Math.max(0, t.deduction || 0),
+        brackets,
+        deferredPct: rate(t.deferredPct),
+        deferredLimit: Math.max(0, t.deferredLimit || 0),
+        initialDeferred: Math.max(0, t.initialDeferred || 0),
+        rothPct: rate(t.rothPct),
+        rothLimit: Math.max(0, t.rothLimit || 0),
+        initialRoth: Math.max(0, t.initialRoth || 0),
+        capitalGainsRate: rate(t.capitalGainsRate),
+    };
+}
+
+/**
+ * incomeTax — annual tax on `annualIncome` through the progressive brackets.
+ * @param {Object} tax  normalized tax model (see normalizeTax)
+ */
+function incomeTax(annualIncome, tax) {
+    const taxable = annualIncome - tax.deduction;
+    let owed = 0;
+    let floor = 0;
+    for (const b of tax.brackets) {
+        if (taxable <= floor) break;
+        owed += (Math.min(taxable, b.upTo) - floor) * b.rate;
+        floor = b.upTo;
+    }
+    return owed;
+}
+
+/** marginalTaxRate — rate on the next dollar above `annualIncome`. */
+function marginalTaxRate(annualIncome, tax) {
+    const taxable = annualIncome - tax.deduction;
+    if (taxable < 0) return 0;
+    return (tax.brackets.find(b => taxable < b.upTo) || tax.brackets[tax.brackets.length - 1]).rate;
+}
+
+/**
+ * monthlyTakeHome — expected monthly pay after income tax and retirement
+ * contributions (ignoring contribution limits); plain monthlyIncome when
+ * taxes are off.
+ */
+function monthlyTakeHome(p) {
+    const tax = normalizeTax(p);
+    if (!tax) return p.monthlyIncome;
+    const deferred = Math.min(p.monthlyIncome * tax.deferredPct, tax.deferredLimit / 12);
+    const owed = incomeTax((p.monthlyIncome - deferred) * 12, tax) / 12;
+    const roth = Math.min(p.monthlyIncome * tax.rothPct, tax.rothLimit / 12);
+    return Math.max(0, p.monthlyIncome - deferred - owed - roth);
+}
+
+// ─── Retirement ───────────────────────────────────────────────────────────────
+/**
+ * Retirement model (params.retirement):
+ *   - enabled          {boolean}
+ *   - currentAge / retireAge / endAge  the run covers currentAge → endAge (replacing
+ *                      horizonYears) and salary stops at retireAge
+ *   - policy           'fixedReal' | 'percent' | 'guardrails'
+ *   - annualAmount     fixedReal: yearly withdrawal in today's dollars
+ *   - withdrawalRate   percent: % of the portfolio, reset each year;
+ *                      guardrails: initial % of the portfolio at retirement
+ *   - guardrails       { upper, lower, adjust } (%) — each year the withdrawal follows
+ *                      inflation, is cut by `adjust` when the current rate is `upper`%
+ *                      above the initial rate, and raised when it is `lower`% below
+ *   - pensions         [{ name, startAge, annualAmount, cola }]  cola = inflation-linked
+ * At retirement, cash above the strategy's cash buffer is rolled into the taxable
+ * portfolio. From then on the household spends its pensions plus the policy
+ * withdrawal; the expense inputs apply only while working. A run is depleted the first month its
+ * portfolio cannot fund the full withdrawal.
+ */
+const WITHDRAWAL_POLICY_LABELS = {
+    fixedReal: 'Fixed real amount',
+    percent: 'Fixed percentage',
+    guardrails: 'Guardrails',
+};
+
+const DEFAULT_RETIREMENT = {
+    enabled: false,
+    currentAge: 35,
+    retireAge: 65,
+    endAge: 95,
+    policy: 'fixedReal',
+    annualAmount: 40000,
+    withdrawalRate: 4,
+    guardrails: { upper: 20, lower: 20, adjust: 10 },
+    pensions: [{ name: 'Social Security', startAge: 67, annualAmount: 24000, cola: true }],
+};
+
+/**
+ * normalizeRetirement — retirement schedule in months from today, or null
+ * when the retirement phase is off.
+ */
+function normalizeRetirement(p) {
+    const r = p.retirement;
+    if (!r?.enabled) return null;
+    const currentAge = Math.max(0, r.currentAge || 0);
+    const endAge = Math.max(currentAge + 1, r.endAge || 0);
+    const monthAt = age => Math.round((clamp(age || 0, currentAge, endAge) - currentAge) * 12);
+    const g = { ...DEFAULT_RETIREMENT.guardrails, ...r.guardrails };
+    return {
+        currentAge,
+        months: monthAt(endAge),
+        retireMonth: monthAt(r.retireAge),
+        policy: WITHDRAWAL_POLICY_LABELS[r.policy] ? r.policy : 'fixedReal',
+        annualAmount: Math.max(0, r.annualAmount || 0),
+        rate: Math.max(0, r.withdrawalRate || 0) / 100,
+        upper: Math.max(0, g.upper) / 100,
+        lower: clamp(g.lower / 100, 0, 1),
+        adjust: clamp(g.adjust / 100, 0, 1),
+        pensions: (r.pensions || []).map(ps => ({
+            startMonth: monthAt(ps.startAge),
+            monthly: Math.max(0, ps.annualAmount || 0) / 12,
+            cola: !!ps.cola,
+        })),
+    };
+}
+
+/** horizonMonths — months simulated: to the end age in retirement mode, else horizonYears. */
+function horizonMonths(p) {
+    const retirement = normalizeRetirement(p);
+    return retirement ? retirement.months : p.horizonYears * 12;
+}
+
+// ─── Debt helpers ─────────────────────────────────────────────────────────────
+/**
+ * normalizeDebts — the individual debt list, falling back to a single pooled
+ * debt built from totalDebt / debtAPR / minimumDebtPayment.
+ * @returns {Array<{name,balance,apr,minPayment}>}
+ */
+function normalizeDebts(p) {
+    if (Array.isArray(p.debts) && p.debts.length) {
+        return p.debts.map((d, i) => ({
+            name: d.name || `Debt ${i + 1}`,
+            balance: Math.max(0, d.balance || 0),
+            apr: Math.max(0, d.apr || 0),
+            minPayment: Math.max(0, d.minPayment || 0),
+        }));
+    }
+    return [{
+        name: 'Debt',
+        balance: Math.max(0, p.totalDebt || 0),
+        apr: Math.max(0, p.debtAPR || 0),
+        minPayment: Math.max(0, p.minimumDebtPayment || 0),
+    }];
+}
+
+/** initialNetWorth — net worth before the first month: cash and every investment bucket, less debt. */
+function initialNetWorth(p) {
+    const tax = normalizeTax(p);
+    const debt = normalizeDebts(p).reduce((s, d) => s + d.balance, 0);
+    return p.initialSavings + p.initialInvestments + (tax ? tax.initialDeferred + tax.initialRoth : 0) - debt;
+}
+
+/**
+ * debtPayoffOrder — indices of debts in the order extra payments are applied.
+ * @param {string} strategy  'avalanche' | 'snowball' | 'custom'
+ */
+function debtPayoffOrder(debts, strategy = 'avalanche') {
+    const idx = debts.map((_, i) => i);
+    if (strategy === 'snowball') return idx.sort((a, b) => debts[a].balance - debts[b].balance || a - b);
+    if (strategy === 'custom') return idx;
+    return idx.sort((a, b) => debts[b].apr - debts[a].apr || a - b);
+}
+
+// ─── Strategies ───────────────────────────────────────────────────────────────
+/**
+ * A strategy is { id, name, cashBufferMonths, rules: [rule, …] }.
+ * Each month the FIRST rule whose condition holds is applied:
+ *   - when             'always' | 'inDebt' | 'debtFree' | 'cashBelow' | 'cashAbove'
+ *   - months           N for the cash conditions (months of expected expenses)
+ *   - debtMultiple     pay this × the total minimum toward debt (≥ 1)
+ *   - incomeToInvest   share of income invested before expenses (0–1)
+ *   - surplusToDebt    share of the month's surplus sent to debt (0–1)
+ *   - surplusToInvest  share of the month's surplus invested (0–1)
+ * Surplus not sent to debt or investments stays in cash. Surplus is only
+ * split once cash is above cashBufferMonths × expected monthly expenses.
+ * If no rule matches, only minimum payments are made.
+ */
+const DEFAULT_STRATEGIES = [
+    {
+        id: 'minimum',
+        name: 'Minimum Payment',
+        cashBufferMonths: 0,
+        rules: [{ when: 'always', debtMultiple: 1 }],
+    },
+    {
+        id: 'aggressive',
+        name: 'Aggressive Payoff',
+        cashBufferMonths: 0,
+        rules: [{ when: 'always', debtMultiple: 2.5 }],
+    },
+    {
+        id: 'investing',
+        name: 'Invest Surplus',
+        cashBufferMonths: 0,
+        rules: [
+            { when: 'debtFree', incomeToInvest: 0.10 },
+            { when: 'always', debtMultiple: 1 },
+        ],
+    },
+];
+
+const STRATEGY_CONDITIONS = ['always', 'inDebt', 'debtFree', 'cashBelow', 'cashAbove'];
+
+/**
+ * normalizeStrategy — fill defaults and clamp every rule field.
+ * Accepts a strategy object or the id of a built-in strategy.
+ */
+function normalizeStrategy(strategy) {
+    const src = typeof strategy === 'string'
+        ? DEFAULT_STRATEGIES.find(s => s.id === strategy) || DEFAULT_STRATEGIES[0]
+        : strategy;
+    const share = v => clamp(Number(v) || 0, 0, 1);
+    return {
+        id: String(src.id),
+        name: src.name || String(src.id),
+        cashBufferMonths: Math.max(0, Number(src.cashBufferMonths) || 0),
+        rules: (src.rules || []).map(r => {
+            const toDebt = share(r.surplusToDebt);
+            return {
+                when: STRATEGY_CONDITIONS.includes(r.when) ? r.when : 'always',
+                months: Math.max(0, Number(r.months) || 0),
+                debtMultiple: Math.max(1, Number(r.debtMultiple) || 1),
+                incomeToInvest: share(r.incomeToInvest),
+                surplusToDebt: toDebt,
+                surplusToInvest: Math.min(share(r.surplusToInvest), 1 - toDebt),
+            };
+        }),
+    };
+}
+
+/**
+ * matchStrategyRule — first rule whose condition holds for the current state.
+ * @param {Object} state  { debt, cash, monthlyExpenses }
+ * @returns {Object|null}
+ */
+function matchStrategyRule(strategy, state) {
+    for (const rule of strategy.rules) {
+        const threshold = rule.months * state.monthlyExpenses;
+        if (rule.when === 'always') return rule;
+        if (rule.when === 'inDebt' && state.debt > 0) return rule;
+        if (rule.when === 'debtFree' && state.debt <= 0) return rule;
+        if (rule.when === 'cashBelow' && state.cash < threshold) return rule;
+        if (rule.when === 'cashAbove' && state.cash >= threshold) return rule;
+    }
+    return null;
+}
+
 // ─── Clamp helper ─────────────────────────────────────────────────────────────
 function clamp(val, min, max) {
     return Math.max(min, Math.min(max, val));
@@ -43,98 +853,469 @@ function clamp(val, min, max) {
 /**
  * simulateOnce — run a single trajectory.
  * @param {Object} p  - parameter object (see runMonteCarlo)
- * @param {string} scenario - 'minimum' | 'aggressive' | 'investing'
- * @returns {Object} { months: Array<{cash,savings,debt,netWorth}>, ruined, goalHit, debtFreePeriod }
+ * @param {Object|string} scenario - strategy object (see DEFAULT_STRATEGIES) or built-in id
+ * @param {Function} rng - uniform [0, 1) source (see createRng)
+ * @param {Function} [shocks] - month => independent income, spend and return
+ *   normals (see createRunShocks); drawn from rng when omitted
+ * @returns {Object} { trajectory: Array<{cash,savings,debt,netWorth}>, ruined, goalHit,
+ *   debtFreePeriod, debtPayoffMonths: Array<number|null>, debtInterest: number[],
+ *   eventCounts: { [eventId]: number }, jobLossMonths, firstRuinMonth,
+ *   ruinEvents: string[],  — adverse event ids that preceded the first ruin
+ *   negativeCashMonths, maxShortfall,  — months ending cash-negative, and the
+ *     deepest negative cash balance as a positive amount
+ *   taxPaid, afterTaxNetWorth,  — ending net worth net of liquidation tax
+ *   depletionMonth, portfolioAtRetirement,  — retirement phase only (else null)
+ *   drivers: { income, variableSpend, investmentReturn, jobLossMonths } }  — what
+ *     the run actually saw: mean monthly gross income before job loss and
+ *     windfalls, mean working-month variable spend, the annualized investment
+ *     return, and months out of work (null without life events)
  */
-function simulateOnce(p, scenario) {
-    const months = p.horizonYears * 12;
-    const monthlyReturn = (p.savingsReturnRate / 100) / 12;
+function simulateOnce(p, scenario, rng = Math.random, shocks = null) {
+    const strategy = normalizeStrategy(scenario);
+    const months = horizonMonths(p);
     const monthlyInflation = (p.inflationRate / 100) / 12;
+    const monthlyWageGrowth = ((p.wageGrowth || 0) / 100) / 12;
+    const colaShare = clamp((p.incomeCola || 0) / 100, 0, 1);
+    const returns = createReturnSampler(normalizeReturnModel(p), rng);
+    const { L: shockL } = shockCholesky(p.shockCorrelation);
 
     let cash = p.initialSavings;
     let savings = p.initialInvestments;
-    let debt = p.totalDebt;
+    const debts = normalizeDebts(p);
+    const order = debtPayoffOrder(debts, p.payoffStrategy);
+    const balances = debts.map(d => d.balance);
+    const debtInterest = debts.map(() => 0);
+    const debtPayoffMonths = debts.map(() => null);
+    const totalMinimum = debts.reduce((s, d) => s + d.minPayment, 0);
+    let debt = balances.reduce((s, b) => s + b, 0);
     let ruined = false;
     let goalHit = false;
     let debtFreePeriod = null;
 
+    // — life events —
+    const events = p.events?.enabled ? p.events : null;
+    const eventCounts = {};
+    for (const t of lifeEventTypes(events)) eventCounts[t.id] = 0;
+    const shockProbs = events ? (events.shocks || []).map(s => 1 - Math.exp(-(s.annualRate || 0) / 12)) : [];
+    const windfallProb = events ? 1 - Math.exp(-(events.windfall?.annualRate || 0) / 12) : 0;
+    const lastEventMonth = {};
+    let unemployedMonthsLeft = 0;
+    let jobLossMonths = 0;
+    let firstRuinMonth = null;
+    let ruinEvents = [];
+    let negativeCashMonths = 0;
+    let maxShortfall = 0;
+    let incomeTotal = 0;
+    let variableTotal = 0;
+    let workingMonths = 0;
+    let logGrowth = 0;
+    let inflScale = 1;
+    let incomeScale = 1;
+    let priceLevel = 1; // deflator for this month's flows in real-dollar mode
+
+    // — tax layer: taxable (savings), tax-deferred and tax-free buckets —
+    const tax = normalizeTax(p);
+    let deferred = tax ? tax.initialDeferred : 0;
+    let roth = tax ? tax.initialRoth : 0;
+    let basis = savings; // cost basis of the taxable bucket
+    let ytdDeferred = 0;
+    let ytdRoth = 0;
+    let annualTaxable = 0;
+    let taxPaid = 0;
+
+    // — retirement phase —
+    const retirement = normalizeRetirement(p);
+    const retireMonth = retirement ? retirement.retireMonth : Infinity;
+    let withdrawal = 0; // monthly, nominal
+    let initialRate = 0;
+    let inflAtReview = 1;
+    let depletionMonth = null;
+    let portfolioAtRetirement = null;
+
     const trajectory = [];
 
+    // Sell investments to add `amount` (net of tax) to cash: taxable first, then
+    // tax-deferred, then tax-free; returns the amount raised
+    const sellInvestments = amount => {
+        let left = amount;
+        if (left > 0 && savings > 0) {
+            // realised gains are taxed, so sell enough to net the amount
+            const gainTax = tax ? tax.capitalGainsRate * Math.max(0, 1 - basis / savings) : 0;
+            const net = Math.min(left, savings * (1 - gainTax));
+            const sold = net / (1 - gainTax);
+            basis *= 1 - sold / savings;
+            savings -= sold;
+            taxPaid += (sold - net) / priceLevel;
+            left -= net;
+        }
+        if (left > 0 && deferred > 0) {
+            // deferred withdrawals are ordinary income at this month's marginal rate
+            const rate = marginalTaxRate(annualTaxable, tax);
+            const net = Math.min(left, deferred * (1 - rate));
+            deferred -= net / (1 - rate);
+            taxPaid += (net / (1 - rate) - net) / priceLevel;
+            left -= net;
+        }
+        if (left > 0 && roth > 0) {
+            const net = Math.min(left, roth);
+            roth -= net;
+            left -= net;
+        }
+        return left > 0 ? amount - left : amount;
+    };
+
+    // Pay `amount` toward debts in payoff order; returns the amount used
+    const payInOrder = amount => {
+        let paid = 0;
+        for (const d of order) {
+            if (amount - paid <= 0) break;
+            if (balances[d] <= 0) continue;
+            const extra = Math.min(amount - paid, balances[d]);
+            balances[d] -= extra;
+            paid += extra;
+        }
+        return paid;
+    };
+
+    // Re-total debt and record payoff months
+    const settleDebts = m => {
+        debt = 0;
+        for (let d = 0; d < debts.length; d++) {
+            if (balances[d] < 0.005) balances[d] = 0;
+            if (balances[d] === 0 && debtPayoffMonths[d] === null && debts[d].balance > 0) {
+                debtPayoffMonths[d] = m;
+            }
+            debt += balances[d];
+        }
+        if (debt === 0 && debtFreePeriod === null) debtFreePeriod = m;
+    };
+
     for (let m = 0; m < months; m++) {
-        // — income shock —
-        const income = Math.max(0, randNormal(p.monthlyIncome, p.incomeStd));
+        // — correlated income / variable expense / return shocks —
+        const [zIncome, zExpense, zReturn] = correlatedNormals(shockL, rng, shocks?.(m));
+        if (p.realDollars) priceLevel = inflScale;
+
+        // — income shock; in retirement salary stops and pensions are the income —
+        const retired = m >= retireMonth;
+        let income = retired
+            ? retirement.pensions.reduce((s, ps) =>
+                m >= ps.startMonth ? s + ps.monthly * (ps.cola ? inflScale : 1) : s, 0)
+            : Math.max(0, (p.monthlyIncome + p.incomeStd * zIncome) * incomeScale);
+        let eventExpense = 0;
+        let windfall = 0;
+        incomeTotal += income / priceLevel;
+
+        // — life events: job loss, one-off expenses, windfalls —
+        if (events) {
+            const jl = events.jobLoss || {};
+            if (retired) unemployedMonthsLeft = 0;
+            if (!retired && unemployedMonthsLeft === 0 && rng() < (jl.monthlyHazard || 0) / 100) {
+                unemployedMonthsLeft = Math.max(1, Math.ceil(randLogNormal(jl.meanMonths || 1, jl.sdMonths || 0, rng)));
+                eventCounts.jobLoss++;
+            }
+            if (unemployedMonthsLeft > 0) {
+                income *= clamp((jl.replacement || 0) / 100, 0, 1);
+                unemployedMonthsLeft--;
+                jobLossMonths++;
+                lastEventMonth.jobLoss = m;
+            }
+            (events.shocks || []).forEach((shock, si) => {
+                if (rng() < shockProbs[si]) {
+                    eventExpense += randLogNormal(shock.meanCost, shock.sdCost, rng) * inflScale;
+                    eventCounts[shock.id]++;
+                    lastEventMonth[shock.id] = m;
+                }
+            });
+            if (rng() < windfallProb) {
+                windfall = randLogNormal(events.windfall.meanAmount, events.windfall.sdAmount, rng);
+                income += windfall;
+                eventCounts.windfall++;
+            }
+        }
+
+        // — income tax and retirement contributions (income is gross) —
+        if (tax) {
+            if (m % 12 === 0) ytdDeferred = ytdRoth = 0;
+            const wages = income - windfall;
+            const toDeferred = retired
+                ? 0
+                : Math.min(wages * tax.deferredPct, Math.max(0, tax.deferredLimit - ytdDeferred));
+            annualTaxable = (wages - toDeferred) * 12;
+            const owed = incomeTax(annualTaxable, tax) / 12;
+            const toRoth = retired ? 0 : Math.max(0, Math.min(
+                wages * tax.rothPct, tax.rothLimit - ytdRoth, wages - toDeferred - owed));
+            ytdDeferred += toDeferred;
+            ytdRoth += toRoth;
+            deferred += toDeferred;
+            roth += toRoth;
+            income -= toDeferred + owed + toRoth;
+            taxPaid += owed / priceLevel;
+        }
 
         // — variable expense shock — (floor at 20% of mean)
         const varExp = Math.max(
             p.monthlyVariableExpenses * 0.2,
-            randNormal(p.monthlyVariableExpenses, p.expenseStd)
+            p.monthlyVariableExpenses + p.expenseStd * zExpense
         );
+        if (!retired) {
+            variableTotal += varExp * inflScale / priceLevel;
+            workingMonths++;
+        }
 
-        // — inflation scaling (compounds) —
-        const inflScale = Math.pow(1 + monthlyInflation, m);
+        // — inflation scaling (compounds; see end of month) —
         const fixedExp = p.monthlyFixedExpenses * inflScale;
 
-        // — debt interest —
+        // — strategy rule for this month —
+        const expectedExpenses = fixedExp + p.monthlyVariableExpenses * inflScale;
+        const rule = matchStrategyRule(strategy, { debt, cash, monthlyExpenses: expectedExpenses });
+
+        // — debt interest & payments (per debt) —
         let debtPayment = 0;
         if (debt > 0) {
-            const interest = debt * (p.debtAPR / 100 / 12);
-            debt += interest;
-
-            if (scenario === 'minimum') {
-                debtPayment = Math.min(p.minimumDebtPayment, debt);
-            } else if (scenario === 'aggressive') {
-                // pay min + 50% of monthly surplus toward debt
-                debtPayment = Math.min(debt, p.minimumDebtPayment * 2.5);
-            } else {
-                // 'investing' — only minimum payments, rest goes to investments
-                debtPayment = Math.min(p.minimumDebtPayment, debt);
+            // a multiple above 1 pays that multiple of the original total
+            // minimum (rolling freed minimums forward); otherwise only the
+            // minimums still owed are paid
+            const budget = rule && rule.debtMultiple > 1 ? rule.debtMultiple * totalMinimum : 0;
+
+            for (let d = 0; d < debts.length; d++) {
+                if (balances[d] <= 0) continue;
+                const interest = balances[d] * (debts[d].apr / 100 / 12);
+                balances[d] += interest;
+                debtInterest[d] += interest / priceLevel;
+
+                const minPay = Math.min(debts[d].minPayment, balances[d]);
+                balances[d] -= minPay;
+                debtPayment += minPay;
             }
-            debt = Math.max(0, debt - debtPayment);
-            if (debt === 0 && debtFreePeriod === null) debtFreePeriod = m;
+            // extra payment goes to debts in payoff order
+            if (budget > debtPayment) debtPayment += payInOrder(budget - debtPayment);
+            if (p.extraDebtPayment > 0) debtPayment += payInOrder(p.extraDebtPayment);
+            settleDebts(m);
         }
 
         // — savings growth —
-        const savingsReturn = randNormal(monthlyReturn, Math.abs(monthlyReturn) * 0.4 + 0.005);
+        const savingsReturn = returns.next(zReturn);
+        logGrowth += Math.log(Math.max(1e-9, 1 + savingsReturn));
         savings = Math.max(0, savings * (1 + savingsReturn));
+        deferred = Math.max(0, deferred * (1 + savingsReturn));
+        roth = Math.max(0, roth * (1 + savingsReturn));
 
-        // — investing extra in 'investing' scenario —
-        let extraInvest = 0;
-        if (scenario === 'investing' && debt === 0) {
-            extraInvest = income * 0.10; // invest 10% extra
+        // — retirement withdrawals (policy reviewed at retirement and each anniversary) —
+        let withdrawn = 0;
+        if (retired) {
+            let portfolio = savings + deferred + roth;
+            const review = (m - retireMonth) % 12 === 0;
+            if (m === retireMonth) {
+                // cash above the strategy's buffer is rolled into the taxable portfolio
+                const rollover = Math.max(0, cash - strategy.cashBufferMonths * expectedExpenses);
+                cash -= rollover;
+                savings += rollover;
+                basis += rollover;
+                portfolio += rollover;
+                portfolioAtRetirement = portfolio / priceLevel;
+                initialRate = retirement.rate;
+                withdrawal = retirement.rate * portfolio / 12;
+                inflAtReview = inflScale;
+            } else if (review && retirement.policy === 'percent') {
+                withdrawal = retirement.rate * portfolio / 12;
+            } else if (review && retirement.policy === 'guardrails') {
+                withdrawal *= inflScale / inflAtReview;
+                inflAtReview = inflScale;
+                const currentRate = portfolio > 0 ? withdrawal * 12 / portfolio : Infinity;
+                if (currentRate > initialRate * (1 + retirement.upper)) withdrawal *= 1 - retirement.adjust;
+                else if (currentRate < initialRate * (1 - retirement.lower)) withdrawal *= 1 + retirement.adjust;
+            }
+            if (retirement.policy === 'fixedReal') withdrawal = retirement.annualAmount / 12 * inflScale;
+
+            withdrawn = sellInvestments(withdrawal);
+            if (withdrawn < withdrawal && depletionMonth === null) depletionMonth = m;
         }
 
-        // — net cash flow —
-        const netFlow = income - fixedExp - varExp * inflScale - debtPayment - extraInvest;
+        // — share of income invested under this rule (none once retired) —
+        let extraInvest = rule && !retired ? income * rule.incomeToInvest : 0;
+
+        // — net cash flow; retirees spend their pensions plus the withdrawal —
+        const living = retired ? income - windfall + withdrawn : fixedExp + varExp * inflScale;
+        const netFlow = income + withdrawn - living - eventExpense - debtPayment - extraInvest;
         cash += netFlow;
 
-        // — handle negative cash: draw from savings —
-        if (cash < 0 && savings > 0) {
-            const draw = Math.min(-cash, savings);
-            savings -= draw;
-            cash += draw;
+        // — split this month's surplus above the cash buffer —
+        if (rule && netFlow > 0 && (rule.surplusToDebt > 0 || rule.surplusToInvest > 0)) {
+            const buffer = strategy.cashBufferMonths * expectedExpenses;
+            const allocatable = Math.min(netFlow, Math.max(0, cash - buffer));
+            if (allocatable > 0) {
+                const toDebt = debt > 0 ? payInOrder(allocatable * rule.surplusToDebt) : 0;
+                const toInvest = allocatable * rule.surplusToInvest;
+                if (toDebt > 0) settleDebts(m);
+                debtPayment += toDebt;
+                extraInvest += toInvest;
+                cash -= toDebt + toInvest;
+            }
         }
 
+        // — handle negative cash: sell investments before declaring ruin —
+        if (cash < 0) cash += sellInvestments(-cash);
+
         // — add extra investing to savings pool —
         savings += extraInvest;
+        basis += extraInvest;
 
         // — ruin check —
+        if (cash < 0) negativeCashMonths++;
         if (cash < 0 && !ruined) {
             ruined = true;
+            firstRuinMonth = m;
+            ruinEvents = Object.keys(lastEventMonth)
+                .filter(id => m - lastEventMonth[id] < EVENT_RUIN_LOOKBACK);
         }
 
         // — savings goal check —
-        const netWorth = cash + savings - debt;
+        // — this month's inflation: fixed rate, or the historical CPI change —
+        const inflation = returns.inflation ?? monthlyInflation;
+        const deflator = p.realDollars ? inflScale * (1 + inflation) : 1;
+        if (cash < 0) maxShortfall = Math.max(maxShortfall, -cash / deflator);
+
+        const invested = savings + deferred + roth;
+        const netWorth = (cash + invested - debt) / deflator;
         if (!goalHit && netWorth >= p.savingsGoal) goalHit = true;
 
         trajectory.push({
-            cash: +cash.toFixed(2),
-            savings: +savings.toFixed(2),
-            debt: +debt.toFixed(2),
+            cash: +(cash / deflator).toFixed(2),
+            savings: +(invested / deflator).toFixed(2),
+            debt: +(debt / deflator).toFixed(2),
             netWorth: +netWorth.toFixed(2),
         });
+
+        // — price level and pay for next month —
+        inflScale *= 1 + inflation;
+        incomeScale *= (1 + monthlyWageGrowth) * (1 + colaShare * inflation);
+    }
+
+    // — after liquidation: gains taxed, deferred balance taxed on top of the last year's income —
+    const liquidationTax = tax
+        ? Math.max(0, savings - basis) * tax.capitalGainsRate
+            + incomeTax(annualTaxable + deferred, tax) - incomeTax(annualTaxable, tax)
+        : 0;
+    const afterTaxNetWorth = trajectory[trajectory.length - 1].netWorth
+        - liquidationTax / (p.realDollars ? inflScale : 1);
+
+    return {
+        trajectory, ruined, goalHit, debtFreePeriod, debtPayoffMonths, debtInterest,
+        eventCounts, jobLossMonths, firstRuinMonth, ruinEvents, negativeCashMonths, maxShortfall,
+        taxPaid, afterTaxNetWorth, depletionMonth, portfolioAtRetirement,
+        drivers: {
+            income: incomeTotal / months,
+            variableSpend: workingMonths ? variableTotal / workingMonths : 0,
+            investmentReturn: Math.exp(logGrowth * 12 / months) - 1,
+            jobLossMonths: events ? jobLossMonths : null,
+        },
+    };
+}
+
+// ─── Time to Ruin ─────────────────────────────────────────────────────────────
+/**
+ * timeToRuin — when and how badly a scenario's runs are ruined. Every run is
+ * followed to the horizon, so nothing is censored: survival[m] is simply the
+ * share of runs not yet ruined at the end of month m, and hazard[m] the share
+ * of runs still solvent going into month m that are ruined in it.
+ * @param {number[]} ruinMonthCounts  runs first ruined in each month
+ * @param {number}   n                runs
+ * @param {Array}    ruinedRuns       [{ negativeMonths, shortfall }], one per ruined run
+ * @returns {Object} { survival, hazard, medianRuinMonth, meanNegativeMonths,
+ *   medianShortfall, p95Shortfall } — the last four over ruined runs only (null
+ *   with none)
+ */
+function timeToRuin(ruinMonthCounts, n, ruinedRuns) {
+    const survival = [], hazard = [];
+    let atRisk = n;
+    for (const ruins of ruinMonthCounts) {
+        hazard.push(atRisk ? ruins / atRisk : 0);
+        atRisk -= ruins;
+        survival.push(n ? atRisk / n : 1);
+    }
+    if (!ruinedRuns.length) {
+        return {
+            survival, hazard, medianRuinMonth: null, meanNegativeMonths: null, medianShortfall: null, p95Shortfall: null,
+        };
     }
+    // median of the first ruin month among ruined runs, read off the counts
+    let cumulative = 0;
+    const medianRuinMonth = ruinMonthCounts.findIndex(c => (cumulative += c) >= ruinedRuns.length / 2);
+    const shortfalls = ruinedRuns.map(r => r.shortfall).sort((a, b) => a - b);
+    return {
+        survival,
+        hazard,
+        medianRuinMonth,
+        meanNegativeMonths: mean(ruinedRuns.map(r => r.negativeMonths)),
+        medianShortfall: percentile(shortfalls, 50, true),
+        p95Shortfall: percentile(shortfalls, 95, true),
+    };
+}
+
+// ─── Balance Quantiles ────────────────────────────────────────────────────────
+const DEFAULT_BAND_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+// Trajectory fields the fan chart can show; savings is every invested bucket
+const BAND_FIELDS = ['netWorth', 'cash', 'savings', 'debt'];
+
+/** normalizeBandPercentiles — params.bandPercentiles sorted, de-duplicated and within (0, 100). */
+function normalizeBandPercentiles(p) {
+    const ps = (Array.isArray(p.bandPercentiles) ? p.bandPercentiles : [])
+        .map(Number)
+        .filter(v => Number.isFinite(v) && v > 0 && v < 100);
+    return ps.length ? [...new Set(ps)].sort((a, b) => a - b) : [...DEFAULT_BAND_PERCENTILES];
+}
+
+/**
+ * bandsFromSketches — the fan-chart series of one scenario.
+ * @param {Object} sketches  createQuantileSketches with one stream per month and
+ *   BAND_FIELDS entry, stream = month · BAND_FIELDS.length + field
+ * @returns {Object} { percentiles, netWorth, cash, savings, debt } — each field an
+ *   array with one monthly series per percentile
+ */
+function bandsFromSketches(sketches, percentiles, months) {
+    const bands = { percentiles };
+    BAND_FIELDS.forEach((field, f) => {
+        const byMonth = Array.from({ length: months }, (_, m) => sketches.values(m * BAND_FIELDS.length + f));
+        bands[field] = percentiles.map((_, i) => byMonth.map(v => +v[i].toFixed(2)));
+    });
+    return bands;
+}
 
-    return { trajectory, ruined, goalHit, debtFreePeriod };
+// ─── Adaptive Run Count ───────────────────────────────────────────────────────
+const ADAPTIVE_BATCH = 1000;
+
+/** normalizeAdaptiveRuns — defaults and bounds for an adaptive run spec. */
+function normalizeAdaptiveRuns(spec) {
+    const minRuns = Math.max(ADAPTIVE_BATCH, Math.round(spec.minRuns ?? ADAPTIVE_BATCH));
+    return {
+        precision: Math.max(0.0005, Number(spec.precision) || 0.005),
+        minRuns,
+        maxRuns: Math.max(minRuns, Math.round(spec.maxRuns ?? 50000)),
+    };
+}
+
+/**
+ * adaptivePrecisionMet — whether the 95% interval half-widths of the ruin and
+ * goal probabilities (Wilson) and of the median ending net worth (bootstrap,
+ * relative to the median, or to the interquartile range when the median is
+ * near zero) are all within spec.precision. If not, nextRuns is the run count
+ * at which they should be, as half-widths shrink with 1/√n.
+ */
+function adaptivePrecisionMet(endingNetWorths, ruinCount, goalCount, spec) {
+    const n = endingNetWorths.length;
+    const sorted = [...endingNetWorths].sort((a, b) => a - b);
+    const halfWidth = ci => (ci.hi - ci.lo) / 2;
+    const [med] = bootstrapQuantiles(sorted, [50], { resamples: 200, rng: createRng(n) });
+    const iqr = percentile(sorted, 75, true) - percentile(sorted, 25, true);
+    const worst = Math.max(
+        halfWidth(wilsonInterval(ruinCount, n)),
+        halfWidth(wilsonInterval(goalCount, n)),
+        halfWidth(med) / Math.max(Math.abs(med.value), iqr, 1),
+    ) / spec.precision;
+    if (worst <= 1) return { met: true, nextRuns: n };
+    const needed = Math.ceil(n * worst * worst * 1.1 / ADAPTIVE_BATCH) * ADAPTIVE_BATCH;
+    return { met: false, nextRuns: Math.min(spec.maxRuns, Math.max(n + ADAPTIVE_BATCH, Math.min(needed, 4 * n))) };
 }
 
 /**
@@ -151,79 +1332,554 @@ function simulateOnce(p, scenario) {
  *   - totalDebt              {number}  total outstanding debt
  *   - debtAPR                {number}  weighted average APR (%)
  *   - minimumDebtPayment     {number}  monthly min payment
+ *   - debts                  {Array}   optional [{ name, balance, apr, minPayment }];
+ *                                      overrides the three pooled fields above
+ *   - payoffStrategy         {string}  'avalanche' | 'snowball' | 'custom'
+ *   - extraDebtPayment       {number}  fixed monthly payment on top of the strategy's
  *   - savingsReturnRate      {number}  annual investment return rate (%)
  *   - inflationRate          {number}  annual inflation rate (%)
+ *   - wageGrowth             {number}  annual wage growth before inflation (%)
+ *   - incomeCola             {number}  share of inflation passed through to pay (%)
+ *   - realDollars            {boolean} report every amount in today's dollars and test
+ *                                      the savings goal in real terms
  *   - horizonYears           {number}  simulation horizon in years
  *   - savingsGoal            {number}  net-worth target
- * @param {number} runs  number of Monte Carlo runs (default 5000)
- * @returns {Object}  aggregated results for all three scenarios
+ *   - strategies             {Array}   optional strategy list (default DEFAULT_STRATEGIES)
+ *   - events                 {Object}  optional life-event model (see DEFAULT_LIFE_EVENTS)
+ *   - shockCorrelation       {number[][]} optional 3×3 correlation of income, variable
+ *                                      spend and return shocks (see SHOCK_SOURCES)
+ *   - returnModel            {Object}  optional return model (see DEFAULT_RETURN_MODEL);
+ *                                      type 'historical' block-bootstraps HISTORICAL_DATA
+ *                                      and replaces inflationRate with its CPI path
+ *   - tax                    {Object}  optional tax layer (see DEFAULT_TAX); when enabled
+ *                                      monthlyIncome is gross pay
+ *   - retirement             {Object}  optional retirement phase (see DEFAULT_RETIREMENT);
+ *                                      when enabled the run spans currentAge → endAge
+ *   - sampling               {Object}  optional variance reduction and stream sharing
+ *                                      (see DEFAULT_SAMPLING)
+ *   - bandPercentiles        {number[]} optional percentiles tracked each month for
+ *                                      the fan chart (default DEFAULT_BAND_PERCENTILES)
+ * @param {number|Object} runs  number of Monte Carlo runs (default 5000), or an
+ *   adaptive spec { precision, minRuns = 1000, maxRuns = 50000 } that adds runs
+ *   to each scenario until adaptivePrecisionMet
+ * @param {number} seed  PRNG seed; the same seed reproduces identical results
+ * @param {Function} [onProgress]  called with { scenario, scenarioIndex,
+ *   scenarioCount, run, runs } roughly every 1% of runs and at scenario end;
+ *   in adaptive mode runs is the current target and can grow
+ * @returns {Object}  aggregated results keyed by strategy id
  */
-function runMonteCarlo(params, runs = 5000) {
-    const scenarios = ['minimum', 'aggressive', 'investing'];
+function runMonteCarlo(params, runs = 5000, seed = randomSeed(), onProgress = null) {
+    const scenarios = (params.strategies?.length ? params.strategies : DEFAULT_STRATEGIES)
+        .map(normalizeStrategy);
     const results = {};
+    const adaptive = typeof runs === 'object' && runs !== null ? normalizeAdaptiveRuns(runs) : null;
+    const sampling = normalizeSampling(params);
+    const months = horizonMonths(params);
+    const bandPercentiles = normalizeBandPercentiles(params);
 
-    for (const scenario of scenarios) {
+    scenarios.forEach((strategy, si) => {
+        const scenario = strategy.id;
+        const scenarioSeed = deriveSeed(seed, sampling.shareStreams ? 0 : si);
         const endingNetWorths = [];
+        const afterTaxNetWorths = [];
+        let taxTotal = 0;
+        const retirement = normalizeRetirement(params);
+        const depletionAges = [];
+        const retirementPortfolios = [];
         const ruinCount = { count: 0 };
         const goalCount = { count: 0 };
         const debtFreeTimes = [];
+        const debtList = normalizeDebts(params);
+        const payoffTimes = debtList.map(() => []);
+        const interestTotals = debtList.map(() => 0);
+        const eventTypes = lifeEventTypes(params.events);
+        const eventHits = eventTypes.map(() => ({ runs: 0, ruined: 0, count: 0, attributed: 0 }));
+        const ruinMonthCounts = new Array(months).fill(0);
+        const ruinedRuns = [];
+        const pathRisk = { maxDrawdown: [], timeUnderWater: [], worstYearChange: [], downsideDeviation: [] };
+        const startNetWorth = initialNetWorth(params); // month 0 of every path, so a first-month drop counts
+        const drivers = { endingNetWorth: [] };
+        const replicates = Array.from({ length: SAMPLING_REPLICATES }, () => ({ netWorths: [], ruined: 0, goals: 0 }));
 
-        // Store sampled trajectories for percentile bands (store 200 for perf)
-        const sampledTraj = [];
-        const trajSampleRate = Math.max(1, Math.floor(runs / 200));
+        const bandSketches = createQuantileSketches(bandPercentiles, months * BAND_FIELDS.length);
+        // Keep about 200 whole paths for export and the path-level tables
+        let sampledTraj = [];
+        let target = adaptive ? adaptive.minRuns : runs;
+        let trajSampleRate = Math.max(1, Math.floor(target / 200));
+        let progressEvery = Math.max(1, Math.floor(target / 100));
+        let precisionMet = false;
 
-        for (let i = 0; i < runs; i++) {
-            const { trajectory, ruined, goalHit, debtFreePeriod } = simulateOnce(params, scenario);
+        for (let i = 0; i < target; i++) {
+            const { rng, shocks, replicate } = createRunShocks(sampling, scenarioSeed, i, months);
+            const {
+                trajectory, ruined, goalHit, debtFreePeriod, debtPayoffMonths, debtInterest, eventCounts, ruinEvents,
+                firstRuinMonth, negativeCashMonths, maxShortfall, taxPaid, afterTaxNetWorth, depletionMonth,
+                portfolioAtRetirement, drivers: runDrivers,
+            } = simulateOnce(params, strategy, rng, shocks);
+
+            for (let m = 0, stream = 0; m < trajectory.length; m++) {
+                for (const field of BAND_FIELDS) bandSketches.add(stream++, trajectory[m][field]);
+            }
 
             const finalNW = trajectory[trajectory.length - 1].netWorth;
             endingNetWorths.push(finalNW);
+            afterTaxNetWorths.push(afterTaxNetWorth);
+            const rep = replicates[replicate];
+            rep.netWorths.push(finalNW);
+            if (ruined) rep.ruined++;
+            if (goalHit) rep.goals++;
+            for (const [key, value] of Object.entries(pathRiskMetrics([startNetWorth, ...trajectory.map(t => t.netWorth)]))) {
+                pathRisk[key].push(value);
+            }
+            drivers.endingNetWorth.push(finalNW);
+            for (const [key, value] of Object.entries(runDrivers)) {
+                if (value !== null) (drivers[key] ??= []).push(value);
+            }
+            taxTotal += taxPaid;
+            if (depletionMonth !== null) depletionAges.push(retirement.currentAge + depletionMonth / 12);
+            if (portfolioAtRetirement !== null) retirementPortfolios.push(portfolioAtRetirement);
 
-            if (ruined) ruinCount.count++;
+            if (ruined) {
+                ruinCount.count++;
+                ruinMonthCounts[firstRuinMonth]++;
+                ruinedRuns.push({ negativeMonths: negativeCashMonths, shortfall: maxShortfall });
+            }
             if (goalHit) goalCount.count++;
             if (debtFreePeriod !== null) debtFreeTimes.push(debtFreePeriod);
+            debtPayoffMonths.forEach((pm, d) => {
+                if (pm !== null) payoffTimes[d].push(pm);
+                interestTotals[d] += debtInterest[d];
+            });
+            eventTypes.forEach((t, ti) => {
+                const n = eventCounts[t.id];
+                eventHits[ti].count += n;
+                if (n > 0) {
+                    eventHits[ti].runs++;
+                    if (ruined) eventHits[ti].ruined++;
+                }
+                if (ruinEvents.includes(t.id)) eventHits[ti].attributed += 1 / ruinEvents.length;
+            });
 
             if (i % trajSampleRate === 0) sampledTraj.push(trajectory);
+            // Adaptive runs can outgrow the sampling rate: keep every other path
+            if (sampledTraj.length > 400) {
+                sampledTraj = sampledTraj.filter((_, k) => k % 2 === 0);
+                trajSampleRate *= 2;
+            }
+
+            if (onProgress && ((i + 1) % progressEvery === 0 || i === target - 1)) {
+                onProgress({ scenario, scenarioIndex: si, scenarioCount: scenarios.length, run: i + 1, runs: target });
+            }
+
+            if (adaptive && i === target - 1) {
+                const check = adaptivePrecisionMet(endingNetWorths, ruinCount.count, goalCount.count, adaptive);
+                precisionMet = check.met;
+                if (!precisionMet && target < adaptive.maxRuns) {
+                    target = check.nextRuns;
+                    progressEvery = Math.max(1, Math.floor(target / 100));
+                }
+            }
         }
+        const n = endingNetWorths.length;
 
         // Sort for percentiles
         endingNetWorths.sort((a, b) => a - b);
+        afterTaxNetWorths.sort((a, b) => a - b);
 
         results[scenario] = {
+            name: strategy.name,
+            runs: n,
+            adaptive: adaptive && { precision: adaptive.precision, met: precisionMet },
+            sampling: { ...sampling, replicates: replicateEstimates(replicates) },
             endingNetWorths,
+            // pre-tax above; net of tax on liquidating every bucket at the horizon below
+            afterTaxNetWorths,
+            meanTaxPaid: taxTotal / n,
+            retirement: retirement && {
+                retireMonth: retirement.retireMonth,
+                depletionProbability: depletionAges.length / n,
+                // ages among depleted runs only
+                medianDepletionAge: depletionAges.length
+                    ? depletionAges.sort((a, b) => a - b)[Math.floor(depletionAges.length / 2)]
+                    : null,
+                earlyDepletionAge: depletionAges.length
+                    ? depletionAges[Math.floor(depletionAges.length * 0.1)]
+                    : null,
+                medianPortfolioAtRetirement: retirementPortfolios.length
+                    ? retirementPortfolios.sort((a, b) => a - b)[Math.floor(retirementPortfolios.length / 2)]
+                    : null,
+            },
             sampledTrajectories: sampledTraj,
-            ruinProbability: ruinCount.count / runs,
-            goalProbability: goalCount.count / runs,
+            bands: bandsFromSketches(bandSketches, bandPercentiles, months),
+            ruinProbability: ruinCount.count / n,
+            timeToRuin: timeToRuin(ruinMonthCounts, n, ruinedRuns),
+            // per run, in run order: net-worth path risk (see pathRiskMetrics)
+            pathRisk,
+            // per run, in run order: ending net worth and the drivers simulateOnce saw
+            drivers,
+            goalProbability: goalCount.count / n,
             medianDebtFreeMonth: debtFreeTimes.length
                 ? debtFreeTimes.sort((a, b) => a - b)[Math.floor(debtFreeTimes.length / 2)]
                 : null,
-            debtFreeProbability: debtFreeTimes.length / runs,
+            debtFreeProbability: debtFreeTimes.length / n,
+            debts: debtList.map((d, di) => ({
+                name: d.name,
+                balance: d.balance,
+                apr: d.apr,
+                medianPayoffMonth: payoffTimes[di].length
+                    ? payoffTimes[di].sort((a, b) => a - b)[Math.floor(payoffTimes[di].length / 2)]
+                    : null,
+                payoffProbability: d.balance > 0 ? payoffTimes[di].length / n : 1,
+                meanInterest: interestTotals[di] / n,
+            })),
+            events: eventTypes.map((t, ti) => {
+                const h = eventHits[ti];
+                return {
+                    id: t.id,
+                    name: t.name,
+                    hitProbability: h.runs / n,
+                    meanCount: h.count / n,
+                    ruinIfHit: h.runs ? h.ruined / h.runs : 0,
+                    ruinIfNotHit: n > h.runs ? (ruinCount.count - h.ruined) / (n - h.runs) : 0,
+                    // probability points of ruin attributed to this event type
+                    attributedRuin: h.attributed / n,
+                    attributableShare: ruinCount.count ? h.attributed / ruinCount.count : 0,
+                };
+            }),
         };
-    }
+    });
 
     return results;
 }
 
 /**
- * buildConfidenceBands — derive p5, p50, p95 net-worth time series from sampled trajectories.
+ * buildConfidenceBands — fan-chart series interpolated from sampled
+ * trajectories, in the shape of a result's bands. For results that predate the
+ * engine's per-month quantiles (older exports and saved runs).
  * @param {Array} sampledTrajectories  array of trajectory arrays
- * @returns {Object} { p5, p50, p95 } — each is array of monthly values
+ * @param {number[]} [percentiles]     percentiles, 0–100, ascending
+ * @returns {Object} { percentiles, netWorth, cash, savings, debt } — each field an
+ *   array with one monthly series per percentile
  */
-function buildConfidenceBands(sampledTrajectories) {
-    if (!sampledTrajectories || sampledTrajectories.length === 0) {
-        return { p5: [], p50: [], p95: [] };
+function buildConfidenceBands(sampledTrajectories, percentiles = DEFAULT_BAND_PERCENTILES) {
+    const bands = { percentiles };
+    const months = sampledTrajectories?.[0]?.length ?? 0;
+    for (const field of BAND_FIELDS) {
+        const sorted = Array.from({ length: months }, (_, m) => sampledTrajectories
+            .map(t => t[m]?.[field] ?? 0)
+            .sort((a, b) => a - b));
+        bands[field] = percentiles.map(p => sorted.map(vals => percentile(vals, p, true)));
     }
-    const months = sampledTrajectories[0].length;
-    const p5 = [], p50 = [], p95 = [];
+    return bands;
+}
 
-    for (let m = 0; m < months; m++) {
-        const vals = sampledTrajectories
-            .map(t => t[m]?.netWorth ?? 0)
-            .sort((a, b) => a - b);
-        const n = vals.length;
-        p5.push(vals[Math.floor(0.05 * n)] ?? 0);
-        p50.push(vals[Math.floor(0.50 * n)] ?? 0);
-        p95.push(vals[Math.floor(0.95 * n)] ?? 0);
+// ─── Sensitivity Analysis ─────────────────────────────────────────────────────
+// Aggregate debt fields are perturbed through the individual debts they summarise
+const SENSITIVITY_DEBT_FIELDS = { totalDebt: 'balance', debtAPR: 'apr', minimumDebtPayment: 'minPayment' };
+
+// Nested params walked for numeric leaves, each only while it affects the run;
+// returnModel only down the branches its model type reads
+const SENSITIVITY_SECTIONS = {
+    returnModel: p => ({
+        normal: ['volatility'],
+        studentT: ['volatility', 'df'],
+        regime: ['bull', 'bear', 'pBullToBear', 'pBearToBull'],
+        historical: ['historical'],
+    })[p.returnModel?.type] || [],
+    tax: p => (p.tax?.enabled ? Object.keys(p.tax) : []),
+    retirement: p => (p.retirement?.enabled ? Object.keys(p.retirement).filter(k =>
+        (k !== 'annualAmount' || p.retirement.policy === 'fixedReal')
+        && (k !== 'withdrawalRate' || p.retirement.policy !== 'fixedReal')
+        && (k !== 'guardrails' || p.retirement.policy === 'guardrails')) : []),
+    events: p => (p.events?.enabled ? Object.keys(p.events) : []),
+};
+
+// Never perturbed: debts (moved through the aggregate fields above), strategies
+// (what is being tested), shockCorrelation (scaling one entry of a correlation
+// matrix breaks its symmetry), sampling and bandPercentiles (how runs are drawn
+// and reported, not the household), and historical start / end years (a data
+// window, not a magnitude)
+const SENSITIVITY_SKIPPED_LEAVES = new Set(['startYear', 'endYear']);
+
+/**
+ * sensitivityInputs — paths of every non-zero numeric input: top-level keys,
+ * plus dotted paths into the nested sections above (e.g. 'events.jobLoss.monthlyHazard',
+ * 'tax.brackets.2.rate'). A ±% change of zero is still zero, so zeros are
+ * skipped; so is horizonYears when the retirement ages set the horizon.
+ */
+function sensitivityInputs(params) {
+    const agesSetHorizon = !!normalizeRetirement(params);
+    const usable = v => typeof v === 'number' && Number.isFinite(v) && v !== 0;
+    const keys = Object.keys(params).filter(k => usable(params[k]) && !(k === 'horizonYears' && agesSetHorizon));
+    const walk = (value, path) => {
+        if (usable(value)) keys.push(path);
+        else if (value && typeof value === 'object') {
+            for (const [k, v] of Object.entries(value)) {
+                if (!SENSITIVITY_SKIPPED_LEAVES.has(k)) walk(v, `${path}.${k}`);
+            }
+        }
+    };
+    for (const [section, fields] of Object.entries(SENSITIVITY_SECTIONS)) {
+        if (!params[section]) continue;
+        for (const k of fields(params)) walk(params[section][k], `${section}.${k}`);
+    }
+    return keys;
+}
+
+/** paramAt — value at a sensitivityInputs path. */
+function paramAt(params, path) {
+    return path.split('.').reduce((v, k) => v?.[k], params);
+}
+
+/**
+ * perturbParam — copy of params with the numeric field at `path` scaled by
+ * `factor`; objects along a nested path are copied, never mutated.
+ */
+function perturbParam(params, path, factor) {
+    const [key, ...rest] = path.split('.');
+    if (rest.length) {
+        const scaled = (obj, [k, ...more]) => {
+            const copy = Array.isArray(obj) ? [...obj] : { ...obj };
+            copy[k] = more.length ? scaled(obj[k], more) : obj[k] * factor;
+            return copy;
+        };
+        return { ...params, [key]: scaled(params[key], rest) };
+    }
+    const p = { ...params, [key]: params[key] * factor };
+    // The engine steps whole months
+    if (key === 'horizonYears') p.horizonYears = Math.max(1, Math.round(p.horizonYears * 12)) / 12;
+    const debtField = SENSITIVITY_DEBT_FIELDS[key];
+    if (debtField && Array.isArray(params.debts)) {
+        p.debts = params.debts.map(d => ({ ...d, [debtField]: d[debtField] * factor }));
+    }
+    return p;
+}
+
+/**
+ * runSensitivity — one-at-a-time sensitivity of a single strategy. Each input is
+ * scaled by (1 ± deltaPct / 100) and rerun with the same seed, so every run
+ * replays the same random draws and the differences reflect the input alone.
+ *
+ * @param {Object} params  same shape as runMonteCarlo
+ * @param {Object} options  { deltaPct = 10, runs = 1000, seed, strategyId }
+ * @param {Function} [onProgress]  called with { input, step, steps } after each rerun
+ * @returns {Object} { deltaPct, runs, seed, strategyId, strategyName,
+ *   base: { median, ruinProbability, goalProbability },
+ *   inputs: [{ key, value, low: { value, median, ruinProbability, goalProbability }, high }] }
+ *   — key is a sensitivityInputs path
+ */
+function runSensitivity(params, options = {}, onProgress = null) {
+    const { deltaPct = 10, runs = 1000, seed = randomSeed(), strategyId = null } = options;
+    const strategies = (params.strategies?.length ? params.strategies : DEFAULT_STRATEGIES).map(normalizeStrategy);
+    const strategy = strategies.find(s => s.id === strategyId) || strategies[0];
+
+    const summarize = p => {
+        const r = runMonteCarlo({ ...p, strategies: [strategy] }, runs, seed)[strategy.id];
+        return {
+            median: percentile(r.endingNetWorths, 50, true),
+            ruinProbability: r.ruinProbability,
+            goalProbability: r.goalProbability,
+        };
+    };
+
+    const keys = sensitivityInputs(params);
+    const steps = 1 + keys.length * 2;
+    let step = 0;
+    const tick = input => onProgress?.({ input, step: ++step, steps });
+
+    const base = summarize(params);
+    tick(null);
+    const d = deltaPct / 100;
+    const inputs = keys.map(key => {
+        const lowParams = perturbParam(params, key, 1 - d);
+        const low = { value: paramAt(lowParams, key), ...summarize(lowParams) };
+        tick(key);
+        const highParams = perturbParam(params, key, 1 + d);
+        const high = { value: paramAt(highParams, key), ...summarize(highParams) };
+        tick(key);
+        return { key, value: paramAt(params, key), low, high };
+    });
+
+    return { deltaPct, runs, seed, strategyId: strategy.id, strategyName: strategy.name, base, inputs };
+}
+
+// ─── Goal Solver ──────────────────────────────────────────────────────────────
+const SOLVER_METRICS = ['goalProbability', 'ruinProbability', 'percentile'];
+
+/**
+ * Inputs the goal solver can vary. `bounds` gives the default search bracket;
+ * `months` snaps the value to whole months; `std` is a volatility kept in
+ * proportion, as the sidebar sets it as a % of the input.
+ */
+const SOLVER_INPUTS = {
+    monthlyIncome: {
+        std: 'incomeStd',
+        bounds: p => [0, Math.max(4 * p.monthlyIncome, 4 * (p.monthlyFixedExpenses + p.monthlyVariableExpenses), 1000)],
+    },
+    monthlyFixedExpenses: {
+        lowers: true,
+        bounds: p => [0, Math.max(4 * p.monthlyFixedExpenses, 2 * p.monthlyIncome, 1000)],
+    },
+    monthlyVariableExpenses: {
+        lowers: true,
+        std: 'expenseStd',
+        bounds: p => [0, Math.max(4 * p.monthlyVariableExpenses, 2 * p.monthlyIncome, 1000)],
+    },
+    extraDebtPayment: {
+        // enough to clear every debt within about six months
+        bounds: p => [0, Math.max(4 * (p.extraDebtPayment || 0),
+            normalizeDebts(p).reduce((s, d) => s + d.balance, 0) / 6, 1000)],
+    },
+    initialInvestments: {
+        // up to twenty years of expenses
+        bounds: p => [0, Math.max(4 * p.initialInvestments,
+            240 * (p.monthlyFixedExpenses + p.monthlyVariableExpenses), 10000)],
+    },
+    horizonYears: { months: true, bounds: () => [1, 50] },
+};
+
+/** withSolverInput — copy of params with the free input set to `value`. */
+function withSolverInput(params, key, value) {
+    const spec = SOLVER_INPUTS[key];
+    const p = { ...params, [key]: spec.months ? Math.max(1, Math.round(value * 12)) / 12 : value };
+    if (spec.std && params[key] > 0) p[spec.std] = (params[spec.std] || 0) * value / params[key];
+    return p;
+}
+
+/**
+ * solverMetric — the target metric of one strategy's results, with its 95%
+ * Monte Carlo interval (normal approximation for probabilities, order-statistic
+ * ranks for a percentile).
+ */
+function solverMetric(result, metric, targetPercentile) {
+    const n = result.endingNetWorths.length;
+    if (metric === 'percentile') {
+        const q = targetPercentile / 100;
+        const at = rank => result.endingNetWorths[clamp(Math.floor(rank), 0, n - 1)];
+        const half = 1.96 * Math.sqrt(n * q * (1 - q));
+        // Interpolated like the dashboard and sensitivity percentiles
+        const value = percentile(result.endingNetWorths, targetPercentile, true);
+        return { value, low: at(q * n - half), high: at(q * n + half) };
+    }
+    const value = result[metric];
+    const half = 1.96 * Math.sqrt(value * (1 - value) / n);
+    return { value, low: Math.max(0, value - half), high: Math.min(1, value + half) };
+}
+
+/**
+ * runGoalSolver — inverse solve: the value of one free input at which a target
+ * metric is met. Each replicate bisects with its own fixed seed, so the metric
+ * is a deterministic function of the input during the search; the spread of the
+ * replicate answers is the Monte Carlo uncertainty of the result.
+ *
+ * @param {Object} params  same shape as runMonteCarlo
+ * @param {Object} options
+ *   - metric       {string}  'goalProbability' | 'ruinProbability' | 'percentile'
+ *   - percentile   {number}  percentile of ending net worth, for metric 'percentile'
+ *   - target       {number}  probability (0–1) or net-worth amount to reach; ruin
+ *                            must fall to the target, the others rise to it
+ *   - input        {string}  key of SOLVER_INPUTS to vary
+ *   - lo, hi       {number}  optional search bracket (default SOLVER_INPUTS bounds)
+ *   - runs         {number}  runs per evaluation (default 500)
+ *   - replicates   {number}  independent seeds to solve with (default 5)
+ *   - seed         {number}  base seed; replicate 0 uses it as-is
+ *   - strategyId   {string}  strategy to solve for (default the first)
+ *   - maxSteps     {number}  bisection steps per replicate (default 20)
+ * @param {Function} [onProgress]  called with { replicate, replicates, step, steps }
+ * @returns {Object} { metric, percentile, target, input, strategyId, strategyName,
+ *   runs, seed, reachable, alreadyMet, value, stdError, min, max, lo, hi, current,
+ *   base, replicates: [{ seed, value, reachable, alreadyMet, metric: { value, low, high } }] }
+ *   where `base` is the metric at the `current` input value (replicate 0). If the
+ *   target is met at both bracket ends, `value` is the end needing the least
+ *   change (`lo`, or `hi` for expenses) and `alreadyMet` is set; if it is met at
+ *   neither, `reachable` is false and `value` is the end closest to it.
+ */
+function runGoalSolver(params, options = {}, onProgress = null) {
+    const {
+        metric = 'goalProbability', percentile: targetPercentile = 50, target = 0.8, input = 'monthlyIncome',
+        runs = 500, replicates = 5, seed = randomSeed(), strategyId = null, maxSteps = 20,
+    } = options;
+    const spec = SOLVER_INPUTS[input];
+    if (!spec) throw new Error(`Unknown solver input: ${input}`);
+    if (!SOLVER_METRICS.includes(metric)) throw new Error(`Unknown solver metric: ${metric}`);
+    if (input === 'horizonYears' && normalizeRetirement(params)) {
+        throw new Error('The horizon is set by the retirement ages');
+    }
+
+    const strategies = (params.strategies?.length ? params.strategies : DEFAULT_STRATEGIES).map(normalizeStrategy);
+    const strategy = strategies.find(s => s.id === strategyId) || strategies[0];
+    const [defaultLo, defaultHi] = spec.bounds(params);
+    const lo = options.lo ?? defaultLo;
+    const hi = options.hi ?? defaultHi;
+    // Stop bisecting at a month for the horizon, otherwise at 0.1% of the bracket
+    const tolerance = spec.months ? 1 / 12 : Math.max(1, (hi - lo) / 1000);
+
+    const evaluate = (value, runSeed) => {
+        const r = runMonteCarlo({ ...withSolverInput(params, input, value), strategies: [strategy] }, runs, runSeed);
+        return solverMetric(r[strategy.id], metric, targetPercentile);
+    };
+    // Ruin must fall to the target; everything else must rise to it
+    const sign = metric === 'ruinProbability' ? -1 : 1;
+    const meets = m => sign * m.value >= sign * target;
+
+    let step = 0;
+    const steps = replicates * (maxSteps + 2);
+    const solved = [];
+    let base = null;
+    for (let k = 0; k < replicates; k++) {
+        const runSeed = k === 0 ? seed : deriveSeed(seed, k);
+        const tick = () => onProgress?.({ replicate: k, replicates, step: ++step, steps });
+        if (k === 0) base = evaluate(params[input], runSeed);
+
+        let a = lo, b = hi;
+        let fa = evaluate(a, runSeed); tick();
+        let fb = evaluate(b, runSeed); tick();
+        if (meets(fa) && meets(fb)) {
+            // Met across the whole bracket: report the end needing the least change
+            solved.push(spec.lowers
+                ? { seed: runSeed, value: b, reachable: true, alreadyMet: true, metric: fb }
+                : { seed: runSeed, value: a, reachable: true, alreadyMet: true, metric: fa });
+            step = (k + 1) * (maxSteps + 2);
+            continue;
+        }
+        if (!meets(fa) && !meets(fb)) {
+            // Met at neither end: report whichever end comes closer
+            const aCloser = Math.abs(fa.value - target) <= Math.abs(fb.value - target);
+            solved.push({
+                seed: runSeed, value: aCloser ? a : b, reachable: false, alreadyMet: false, metric: aCloser ? fa : fb,
+            });
+            step = (k + 1) * (maxSteps + 2);
+            continue;
+        }
+        for (let i = 0; i < maxSteps && b - a > tolerance; i++) {
+            const mid = withSolverInput(params, input, (a + b) / 2)[input];
+            if (mid <= a || mid >= b) break;
+            const fm = evaluate(mid, runSeed); tick();
+            if (meets(fm) === meets(fa)) { a = mid; fa = fm; } else { b = mid; fb = fm; }
+        }
+        step = (k + 1) * (maxSteps + 2);
+        onProgress?.({ replicate: k, replicates, step, steps });
+        // Report the end of the final bracket that meets the target
+        solved.push(meets(fa)
+            ? { seed: runSeed, value: a, reachable: true, alreadyMet: false, metric: fa }
+            : { seed: runSeed, value: b, reachable: true, alreadyMet: false, metric: fb });
     }
 
-    return { p5, p50, p95 };
+    const values = solved.map(r => r.value);
+    const avg = values.reduce((s, v) => s + v, 0) / values.length;
+    const sd = values.length > 1
+        ? Math.sqrt(values.reduce((s, v) => s + (v - avg) ** 2, 0) / (values.length - 1))
+        : 0;
+    return {
+        metric, percentile: targetPercentile, target, input,
+        strategyId: strategy.id, strategyName: strategy.name,
+        runs, seed, lo, hi, current: params[input], base,
+        reachable: solved.every(r => r.reachable),
+        alreadyMet: solved.every(r => r.alreadyMet),
+        value: avg,
+        stdError: sd / Math.sqrt(values.length),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        replicates: solved,
+    };
 }
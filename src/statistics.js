@@ -5,11 +5,19 @@
  *   - Descriptive statistics (mean, median, std dev, skewness, kurtosis)
  *   - Percentile interpolation
  *   - Pearson correlation
- *   - Simple linear regression (OLS)
- *   - Value-at-Risk (VaR) at user-specified confidence levels
+ *   - Simple and multiple linear regression (OLS, with standard errors and t-statistics)
+ *   - Value-at-Risk (VaR) at user-specified confidence levels: historical,
+ *     Gaussian or Cornish-Fisher, measured from a reference, with bootstrap intervals
+ *   - Path risk: maximum drawdown, time under water, worst rolling change and
+ *     downside deviation of a single trajectory
+ *   - Monte Carlo error: Wilson intervals for proportions, bootstrap for quantiles
+ *   - Streaming quantiles (extended P²) for series too long to keep
+ *   - Distribution fit: kernel density, normal and log-normal fits, and the
+ *     Jarque–Bera and Kolmogorov–Smirnov normality tests
  *   - Correlation matrix builder
  *
- * All functions are pure and operate on plain arrays of numbers.
+ * All functions are pure and operate on plain arrays of numbers (the bootstrap
+ * draws from an rng passed in).
  */
 
 "use strict";
@@ -141,6 +149,486 @@ function expectedShortfall(endingBalances, alpha = 0.95) {
     return -mean(tail);
 }
 
+const VAR_METHODS = {
+    historical: 'Historical',
+    gaussian: 'Gaussian',
+    'cornish-fisher': 'Cornish-Fisher',
+};
+
+// Quantiles averaged over the tail for a parametric CVaR
+const CVAR_TAIL_POINTS = 1000;
+
+/**
+ * cornishFisherZ — standard normal quantile z adjusted for skewness and
+ * excess kurtosis (Cornish–Fisher expansion to the fourth moment).
+ */
+function cornishFisherZ(z, skew, kurt) {
+    return z + (z * z - 1) * skew / 6 + (z ** 3 - 3 * z) * kurt / 24 - (2 * z ** 3 - 5 * z) * skew * skew / 36;
+}
+
+/**
+ * riskMeasures — VaR and CVaR of ending values as losses measured from a
+ * reference: loss = reference − value, so a positive figure means ending below
+ * the reference.
+ *   historical      the empirical (1 − α) quantile; CVaR the mean of values at or below it
+ *   gaussian        a normal with the sample mean and standard deviation
+ *   cornish-fisher  the normal quantile corrected for sample skewness and excess kurtosis
+ * Parametric CVaR averages the method's quantile over the tail, each capped at
+ * the VaR cutoff since the Cornish–Fisher quantile stops being monotone when
+ * skewness is large.
+ * @param {number[]}      sorted     ending values sorted ascending
+ * @param {number}        alpha      confidence level, e.g. 0.95
+ * @param {string}        method     key of VAR_METHODS
+ * @param {number|string} reference  a fixed amount (e.g. starting net worth), or
+ *   'median' for the median of the values themselves
+ * @returns {Object} { var, cvar, reference }
+ */
+function riskMeasures(sorted, alpha = 0.95, method = 'historical', reference = 0) {
+    const ref = reference === 'median' ? percentile(sorted, 50, true) : reference;
+    if (!sorted.length) return { var: 0, cvar: 0, reference: ref };
+    const tail = 1 - alpha;
+    if (method !== 'gaussian' && method !== 'cornish-fisher') {
+        const cutoff = percentile(sorted, tail * 100, true);
+        let sum = 0, k = 0;
+        for (; k < sorted.length && sorted[k] <= cutoff; k++) sum += sorted[k];
+        return { var: ref - cutoff, cvar: ref - sum / k, reference: ref };
+    }
+    const m = mean(sorted), sd = stdDev(sorted);
+    const skew = method === 'cornish-fisher' ? skewness(sorted) : 0;
+    const kurt = method === 'cornish-fisher' ? excessKurtosis(sorted) : 0;
+    const quantile = p => m + sd * cornishFisherZ(normalQuantile(p), skew, kurt);
+    const cutoff = quantile(tail);
+    let tailSum = 0;
+    for (let i = 0; i < CVAR_TAIL_POINTS; i++) {
+        tailSum += Math.min(cutoff, quantile(tail * (i + 0.5) / CVAR_TAIL_POINTS));
+    }
+    return { var: ref - cutoff, cvar: ref - tailSum / CVAR_TAIL_POINTS, reference: ref };
+}
+
+/**
+ * bootstrapRiskMeasures — riskMeasures with percentile-bootstrap intervals:
+ * the values are resampled with replacement (a 'median' reference along with
+ * them) and VaR and CVaR recomputed for each resample.
+ * @param {number[]} sorted   values sorted ascending
+ * @param {Object}   options  { resamples = 300, confidence = 0.95, rng = Math.random }
+ * @returns {Object} { var: { value, se, lo, hi }, cvar: { value, se, lo, hi }, reference }
+ */
+function bootstrapRiskMeasures(sorted, alpha, method, reference,
+    { resamples = 300, confidence = 0.95, rng = Math.random } = {}) {
+    const point = riskMeasures(sorted, alpha, method, reference);
+    const n = sorted.length;
+    if (!n) return { var: { value: 0, se: 0, lo: 0, hi: 0 }, cvar: { value: 0, se: 0, lo: 0, hi: 0 }, reference: 0 };
+    const counts = new Uint32Array(n);
+    const sample = new Array(n);
+    const vars = new Array(resamples), cvars = new Array(resamples);
+    for (let b = 0; b < resamples; b++) {
+        counts.fill(0);
+        for (let i = 0; i < n; i++) counts[Math.floor(rng() * n)]++;
+        // writing each value out as often as it was drawn keeps the resample sorted
+        for (let i = 0, k = 0; i < n; i++) {
+            for (let c = 0; c < counts[i]; c++) sample[k++] = sorted[i];
+        }
+        const r = riskMeasures(sample, alpha, method, reference);
+        vars[b] = r.var;
+        cvars[b] = r.cvar;
+    }
+    const tail = (1 - confidence) / 2 * 100;
+    const interval = (value, draws) => {
+        draws.sort((a, b) => a - b);
+        return { value, se: stdDev(draws), lo: percentile(draws, tail, true), hi: percentile(draws, 100 - tail, true) };
+    };
+    return { var: interval(point.var, vars), cvar: interval(point.cvar, cvars), reference: point.reference };
+}
+
+// ─── Path Risk ────────────────────────────────────────────────────────────────
+// Risk along one trajectory (e.g. monthly net worth), which the ending value
+// alone cannot show: a path that crashes and recovers ends where a smooth one does.
+
+/**
+ * maxDrawdown — largest fall from a running peak to any later value, in the
+ * path's units (0 for a path that never falls).
+ */
+function maxDrawdown(path) {
+    let peak = -Infinity, worst = 0;
+    for (const v of path) {
+        if (v > peak) peak = v;
+        else worst = Math.max(worst, peak - v);
+    }
+    return worst;
+}
+
+/** timeUnderWater — number of steps the path spends below its running peak. */
+function timeUnderWater(path) {
+    let peak = -Infinity, steps = 0;
+    for (const v of path) {
+        if (v >= peak) peak = v;
+        else steps++;
+    }
+    return steps;
+}
+
+/**
+ * worstRollingChange — smallest change over any `window` consecutive steps;
+ * negative is a loss. A path no longer than the window uses its full length.
+ */
+function worstRollingChange(path, window = 12) {
+    if (path.length < 2) return 0;
+    if (path.length <= window) return path[path.length - 1] - path[0];
+    let worst = Infinity;
+    for (let i = window; i < path.length; i++) worst = Math.min(worst, path[i] - path[i - window]);
+    return worst;
+}
+
+/**
+ * downsideDeviation — Sortino-style risk of the step changes: the root mean
+ * square of their shortfalls below `target`, steps above it counting as 0.
+ */
+function downsideDeviation(path, target = 0) {
+    if (path.length < 2) return 0;
+    let sum = 0;
+    for (let i = 1; i < path.length; i++) {
+        const miss = Math.min(0, path[i] - path[i - 1] - target);
+        sum += miss * miss;
+    }
+    return Math.sqrt(sum / (path.length - 1));
+}
+
+/**
+ * pathRiskMetrics — every path-risk measure of one monthly path.
+ * @returns {Object} { maxDrawdown, timeUnderWater (months), worstYearChange,
+ *   downsideDeviation (per month) }
+ */
+function pathRiskMetrics(path) {
+    return {
+        maxDrawdown: maxDrawdown(path),
+        timeUnderWater: timeUnderWater(path),
+        worstYearChange: worstRollingChange(path, 12),
+        downsideDeviation: downsideDeviation(path),
+    };
+}
+
+// ─── Monte Carlo Error ────────────────────────────────────────────────────────
+
+/**
+ * normalQuantile — inverse standard normal CDF (Acklam's rational
+ * approximation, relative error < 1.2e-9).
+ */
+function normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690,
+        -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972,
+        -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734,
+        4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+        / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+    if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+        / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * wilsonInterval — Wilson score interval for a proportion. Unlike p ± z·se it
+ * stays inside [0, 1] and does not collapse to zero width when no run (or
+ * every run) hits the event.
+ * @param {number} successes
+ * @param {number} n           trials
+ * @param {number} confidence  e.g. 0.95
+ * @returns {Object} { p, se, lo, hi } — se is the binomial standard error √(p(1−p)/n)
+ */
+function wilsonInterval(successes, n, confidence = 0.95) {
+    if (!n) return { p: 0, se: 0, lo: 0, hi: 1 };
+    const p = successes / n;
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const z2 = z * z;
+    const centre = (p + z2 / (2 * n)) / (1 + z2 / n);
+    const half = (z / (1 + z2 / n)) * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n));
+    return {
+        p,
+        se: Math.sqrt(p * (1 - p) / n),
+        lo: Math.max(0, centre - half),
+        hi: Math.min(1, centre + half),
+    };
+}
+
+/**
+ * bootstrapQuantiles — percentile-bootstrap standard errors and intervals for
+ * several quantiles of one sample. Each resample is drawn as counts over the
+ * sorted sample, so its order statistics come from a cumulative sum rather
+ * than a sort.
+ * @param {number[]} sorted   sample sorted ascending
+ * @param {number[]} ps       percentiles, 0–100 (interpolated as in percentile())
+ * @param {Object}   options  { resamples = 1000, confidence = 0.95, rng = Math.random }
+ * @returns {Array} [{ p, value, se, lo, hi }] in the order of ps
+ */
+function bootstrapQuantiles(sorted, ps, { resamples = 1000, confidence = 0.95, rng = Math.random } = {}) {
+    const n = sorted.length;
+    if (!n) return ps.map(p => ({ p, value: 0, se: 0, lo: 0, hi: 0 }));
+    const draws = ps.map(() => new Array(resamples));
+    const counts = new Uint32Array(n);
+    // k-th smallest of the resample: first index whose cumulative count exceeds k
+    const orderStat = k => {
+        let lo = 0, hi = n - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (counts[mid] > k) hi = mid;
+            else lo = mid + 1;
+        }
+        return sorted[lo];
+    };
+    for (let b = 0; b < resamples; b++) {
+        counts.fill(0);
+        for (let i = 0; i < n; i++) counts[Math.floor(rng() * n)]++;
+        for (let i = 1; i < n; i++) counts[i] += counts[i - 1];
+        ps.forEach((p, j) => {
+            const idx = (p / 100) * (n - 1);
+            const lo = Math.floor(idx);
+            const vLo = orderStat(lo);
+            draws[j][b] = lo === idx ? vLo : vLo + (orderStat(lo + 1) - vLo) * (idx - lo);
+        });
+    }
+    const tail = (1 - confidence) / 2 * 100;
+    return ps.map((p, j) => {
+        const d = draws[j].sort((a, b) => a - b);
+        return {
+            p,
+            value: percentile(sorted, p, true),
+            se: stdDev(d),
+            lo: percentile(d, tail, true),
+            hi: percentile(d, 100 - tail, true),
+        };
+    });
+}
+
+// ─── Streaming Quantiles ──────────────────────────────────────────────────────
+
+/**
+ * createQuantileSketches — running estimates of several percentiles for each
+ * of `count` independent streams, none of which is stored: the extended P²
+ * algorithm (Jain & Chlamtac 1985, Raatikainen 1987). Per stream, 2m + 3
+ * markers track the minimum, the m percentiles, the midpoints between them and
+ * the maximum; after each value any marker that has drifted a rank or more from
+ * its target position moves one rank, its height set by piecewise-parabolic
+ * interpolation. Until a stream has 2m + 3 values its percentiles are exact.
+ * Every stream lives in the same typed arrays, as the simulation keeps one per
+ * month and balance.
+ * @param {number[]} ps     percentiles, 0–100 exclusive, ascending
+ * @param {number}   count  number of streams
+ * @returns {Object} { add(stream, x), values(stream) } — values in the order of ps
+ */
+function createQuantileSketches(ps, count) {
+    const targets = [0];
+    ps.forEach((p, i) => targets.push(((i ? ps[i - 1] : 0) + p) / 200, p / 100));
+    targets.push((ps[ps.length - 1] + 100) / 200, 1);
+    const M = targets.length;
+    const f = Float64Array.from(targets);
+    const q = new Float64Array(M * count);   // marker heights
+    const pos = new Float64Array(M * count); // marker ranks, 0-based
+    const seen = new Float64Array(count);
+
+    function add(stream, x) {
+        const o = stream * M;
+        let n = seen[stream];
+        if (n < M) {
+            q[o + n] = x;
+            seen[stream] = ++n;
+            if (n === M) {
+                q.subarray(o, o + M).sort();
+                for (let j = 0; j < M; j++) pos[o + j] = j;
+            }
+            return;
+        }
+        let k = 0;
+        if (x < q[o]) q[o] = x;
+        else if (x >= q[o + M - 1]) {
+            q[o + M - 1] = x;
+            k = M - 2;
+        } else {
+            while (x >= q[o + k + 1]) k++;
+        }
+        for (let j = k + 1; j < M; j++) pos[o + j]++;
+        seen[stream] = ++n;
+        for (let j = 1; j < M - 1; j++) {
+            const i = o + j;
+            const d = f[j] * (n - 1) - pos[i];
+            const up = pos[i + 1] - pos[i], down = pos[i] - pos[i - 1];
+            if ((d < 1 || up <= 1) && (d > -1 || down <= 1)) continue;
+            const s = d > 0 ? 1 : -1;
+            const parabolic = q[i] + s / (up + down)
+                * ((down + s) * (q[i + 1] - q[i]) / up + (up - s) * (q[i] - q[i - 1]) / down);
+            q[i] = q[i - 1] < parabolic && parabolic < q[i + 1]
+                ? parabolic
+                : q[i] + s * (q[i + s] - q[i]) / (pos[i + s] - pos[i]);
+            pos[i] += s;
+        }
+    }
+
+    function values(stream) {
+        const o = stream * M, n = seen[stream];
+        if (n >= M) return ps.map((_, i) => q[o + 2 + 2 * i]);
+        const sorted = q.slice(o, o + n).sort();
+        return ps.map(p => percentile(sorted, p, true));
+    }
+
+    return { add, values };
+}
+
+// ─── Distribution Fit ─────────────────────────────────────────────────────────
+
+const SQRT_2PI = Math.sqrt(2 * Math.PI);
+
+/** normalPdf — density of N(mu, sigma²) at x. */
+function normalPdf(x, mu = 0, sigma = 1) {
+    const z = (x - mu) / sigma;
+    return Math.exp(-0.5 * z * z) / (sigma * SQRT_2PI);
+}
+
+/** normalCdf — standard normal CDF (Abramowitz & Stegun 7.1.26, absolute error < 1.5e-7). */
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * kdeBandwidth — Silverman's rule of thumb, 0.9 · min(σ, IQR / 1.34) · n^(−1/5).
+ * Falls back to σ alone when the middle half of the sample is a single value.
+ */
+function kdeBandwidth(sorted) {
+    const n = sorted.length;
+    if (n < 2) return 0;
+    const sd = stdDev(sorted);
+    const iqr = (percentile(sorted, 75, true) - percentile(sorted, 25, true)) / 1.34;
+    return 0.9 * (iqr > 0 ? Math.min(sd, iqr) : sd) * n ** -0.2;
+}
+
+/**
+ * kernelDensity — Gaussian kernel density estimate at each of xs (ascending).
+ * Kernels are cut off at ±4 bandwidths, which loses under 0.01% of the mass.
+ * @returns {number[]} densities, per unit of x
+ */
+function kernelDensity(sorted, xs, bandwidth = kdeBandwidth(sorted)) {
+    const n = sorted.length;
+    if (!n || !(bandwidth > 0)) return xs.map(() => 0);
+    const reach = 4 * bandwidth;
+    let start = 0;
+    return xs.map(x => {
+        while (start < n && sorted[start] < x - reach) start++;
+        let sum = 0;
+        for (let i = start; i < n && sorted[i] <= x + reach; i++) {
+            const z = (x - sorted[i]) / bandwidth;
+            sum += Math.exp(-0.5 * z * z);
+        }
+        return sum / (n * bandwidth * SQRT_2PI);
+    });
+}
+
+/**
+ * fitLogNormal — three-parameter log-normal matched to the sample mean,
+ * standard deviation and skewness, so negative balances fit too. A left-skewed
+ * sample gets the mirror image (sign −1).
+ * @returns {Object|null} { shift, mu, sigma, sign } with sign·(x − shift) ~ LogNormal(mu, sigma²);
+ *   null when the sample has no spread or no skew
+ */
+function fitLogNormal(arr) {
+    const m = mean(arr);
+    const s = stdDev(arr);
+    const g = skewness(arr);
+    if (!(s > 0) || Math.abs(g) < 1e-6) return null;
+    // skewness = w³ + 3w where w² = e^σ² − 1; Cardano gives the one real root
+    const a = Math.abs(g);
+    const r = Math.sqrt(a * a + 4);
+    const w = Math.cbrt((a + r) / 2) + Math.cbrt((a - r) / 2);
+    const sigma = Math.sqrt(Math.log(1 + w * w));
+    const sign = Math.sign(g);
+    // the unshifted variable has mean s / w and standard deviation s
+    return { shift: m - sign * s / w, mu: Math.log(s / w) - sigma * sigma / 2, sigma, sign };
+}
+
+/** logNormalPdf — density of a fitLogNormal fit at x. */
+function logNormalPdf(x, fit) {
+    const y = fit.sign * (x - fit.shift);
+    return y > 0 ? normalPdf(Math.log(y), fit.mu, fit.sigma) / y : 0;
+}
+
+/** logNormalCdf — P(X ≤ x) under a fitLogNormal fit. */
+function logNormalCdf(x, fit) {
+    const y = fit.sign * (x - fit.shift);
+    const p = y > 0 ? normalCdf((Math.log(y) - fit.mu) / fit.sigma) : 0;
+    return fit.sign > 0 ? p : 1 - p;
+}
+
+/**
+ * jarqueBera — JB = n/6 · (S² + K²/4) from the sample skewness S and excess
+ * kurtosis K; χ² with 2 degrees of freedom under normality.
+ * @returns {Object} { statistic, pValue }
+ */
+function jarqueBera(arr) {
+    const n = arr.length;
+    const statistic = n / 6 * (skewness(arr) ** 2 + excessKurtosis(arr) ** 2 / 4);
+    return { statistic, pValue: Math.exp(-statistic / 2) };
+}
+
+/**
+ * kolmogorovSmirnov — one-sample test of a sorted sample against a CDF.
+ * The p-value uses the asymptotic Kolmogorov distribution with Stephens'
+ * small-sample correction; with parameters fitted to the same sample it is
+ * conservative (Lilliefors), so a rejection can be trusted more than a pass.
+ * @returns {Object} { statistic (D), pValue }
+ */
+function kolmogorovSmirnov(sorted, cdf) {
+    const n = sorted.length;
+    if (!n) return { statistic: 0, pValue: 1 };
+    let d = 0;
+    sorted.forEach((x, i) => {
+        const f = cdf(x);
+        d = Math.max(d, (i + 1) / n - f, f - i / n);
+    });
+    const lambda = (Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n)) * d;
+    return { statistic: d, pValue: kolmogorovTail(lambda) };
+}
+
+/** kolmogorovTail — Q(λ) = 2 Σ (−1)^(k−1) e^(−2k²λ²), the Kolmogorov survival function. */
+function kolmogorovTail(lambda) {
+    if (lambda < 0.2) return 1;
+    let sum = 0;
+    for (let k = 1; k <= 100; k++) {
+        const term = Math.exp(-2 * k * k * lambda * lambda);
+        sum += k % 2 ? term : -term;
+        if (term < 1e-12) break;
+    }
+    return Math.min(1, Math.max(0, 2 * sum));
+}
+
+/**
+ * distributionFit — everything the histogram overlays and the normality panel
+ * need for one sample.
+ * @returns {Object} { sorted, mean, stdDev, bandwidth, normal: { ks }, logNormal: fit + { ks } | null,
+ *   jarqueBera }
+ */
+function distributionFit(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const m = mean(sorted);
+    const sd = stdDev(sorted);
+    const logNormal = fitLogNormal(sorted);
+    return {
+        sorted,
+        mean: m,
+        stdDev: sd,
+        bandwidth: kdeBandwidth(sorted),
+        normal: { ks: sd > 0 ? kolmogorovSmirnov(sorted, x => normalCdf((x - m) / sd)) : null },
+        logNormal: logNormal && { ...logNormal, ks: kolmogorovSmirnov(sorted, x => logNormalCdf(x, logNormal)) },
+        jarqueBera: jarqueBera(sorted),
+    };
+}
+
 // ─── Correlation & Regression ─────────────────────────────────────────────────
 
 /**
@@ -181,6 +669,81 @@ function simpleLinearRegression(x, y) {
     return { slope, intercept, rSquared: r * r };
 }
 
+/**
+ * multipleRegression — OLS of y on several predictors plus an intercept,
+ * solved on mean-centred columns so income-sized and return-sized predictors
+ * do not wreck the conditioning of XᵀX.
+ * @param {number[]} y
+ * @param {Object} predictors  { label: number[] }, each as long as y
+ * @returns {Object|null} { n, coefficients: Array<{ name, estimate, se, t }> (intercept
+ *   first), rSquared, adjustedRSquared, residualSE } — null with too few
+ *   observations or collinear predictors
+ */
+function multipleRegression(y, predictors) {
+    const names = Object.keys(predictors);
+    const n = y.length;
+    const k = names.length;
+    if (n <= k + 1) return null;
+    const dot = (a, b) => a.reduce((s, v, i) => s + v * b[i], 0);
+    const my = mean(y);
+    const means = names.map(name => mean(predictors[name]));
+    const xc = names.map((name, j) => predictors[name].map(v => v - means[j]));
+    const yc = y.map(v => v - my);
+    const inv = invertMatrix(xc.map(a => xc.map(b => dot(a, b))));
+    if (!inv) return null;
+    const xty = xc.map(a => dot(a, yc));
+    const b = inv.map(row => dot(row, xty));
+
+    let sse = 0;
+    for (let i = 0; i < n; i++) {
+        let fit = 0;
+        for (let j = 0; j < k; j++) fit += b[j] * xc[j][i];
+        sse += (yc[i] - fit) ** 2;
+    }
+    const sst = dot(yc, yc);
+    const s2 = sse / (n - k - 1);
+    const rSquared = sst > 0 ? 1 - sse / sst : 0;
+    const coefficient = (name, estimate, v) => {
+        const se = Math.sqrt(Math.max(0, v));
+        return { name, estimate, se, t: se > 0 ? estimate / se : 0 };
+    };
+    return {
+        n,
+        coefficients: [
+            // Var(intercept) = s²/n + x̄ᵀ Var(b) x̄ for centred slopes
+            coefficient('Intercept', my - dot(b, means), s2 / n + s2 * dot(means, inv.map(row => dot(row, means)))),
+            ...names.map((name, j) => coefficient(name, b[j], s2 * inv[j][j])),
+        ],
+        rSquared,
+        adjustedRSquared: 1 - (1 - rSquared) * (n - 1) / (n - k - 1),
+        residualSE: Math.sqrt(s2),
+    };
+}
+
+/**
+ * invertMatrix — Gauss-Jordan inverse with partial pivoting; null when the
+ * matrix is singular to within 1e-12 of its largest diagonal entry.
+ */
+function invertMatrix(a) {
+    const k = a.length;
+    const m = a.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    const tol = 1e-12 * Math.max(0, ...a.map((row, i) => Math.abs(row[i])));
+    for (let c = 0; c < k; c++) {
+        let p = c;
+        for (let r = c + 1; r < k; r++) if (Math.abs(m[r][c]) > Math.abs(m[p][c])) p = r;
+        if (!(Math.abs(m[p][c]) > tol)) return null;
+        [m[c], m[p]] = [m[p], m[c]];
+        const pivot = m[c][c];
+        for (let j = 0; j < 2 * k; j++) m[c][j] /= pivot;
+        for (let r = 0; r < k; r++) {
+            if (r === c || m[r][c] === 0) continue;
+            const f = m[r][c];
+            for (let j = 0; j < 2 * k; j++) m[r][j] -= f * m[c][j];
+        }
+    }
+    return m.map(row => row.slice(k));
+}
+
 /**
  * buildCorrelationMatrix — n×n Pearson correlation matrix.
  * @param {Object} variables  { label: number[] }
@@ -0,0 +1,260 @@
+/**
+ * transactions.js — Bank / Credit-Card Transaction Import
+ *
+ * Turns a transaction CSV export into calibrated income and expense inputs:
+ *   1. parseCsv splits the file into rows (quoted fields, CRLF or LF, comma or
+ *      semicolon delimited)
+ *   2. readTransactions applies the column mapping, date format, decimal
+ *      separator and sign convention
+ *   3. categorizeTransaction sorts each one into income, fixed, variable or
+ *      ignore with the first matching rule
+ *   4. aggregateMonthly totals each calendar month
+ *   5. calibrateFromMonths takes the mean and standard deviation of the monthly
+ *      totals (statistics.js)
+ *
+ * Requires statistics.js.
+ */
+
+"use strict";
+
+const TRANSACTION_CATEGORIES = ['income', 'fixed', 'variable', 'ignore'];
+
+// Checked in order; a transaction no rule matches is income if money came in, variable if it went out
+const DEFAULT_CATEGORY_RULES = [
+    { pattern: 'transfer', category: 'ignore' },
+    { pattern: 'credit card payment', category: 'ignore' },
+    { pattern: 'payroll', category: 'income' },
+    { pattern: 'salary', category: 'income' },
+    { pattern: 'direct dep', category: 'income' },
+    { pattern: 'rent', category: 'fixed' },
+    { pattern: 'mortgage', category: 'fixed' },
+    { pattern: 'insurance', category: 'fixed' },
+    { pattern: '/electric|water|gas bill|utilit/', category: 'fixed' },
+    { pattern: '/internet|phone|mobile|wireless/', category: 'fixed' },
+    { pattern: '/netflix|spotify|hulu|subscription|membership|gym/', category: 'fixed' },
+    { pattern: '/loan|tuition|daycare|childcare/', category: 'fixed' },
+];
+
+const TRANSACTION_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY'];
+
+// Decimal separator → how an amount is written with it
+const TRANSACTION_DECIMAL_SEPARATORS = { '.': '1,234.56', ',': '1.234,56' };
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+/**
+ * csvDelimiter — ';' when the first line has more unquoted semicolons than
+ * commas (the usual export where the decimal separator is a comma), else ','.
+ */
+function csvDelimiter(text) {
+    const line = text.split(/\r?\n/).find(l => l.trim()) || '';
+    const unquoted = line.replace(/"[^"]*"/g, '');
+    return (unquoted.match(/;/g) || []).length > (unquoted.match(/,/g) || []).length ? ';' : ',';
+}
+
+/** parseCsv — rows of string cells; blank lines are dropped. */
+function parseCsv(text, delimiter = csvDelimiter(text)) {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some(v => v.trim() !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    row.push(cell);
+    if (row.some(v => v.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+/**
+ * parseTransactionDate — { year, month, day } from a date in one of
+ * TRANSACTION_DATE_FORMATS (two-digit years are read as 20xx), or null. A
+ * trailing time ("10:30", "T10:30:00Z") is ignored; impossible dates such as
+ * 02/31 are rejected.
+ */
+function parseTransactionDate(str, format) {
+    const date = String(str).trim().replace(/[T\s]\d{1,2}:\d{2}.*$/, '');
+    const parts = date.split(/[-/.\s]/).filter(Boolean).map(Number);
+    if (parts.length < 3 || parts.some(n => !Number.isInteger(n))) return null;
+    const order = {
+        'YYYY-MM-DD': [0, 1, 2],
+        'MM/DD/YYYY': [2, 0, 1],
+        'DD/MM/YYYY': [2, 1, 0],
+        'DD.MM.YYYY': [2, 1, 0],
+    }[format];
+    if (!order) return null;
+    let year = parts[order[0]];
+    const month = parts[order[1]], day = parts[order[2]];
+    if (year < 100) year += 2000;
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+    return { year, month, day };
+}
+
+/**
+ * parseAmount — number from "1,234.56", "$-12", "(45.00)" (negative) etc., or
+ * null; with decimal ',' from "1.234,56", "-12,5 €" and so on.
+ */
+function parseAmount(str, decimal = '.') {
+    let s = String(str ?? '').trim();
+    if (!s) return null;
+    const negative = /^\(.*\)$/.test(s) || /^-|-$/.test(s.replace(/[$€£\s]/g, ''));
+    // drop currency, signs and spaces (including thin-space grouping), then the grouping separator
+    s = s.replace(/[^0-9.,]/g, '').split(decimal === ',' ? '.' : ',').join('');
+    if (decimal === ',') s = s.replace(',', '.');
+    if (!s) return null;
+    const n = Number(s);
+    return Number.isFinite(n) ? (negative ? -n : n) : null;
+}
+
+/**
+ * detectDecimalSeparator — ',' when more of the amounts end in a comma and one
+ * or two digits ("12,50") than in a point and one or two digits, else '.'.
+ * Amounts like "1,234" are ambiguous and do not count either way.
+ */
+function detectDecimalSeparator(values) {
+    let comma = 0, point = 0;
+    for (const v of values) {
+        const m = String(v ?? '').trim().match(/([.,])\d{1,2}\D*$/);
+        if (m?.[1] === ',') comma++;
+        else if (m) point++;
+    }
+    return comma > point ? ',' : '.';
+}
+
+/**
+ * readTransactions — transactions from parsed CSV rows (header row first).
+ * @param {string[][]} rows
+ * @param {Object} mapping  { date, description, amount, debit, credit } header
+ *   indices (-1 = unused; debit / credit replace amount), dateFormat, decimal
+ *   ('.' or ','), and spendPositive — true when purchases are positive (typical
+ *   of card exports)
+ * @returns {Object} { transactions: [{ year, month, description, amount }], skipped }
+ *   with amount > 0 for money in and < 0 for money out
+ */
+function readTransactions(rows, mapping) {
+    const transactions = [];
+    let skipped = 0;
+    for (const row of rows.slice(1)) {
+        const date = parseTransactionDate(row[mapping.date] ?? '', mapping.dateFormat);
+        let amount;
+        if (mapping.amount >= 0) {
+            amount = parseAmount(row[mapping.amount], mapping.decimal);
+            if (amount !== null && mapping.spendPositive) amount = -amount;
+        } else {
+            const credit = parseAmount(row[mapping.credit], mapping.decimal) ?? 0;
+            const debit = parseAmount(row[mapping.debit], mapping.decimal) ?? 0;
+            amount = credit || debit ? Math.abs(credit) - Math.abs(debit) : null;
+        }
+        if (!date || amount === null) {
+            skipped++;
+            continue;
+        }
+        transactions.push({
+            year: date.year,
+            month: date.month,
+            description: mapping.description >= 0 ? String(row[mapping.description] ?? '').trim() : '',
+            amount,
+        });
+    }
+    return { transactions, skipped };
+}
+
+// ─── Categorization ───────────────────────────────────────────────────────────
+/** ruleMatches — case-insensitive substring, or a regular expression written /like this/. */
+function ruleMatches(rule, description) {
+    const pattern = String(rule.pattern || '').trim();
+    if (!pattern) return false;
+    const re = pattern.match(/^\/(.+)\/$/);
+    if (re) {
+        try {
+            return new RegExp(re[1], 'i').test(description);
+        } catch (err) {
+            return false;
+        }
+    }
+    return description.toLowerCase().includes(pattern.toLowerCase());
+}
+
+/** categorizeTransaction — 'income' | 'fixed' | 'variable' | 'ignore'. */
+function categorizeTransaction(tx, rules) {
+    const rule = rules.find(r => ruleMatches(r, tx.description));
+    if (rule && TRANSACTION_CATEGORIES.includes(rule.category)) return rule.category;
+    return tx.amount > 0 ? 'income' : 'variable';
+}
+
+// ─── Aggregation & Calibration ────────────────────────────────────────────────
+/**
+ * aggregateMonthly — income and fixed / variable spending per calendar month,
+ * months without transactions included as zeros. Refunds reduce the category
+ * they are sorted into.
+ * @returns {Array} [{ key: 'YYYY-MM', income, fixed, variable, count }] in date order
+ */
+function aggregateMonthly(transactions, rules) {
+    if (!transactions.length) return [];
+    const index = t => t.year * 12 + t.month - 1;
+    const first = Math.min(...transactions.map(index));
+    const last = Math.max(...transactions.map(index));
+    const months = Array.from({ length: last - first + 1 }, (_, i) => {
+        const n = first + i;
+        return {
+            key: `${Math.floor(n / 12)}-${String(n % 12 + 1).padStart(2, '0')}`,
+            income: 0, fixed: 0, variable: 0, count: 0,
+        };
+    });
+    for (const tx of transactions) {
+        const category = categorizeTransaction(tx, rules);
+        if (category === 'ignore') continue;
+        const m = months[index(tx) - first];
+        m[category] += category === 'income' ? tx.amount : -tx.amount;
+        m.count++;
+    }
+    return months;
+}
+
+/**
+ * calibrateFromMonths — sidebar inputs from monthly totals: means of each
+ * category, and income / variable-spend volatility as the standard deviation
+ * over the mean (%). Optionally drops the first and last month, which bank
+ * exports usually cover only in part.
+ * @returns {Object|null} { months, income, incomeVolatility, fixedExpenses,
+ *   varExpenses, varVolatility } or null with no months left
+ */
+function calibrateFromMonths(months, { dropPartial = true } = {}) {
+    const used = dropPartial && months.length > 3 ? months.slice(1, -1) : months;
+    if (!used.length) return null;
+    const income = used.map(m => m.income);
+    const fixed = used.map(m => m.fixed);
+    const variable = used.map(m => m.variable);
+    const cv = arr => (mean(arr) > 0 ? stdDev(arr) / mean(arr) * 100 : 0);
+    return {
+        months: used.length,
+        from: used[0].key,
+        to: used[used.length - 1].key,
+        income: mean(income),
+        incomeVolatility: cv(income),
+        fixedExpenses: mean(fixed),
+        varExpenses: mean(variable),
+        varVolatility: cv(variable),
+    };
+}
@@ -0,0 +1,43 @@
+/**
+ * worker.js — Monte Carlo Web Worker
+ *
+ * Runs runMonteCarlo, runSensitivity and runGoalSolver off the main thread so
+ * the page stays responsive.
+ *
+ * Messages in:
+ *   { type: 'run', params, runs, seed }          — runs: a count or an adaptive spec
+ *   { type: 'sensitivity', params, options }
+ *   { type: 'solve', params, options }
+ * Messages out:
+ *   { type: 'progress', scenario, scenarioIndex, scenarioCount, run, runs }   — 'run'
+ *   { type: 'progress', input, step, steps }                                 — 'sensitivity'
+ *   { type: 'progress', replicate, replicates, step, steps }                 — 'solve'
+ *   { type: 'done', results }   — same shape the engine function returns
+ *   { type: 'error', message }
+ *
+ * Cancellation is done by the caller terminating the worker.
+ */
+
+"use strict";
+
+importScripts('historical-data.js', 'simulation.js', 'statistics.js');
+
+const ENGINES = {
+    run: (msg, onProgress) => runMonteCarlo(msg.params, msg.runs, msg.seed, onProgress),
+    sensitivity: (msg, onProgress) => runSensitivity(msg.params, msg.options, onProgress),
+    solve: (msg, onProgress) => runGoalSolver(msg.params, msg.options, onProgress),
+};
+
+self.onmessage = e => {
+    const msg = e.data || {};
+    const engine = ENGINES[msg.type];
+    if (!engine) return;
+
+    const onProgress = progress => self.postMessage({ type: 'progress', ...progress });
+    try {
+        const results = engine(msg, onProgress);
+        self.postMessage({ type: 'done', results });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err?.message || String(err) });
+    }
+};